@@ -0,0 +1,85 @@
+// Baseline schema: the tables the app started with.
+// Uses IF NOT EXISTS so databases created by the old setup script can adopt migrations as-is.
+module.exports = {
+    up: sql => [
+        // subscription_tier values: 'basic' (physical only), 'premium' (physical + digital), 'super' (digital only)
+        sql`
+            CREATE TABLE IF NOT EXISTS companies (
+                id UUID PRIMARY KEY DEFAULT gen_random_uuid(),
+                name VARCHAR(255) NOT NULL,
+                email VARCHAR(255) UNIQUE NOT NULL,
+                password VARCHAR(255) NOT NULL,
+                logo TEXT,
+                card_front TEXT,
+                card_back TEXT,
+                subscription_tier VARCHAR(20) DEFAULT 'basic',
+                created_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP
+            )
+        `,
+        // Columns added to companies before migrations existed
+        sql`ALTER TABLE companies ADD COLUMN IF NOT EXISTS card_front TEXT`,
+        sql`ALTER TABLE companies ADD COLUMN IF NOT EXISTS card_back TEXT`,
+        sql`ALTER TABLE companies ADD COLUMN IF NOT EXISTS subscription_tier VARCHAR(20) DEFAULT 'basic'`,
+        sql`
+            CREATE TABLE IF NOT EXISTS contacts (
+                id VARCHAR(255) PRIMARY KEY,
+                company_id UUID REFERENCES companies(id) ON DELETE CASCADE,
+                name_en VARCHAR(255) NOT NULL,
+                name_ar VARCHAR(255),
+                position_en VARCHAR(255) NOT NULL,
+                position_ar VARCHAR(255),
+                location TEXT,
+                phone VARCHAR(50) NOT NULL,
+                telephone VARCHAR(50),
+                email VARCHAR(255) NOT NULL,
+                website VARCHAR(255),
+                created_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP
+            )
+        `,
+        sql`ALTER TABLE contacts ADD COLUMN IF NOT EXISTS telephone VARCHAR(50)`,
+        sql`
+            CREATE TABLE IF NOT EXISTS sessions (
+                id UUID PRIMARY KEY,
+                email VARCHAR(255) NOT NULL,
+                role VARCHAR(50) NOT NULL,
+                company_id UUID REFERENCES companies(id) ON DELETE CASCADE,
+                created_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP,
+                expires_at TIMESTAMP NOT NULL
+            )
+        `,
+        sql`
+            CREATE TABLE IF NOT EXISTS auth_codes (
+                email VARCHAR(255) PRIMARY KEY,
+                code VARCHAR(6) NOT NULL,
+                expires_at TIMESTAMP NOT NULL,
+                created_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP
+            )
+        `,
+        sql`
+            CREATE TABLE IF NOT EXISTS leads (
+                id UUID PRIMARY KEY DEFAULT gen_random_uuid(),
+                contact_id VARCHAR(255) REFERENCES contacts(id) ON DELETE CASCADE,
+                company_id UUID REFERENCES companies(id) ON DELETE CASCADE,
+                customer_name VARCHAR(255) NOT NULL,
+                customer_email VARCHAR(255),
+                customer_phone VARCHAR(50),
+                customer_company VARCHAR(255),
+                notes TEXT,
+                consented_at TIMESTAMP NOT NULL,
+                created_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP
+            )
+        `,
+        sql`CREATE INDEX IF NOT EXISTS idx_contacts_company ON contacts(company_id)`,
+        sql`CREATE INDEX IF NOT EXISTS idx_sessions_expires ON sessions(expires_at)`,
+        sql`CREATE INDEX IF NOT EXISTS idx_leads_company ON leads(company_id)`,
+        sql`CREATE INDEX IF NOT EXISTS idx_leads_contact ON leads(contact_id)`
+    ],
+
+    down: sql => [
+        sql`DROP TABLE IF EXISTS leads`,
+        sql`DROP TABLE IF EXISTS auth_codes`,
+        sql`DROP TABLE IF EXISTS sessions`,
+        sql`DROP TABLE IF EXISTS contacts`,
+        sql`DROP TABLE IF EXISTS companies`
+    ]
+};
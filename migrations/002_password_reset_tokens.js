@@ -0,0 +1,19 @@
+// Single-use password reset tokens, stored as SHA-256 hashes
+module.exports = {
+    up: sql => [
+        sql`
+            CREATE TABLE IF NOT EXISTS password_reset_tokens (
+                token_hash VARCHAR(64) PRIMARY KEY,
+                company_id UUID REFERENCES companies(id) ON DELETE CASCADE,
+                expires_at TIMESTAMP NOT NULL,
+                used_at TIMESTAMP,
+                created_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP
+            )
+        `,
+        sql`CREATE INDEX IF NOT EXISTS idx_password_reset_company ON password_reset_tokens(company_id)`
+    ],
+
+    down: sql => [
+        sql`DROP TABLE IF EXISTS password_reset_tokens`
+    ]
+};
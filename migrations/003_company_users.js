@@ -0,0 +1,52 @@
+// Company users (each person who can sign in for a company).
+// Roles: 'owner', 'editor', 'leads_viewer'. Each company's original login moves in as its owner.
+module.exports = {
+    up: sql => [
+        sql`
+            CREATE TABLE IF NOT EXISTS company_users (
+                id UUID PRIMARY KEY DEFAULT gen_random_uuid(),
+                company_id UUID REFERENCES companies(id) ON DELETE CASCADE,
+                email VARCHAR(255) NOT NULL,
+                name VARCHAR(255),
+                password VARCHAR(255),
+                role VARCHAR(20) NOT NULL DEFAULT 'editor',
+                invited_by VARCHAR(255),
+                invite_token_hash VARCHAR(64),
+                invite_expires_at TIMESTAMP,
+                accepted_at TIMESTAMP,
+                created_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP
+            )
+        `,
+        sql`CREATE UNIQUE INDEX IF NOT EXISTS idx_company_users_email ON company_users(LOWER(email))`,
+        sql`CREATE INDEX IF NOT EXISTS idx_company_users_company ON company_users(company_id)`,
+        sql`CREATE INDEX IF NOT EXISTS idx_company_users_invite ON company_users(invite_token_hash)`,
+        sql`ALTER TABLE companies ALTER COLUMN password DROP NOT NULL`,
+        sql`
+            INSERT INTO company_users (company_id, email, password, role, accepted_at)
+            SELECT id, email, password, 'owner', NOW() FROM companies WHERE password IS NOT NULL
+            ON CONFLICT DO NOTHING
+        `,
+        sql`
+            UPDATE companies SET password = NULL
+            WHERE password IS NOT NULL
+              AND EXISTS (SELECT 1 FROM company_users u WHERE u.company_id = companies.id)
+        `,
+        // Link sessions and reset tokens to the company user they belong to
+        sql`ALTER TABLE sessions ADD COLUMN IF NOT EXISTS user_id UUID REFERENCES company_users(id) ON DELETE CASCADE`,
+        sql`CREATE INDEX IF NOT EXISTS idx_sessions_user ON sessions(user_id)`,
+        sql`ALTER TABLE password_reset_tokens ADD COLUMN IF NOT EXISTS user_id UUID REFERENCES company_users(id) ON DELETE CASCADE`
+    ],
+
+    // Puts each company's owner login back on the companies row. Other users are lost,
+    // and companies.password stays nullable in case a company had no owner to copy from.
+    down: sql => [
+        sql`
+            UPDATE companies c SET password = u.password
+            FROM company_users u
+            WHERE u.company_id = c.id AND u.role = 'owner' AND LOWER(u.email) = LOWER(c.email) AND c.password IS NULL
+        `,
+        sql`ALTER TABLE password_reset_tokens DROP COLUMN IF EXISTS user_id`,
+        sql`ALTER TABLE sessions DROP COLUMN IF EXISTS user_id`,
+        sql`DROP TABLE IF EXISTS company_users`
+    ]
+};
@@ -0,0 +1,22 @@
+// Shared rate limit counters (for serverless) and wrong-guess tracking on emailed codes
+module.exports = {
+    up: sql => [
+        sql`ALTER TABLE auth_codes ADD COLUMN IF NOT EXISTS attempts INTEGER DEFAULT 0`,
+        sql`CREATE INDEX IF NOT EXISTS idx_auth_codes_expires ON auth_codes(expires_at)`,
+        sql`
+            CREATE TABLE IF NOT EXISTS rate_limits (
+                key VARCHAR(255) PRIMARY KEY,
+                count INTEGER NOT NULL DEFAULT 0,
+                reset_at TIMESTAMP NOT NULL,
+                updated_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP
+            )
+        `,
+        sql`CREATE INDEX IF NOT EXISTS idx_rate_limits_reset ON rate_limits(reset_at)`
+    ],
+
+    down: sql => [
+        sql`DROP TABLE IF EXISTS rate_limits`,
+        sql`DROP INDEX IF EXISTS idx_auth_codes_expires`,
+        sql`ALTER TABLE auth_codes DROP COLUMN IF EXISTS attempts`
+    ]
+};
@@ -0,0 +1,16 @@
+// Session metadata for CSRF protection, sliding expiry and the active sessions list
+module.exports = {
+    up: sql => [
+        sql`ALTER TABLE sessions ADD COLUMN IF NOT EXISTS csrf_token VARCHAR(64)`,
+        sql`ALTER TABLE sessions ADD COLUMN IF NOT EXISTS ip_address VARCHAR(64)`,
+        sql`ALTER TABLE sessions ADD COLUMN IF NOT EXISTS user_agent TEXT`,
+        sql`ALTER TABLE sessions ADD COLUMN IF NOT EXISTS last_seen_at TIMESTAMP`
+    ],
+
+    down: sql => [
+        sql`ALTER TABLE sessions DROP COLUMN IF EXISTS last_seen_at`,
+        sql`ALTER TABLE sessions DROP COLUMN IF EXISTS user_agent`,
+        sql`ALTER TABLE sessions DROP COLUMN IF EXISTS ip_address`,
+        sql`ALTER TABLE sessions DROP COLUMN IF EXISTS csrf_token`
+    ]
+};
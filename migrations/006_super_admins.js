@@ -0,0 +1,38 @@
+// Super admins managed in the database, plus the break-glass login audit trail
+module.exports = {
+    up: sql => [
+        sql`
+            CREATE TABLE IF NOT EXISTS super_admins (
+                id UUID PRIMARY KEY DEFAULT gen_random_uuid(),
+                email VARCHAR(255) NOT NULL,
+                name VARCHAR(255),
+                added_by VARCHAR(255),
+                created_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP
+            )
+        `,
+        sql`CREATE UNIQUE INDEX IF NOT EXISTS idx_super_admins_email ON super_admins(LOWER(email))`,
+        // Seed the first super admin so a fresh database can be signed into
+        sql`
+            INSERT INTO super_admins (email, added_by)
+            SELECT ${process.env.INITIAL_SUPER_ADMIN_EMAIL || 'ml@feedbacknfc.com'}::varchar, 'migration'
+            WHERE NOT EXISTS (SELECT 1 FROM super_admins)
+        `,
+        sql`
+            CREATE TABLE IF NOT EXISTS break_glass_events (
+                id UUID PRIMARY KEY DEFAULT gen_random_uuid(),
+                email VARCHAR(255) NOT NULL,
+                reason TEXT NOT NULL,
+                ip_address VARCHAR(64),
+                user_agent TEXT,
+                created_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP
+            )
+        `,
+        sql`ALTER TABLE sessions ADD COLUMN IF NOT EXISTS break_glass BOOLEAN DEFAULT FALSE`
+    ],
+
+    down: sql => [
+        sql`ALTER TABLE sessions DROP COLUMN IF EXISTS break_glass`,
+        sql`DROP TABLE IF EXISTS break_glass_events`,
+        sql`DROP TABLE IF EXISTS super_admins`
+    ]
+};
@@ -0,0 +1,41 @@
+// Append-only record of administrative changes.
+// company_id has no foreign key so history survives the company being deleted.
+module.exports = {
+    up: sql => [
+        sql`
+            CREATE TABLE IF NOT EXISTS audit_log (
+                id BIGSERIAL PRIMARY KEY,
+                actor_email VARCHAR(255),
+                actor_role VARCHAR(50),
+                actor_user_id UUID,
+                company_id UUID,
+                action VARCHAR(50) NOT NULL,
+                entity_type VARCHAR(50) NOT NULL,
+                entity_id VARCHAR(255),
+                changes JSONB NOT NULL DEFAULT '{}',
+                ip_address VARCHAR(64),
+                created_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP
+            )
+        `,
+        sql`
+            CREATE OR REPLACE FUNCTION audit_log_append_only() RETURNS trigger AS $$
+            BEGIN
+                RAISE EXCEPTION 'audit_log is append-only';
+            END;
+            $$ LANGUAGE plpgsql
+        `,
+        sql`DROP TRIGGER IF EXISTS audit_log_no_mutation ON audit_log`,
+        sql`
+            CREATE TRIGGER audit_log_no_mutation
+            BEFORE UPDATE OR DELETE ON audit_log
+            FOR EACH ROW EXECUTE FUNCTION audit_log_append_only()
+        `,
+        sql`CREATE INDEX IF NOT EXISTS idx_audit_log_company ON audit_log(company_id, created_at DESC)`,
+        sql`CREATE INDEX IF NOT EXISTS idx_audit_log_entity ON audit_log(entity_type, entity_id)`
+    ],
+
+    down: sql => [
+        sql`DROP TABLE IF EXISTS audit_log`,
+        sql`DROP FUNCTION IF EXISTS audit_log_append_only()`
+    ]
+};
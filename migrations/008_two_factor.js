@@ -0,0 +1,39 @@
+// TOTP two-factor authentication for company users
+module.exports = {
+    up: sql => [
+        sql`ALTER TABLE company_users ADD COLUMN IF NOT EXISTS totp_secret VARCHAR(64)`,
+        sql`ALTER TABLE company_users ADD COLUMN IF NOT EXISTS totp_pending_secret VARCHAR(64)`,
+        sql`ALTER TABLE company_users ADD COLUMN IF NOT EXISTS totp_enabled_at TIMESTAMP`,
+        sql`ALTER TABLE company_users ADD COLUMN IF NOT EXISTS totp_last_used_step BIGINT`,
+        sql`ALTER TABLE companies ADD COLUMN IF NOT EXISTS require_2fa BOOLEAN DEFAULT FALSE`,
+        sql`
+            CREATE TABLE IF NOT EXISTS company_user_recovery_codes (
+                id UUID PRIMARY KEY DEFAULT gen_random_uuid(),
+                user_id UUID REFERENCES company_users(id) ON DELETE CASCADE,
+                code_hash VARCHAR(64) NOT NULL,
+                used_at TIMESTAMP,
+                created_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP
+            )
+        `,
+        sql`CREATE INDEX IF NOT EXISTS idx_recovery_codes_user ON company_user_recovery_codes(user_id)`,
+        sql`
+            CREATE TABLE IF NOT EXISTS two_factor_challenges (
+                token_hash VARCHAR(64) PRIMARY KEY,
+                user_id UUID REFERENCES company_users(id) ON DELETE CASCADE,
+                attempts INTEGER DEFAULT 0,
+                expires_at TIMESTAMP NOT NULL,
+                created_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP
+            )
+        `
+    ],
+
+    down: sql => [
+        sql`DROP TABLE IF EXISTS two_factor_challenges`,
+        sql`DROP TABLE IF EXISTS company_user_recovery_codes`,
+        sql`ALTER TABLE companies DROP COLUMN IF EXISTS require_2fa`,
+        sql`ALTER TABLE company_users DROP COLUMN IF EXISTS totp_last_used_step`,
+        sql`ALTER TABLE company_users DROP COLUMN IF EXISTS totp_enabled_at`,
+        sql`ALTER TABLE company_users DROP COLUMN IF EXISTS totp_pending_secret`,
+        sql`ALTER TABLE company_users DROP COLUMN IF EXISTS totp_secret`
+    ]
+};
@@ -0,0 +1,25 @@
+// Company-scoped API keys for integrations; only the hash is stored
+module.exports = {
+    up: sql => [
+        sql`
+            CREATE TABLE IF NOT EXISTS api_keys (
+                id UUID PRIMARY KEY DEFAULT gen_random_uuid(),
+                company_id UUID REFERENCES companies(id) ON DELETE CASCADE,
+                name VARCHAR(255) NOT NULL,
+                key_prefix VARCHAR(20) NOT NULL,
+                key_hash VARCHAR(64) UNIQUE NOT NULL,
+                scopes TEXT[] NOT NULL DEFAULT '{}',
+                created_by VARCHAR(255),
+                last_used_at TIMESTAMP,
+                last_used_ip VARCHAR(64),
+                revoked_at TIMESTAMP,
+                created_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP
+            )
+        `,
+        sql`CREATE INDEX IF NOT EXISTS idx_api_keys_company ON api_keys(company_id)`
+    ],
+
+    down: sql => [
+        sql`DROP TABLE IF EXISTS api_keys`
+    ]
+};
@@ -0,0 +1,35 @@
+// Single sign-on (OIDC) providers, one per company, matched by email domain
+module.exports = {
+    up: sql => [
+        sql`
+            CREATE TABLE IF NOT EXISTS company_oidc_providers (
+                id UUID PRIMARY KEY DEFAULT gen_random_uuid(),
+                company_id UUID UNIQUE REFERENCES companies(id) ON DELETE CASCADE,
+                issuer VARCHAR(500) NOT NULL,
+                client_id VARCHAR(500) NOT NULL,
+                client_secret VARCHAR(500) NOT NULL,
+                email_domains TEXT[] NOT NULL DEFAULT '{}',
+                default_role VARCHAR(50),
+                enabled BOOLEAN DEFAULT TRUE,
+                created_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP,
+                updated_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP
+            )
+        `,
+        sql`CREATE INDEX IF NOT EXISTS idx_oidc_providers_domains ON company_oidc_providers USING GIN (email_domains)`,
+        sql`
+            CREATE TABLE IF NOT EXISTS oidc_login_states (
+                state_hash VARCHAR(64) PRIMARY KEY,
+                provider_id UUID REFERENCES company_oidc_providers(id) ON DELETE CASCADE,
+                nonce VARCHAR(64) NOT NULL,
+                code_verifier VARCHAR(128) NOT NULL,
+                expires_at TIMESTAMP NOT NULL,
+                created_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP
+            )
+        `
+    ],
+
+    down: sql => [
+        sql`DROP TABLE IF EXISTS oidc_login_states`,
+        sql`DROP TABLE IF EXISTS company_oidc_providers`
+    ]
+};
@@ -0,0 +1,10 @@
+// Contact profile photos: the base path of the resized files, e.g. /photos/1700000000000-1a2b3c4d
+module.exports = {
+    up: sql => [
+        sql`ALTER TABLE contacts ADD COLUMN IF NOT EXISTS photo VARCHAR(255)`
+    ],
+
+    down: sql => [
+        sql`ALTER TABLE contacts DROP COLUMN IF EXISTS photo`
+    ]
+};
@@ -0,0 +1,26 @@
+// Per-company custom contact fields: definitions per company, values per contact
+module.exports = {
+    up: sql => [
+        sql`
+            CREATE TABLE IF NOT EXISTS company_contact_fields (
+                id UUID PRIMARY KEY DEFAULT gen_random_uuid(),
+                company_id UUID REFERENCES companies(id) ON DELETE CASCADE,
+                key VARCHAR(50) NOT NULL,
+                label_en VARCHAR(100) NOT NULL,
+                label_ar VARCHAR(100),
+                type VARCHAR(20) NOT NULL DEFAULT 'text',
+                is_public BOOLEAN DEFAULT TRUE,
+                sort_order INTEGER DEFAULT 0,
+                created_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP,
+                updated_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP,
+                UNIQUE (company_id, key)
+            )
+        `,
+        sql`ALTER TABLE contacts ADD COLUMN IF NOT EXISTS custom_fields JSONB NOT NULL DEFAULT '{}'`
+    ],
+
+    down: sql => [
+        sql`ALTER TABLE contacts DROP COLUMN IF EXISTS custom_fields`,
+        sql`DROP TABLE IF EXISTS company_contact_fields`
+    ]
+};
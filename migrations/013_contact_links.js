@@ -0,0 +1,34 @@
+// Ordered, typed action links on contacts (WhatsApp, LinkedIn, booking pages, ...) and their clicks
+module.exports = {
+    up: sql => [
+        sql`
+            CREATE TABLE IF NOT EXISTS contact_links (
+                id UUID PRIMARY KEY DEFAULT gen_random_uuid(),
+                contact_id VARCHAR(255) REFERENCES contacts(id) ON DELETE CASCADE,
+                type VARCHAR(30) NOT NULL,
+                label VARCHAR(100),
+                url VARCHAR(2000) NOT NULL,
+                position INTEGER NOT NULL DEFAULT 0,
+                created_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP,
+                updated_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP
+            )
+        `,
+        sql`CREATE INDEX IF NOT EXISTS idx_contact_links_contact ON contact_links(contact_id, position)`,
+        sql`
+            CREATE TABLE IF NOT EXISTS contact_link_clicks (
+                id BIGSERIAL PRIMARY KEY,
+                link_id UUID REFERENCES contact_links(id) ON DELETE CASCADE,
+                contact_id VARCHAR(255) REFERENCES contacts(id) ON DELETE CASCADE,
+                referrer VARCHAR(500),
+                clicked_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP
+            )
+        `,
+        sql`CREATE INDEX IF NOT EXISTS idx_contact_link_clicks_link ON contact_link_clicks(link_id, clicked_at)`,
+        sql`CREATE INDEX IF NOT EXISTS idx_contact_link_clicks_contact ON contact_link_clicks(contact_id, clicked_at)`
+    ],
+
+    down: sql => [
+        sql`DROP TABLE IF EXISTS contact_link_clicks`,
+        sql`DROP TABLE IF EXISTS contact_links`
+    ]
+};
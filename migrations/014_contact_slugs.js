@@ -0,0 +1,25 @@
+// Contact slugs: the public URL key (/c/:slug), separate from the permanent id.
+// Existing contacts keep their id as their slug; slugs a contact used before
+// are kept in contact_slug_redirects so old links and NFC tags still resolve.
+module.exports = {
+    up: sql => [
+        sql`ALTER TABLE contacts ADD COLUMN IF NOT EXISTS slug VARCHAR(255)`,
+        sql`UPDATE contacts SET slug = id WHERE slug IS NULL`,
+        sql`ALTER TABLE contacts ALTER COLUMN slug SET NOT NULL`,
+        sql`CREATE UNIQUE INDEX IF NOT EXISTS idx_contacts_slug ON contacts(slug)`,
+        sql`
+            CREATE TABLE IF NOT EXISTS contact_slug_redirects (
+                slug VARCHAR(255) PRIMARY KEY,
+                contact_id VARCHAR(255) REFERENCES contacts(id) ON DELETE CASCADE,
+                created_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP
+            )
+        `,
+        sql`CREATE INDEX IF NOT EXISTS idx_contact_slug_redirects_contact ON contact_slug_redirects(contact_id)`
+    ],
+
+    down: sql => [
+        sql`DROP TABLE IF EXISTS contact_slug_redirects`,
+        sql`DROP INDEX IF EXISTS idx_contacts_slug`,
+        sql`ALTER TABLE contacts DROP COLUMN IF EXISTS slug`
+    ]
+};
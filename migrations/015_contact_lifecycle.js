@@ -0,0 +1,23 @@
+// Contact lifecycle: active, suspended or departed, with an optional replacement
+// contact that a departed contact's card forwards to, and lead reassignment history
+module.exports = {
+    up: sql => [
+        sql`ALTER TABLE contacts ADD COLUMN IF NOT EXISTS status VARCHAR(20) NOT NULL DEFAULT 'active'`,
+        sql`ALTER TABLE contacts ADD COLUMN IF NOT EXISTS status_changed_at TIMESTAMP`,
+        sql`ALTER TABLE contacts ADD COLUMN IF NOT EXISTS replacement_contact_id VARCHAR(255) REFERENCES contacts(id) ON DELETE SET NULL`,
+        sql`ALTER TABLE contacts ADD COLUMN IF NOT EXISTS departure_message TEXT`,
+        sql`ALTER TABLE companies ADD COLUMN IF NOT EXISTS departed_contact_message TEXT`,
+        sql`ALTER TABLE leads ADD COLUMN IF NOT EXISTS reassigned_from_contact_id VARCHAR(255)`,
+        sql`ALTER TABLE leads ADD COLUMN IF NOT EXISTS reassigned_at TIMESTAMP`
+    ],
+
+    down: sql => [
+        sql`ALTER TABLE leads DROP COLUMN IF EXISTS reassigned_at`,
+        sql`ALTER TABLE leads DROP COLUMN IF EXISTS reassigned_from_contact_id`,
+        sql`ALTER TABLE companies DROP COLUMN IF EXISTS departed_contact_message`,
+        sql`ALTER TABLE contacts DROP COLUMN IF EXISTS departure_message`,
+        sql`ALTER TABLE contacts DROP COLUMN IF EXISTS replacement_contact_id`,
+        sql`ALTER TABLE contacts DROP COLUMN IF EXISTS status_changed_at`,
+        sql`ALTER TABLE contacts DROP COLUMN IF EXISTS status`
+    ]
+};
@@ -0,0 +1,21 @@
+// Soft delete: deleting a company, contact or lead moves it to the trash, from where
+// it can be restored until it is purged (explicitly, or after the retention window)
+module.exports = {
+    up: sql => [
+        sql`ALTER TABLE companies ADD COLUMN IF NOT EXISTS deleted_at TIMESTAMP`,
+        sql`ALTER TABLE contacts ADD COLUMN IF NOT EXISTS deleted_at TIMESTAMP`,
+        sql`ALTER TABLE leads ADD COLUMN IF NOT EXISTS deleted_at TIMESTAMP`,
+        sql`CREATE INDEX IF NOT EXISTS idx_companies_deleted_at ON companies(deleted_at) WHERE deleted_at IS NOT NULL`,
+        sql`CREATE INDEX IF NOT EXISTS idx_contacts_deleted_at ON contacts(deleted_at) WHERE deleted_at IS NOT NULL`,
+        sql`CREATE INDEX IF NOT EXISTS idx_leads_deleted_at ON leads(deleted_at) WHERE deleted_at IS NOT NULL`
+    ],
+
+    down: sql => [
+        sql`DROP INDEX IF EXISTS idx_leads_deleted_at`,
+        sql`DROP INDEX IF EXISTS idx_contacts_deleted_at`,
+        sql`DROP INDEX IF EXISTS idx_companies_deleted_at`,
+        sql`ALTER TABLE leads DROP COLUMN IF EXISTS deleted_at`,
+        sql`ALTER TABLE contacts DROP COLUMN IF EXISTS deleted_at`,
+        sql`ALTER TABLE companies DROP COLUMN IF EXISTS deleted_at`
+    ]
+};
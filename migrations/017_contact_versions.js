@@ -0,0 +1,38 @@
+// Contact version history: a snapshot of a contact's editable fields after every change,
+// with who made it. Existing contacts start with their values at migration time as version 1.
+module.exports = {
+    up: sql => [
+        sql`
+            CREATE TABLE IF NOT EXISTS contact_versions (
+                id BIGSERIAL PRIMARY KEY,
+                contact_id VARCHAR(255) REFERENCES contacts(id) ON DELETE CASCADE,
+                version INTEGER NOT NULL,
+                data JSONB NOT NULL,
+                change_type VARCHAR(20) NOT NULL,
+                restored_from_version INTEGER,
+                author_email VARCHAR(255),
+                author_role VARCHAR(50),
+                author_user_id UUID,
+                created_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP,
+                UNIQUE(contact_id, version)
+            )
+        `,
+        sql`
+            INSERT INTO contact_versions (contact_id, version, data, change_type)
+            SELECT id, 1,
+                   jsonb_build_object(
+                       'name_en', name_en, 'name_ar', name_ar,
+                       'position_en', position_en, 'position_ar', position_ar,
+                       'location', location, 'phone', phone, 'telephone', telephone,
+                       'email', email, 'website', website, 'custom_fields', custom_fields
+                   ),
+                   'baseline'
+            FROM contacts
+            ON CONFLICT (contact_id, version) DO NOTHING
+        `
+    ],
+
+    down: sql => [
+        sql`DROP TABLE IF EXISTS contact_versions`
+    ]
+};
@@ -0,0 +1,29 @@
+// Public card views (/c/:id and /qr/:id) with how the visitor arrived, their device class
+// and coarse location, and whether the view led to a saved contact, wallet pass or lead
+module.exports = {
+    up: sql => [
+        sql`
+            CREATE TABLE IF NOT EXISTS contact_views (
+                id UUID PRIMARY KEY DEFAULT gen_random_uuid(),
+                contact_id VARCHAR(255) REFERENCES contacts(id) ON DELETE CASCADE,
+                company_id UUID REFERENCES companies(id) ON DELETE CASCADE,
+                source VARCHAR(10) NOT NULL,
+                device VARCHAR(10) NOT NULL,
+                country VARCHAR(2),
+                region VARCHAR(100),
+                city VARCHAR(100),
+                viewed_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP,
+                saved_contact_at TIMESTAMP,
+                wallet_pass_at TIMESTAMP,
+                lead_submitted_at TIMESTAMP
+            )
+        `,
+        sql`CREATE INDEX IF NOT EXISTS idx_contact_views_contact ON contact_views(contact_id, viewed_at)`,
+        sql`CREATE INDEX IF NOT EXISTS idx_contact_views_company ON contact_views(company_id, viewed_at)`,
+        sql`CREATE INDEX IF NOT EXISTS idx_contact_views_viewed_at ON contact_views(viewed_at)`
+    ],
+
+    down: sql => [
+        sql`DROP TABLE IF EXISTS contact_views`
+    ]
+};
@@ -0,0 +1,39 @@
+// NFC tag registry: each physical tag's chip UID and a short random code (written to the
+// tag as /t/<code>), the company that owns it and the contact it currently opens,
+// plus the history of every assignment
+module.exports = {
+    up: sql => [
+        sql`
+            CREATE TABLE IF NOT EXISTS nfc_tags (
+                id UUID PRIMARY KEY DEFAULT gen_random_uuid(),
+                company_id UUID REFERENCES companies(id) ON DELETE CASCADE,
+                uid VARCHAR(32) NOT NULL UNIQUE,
+                code VARCHAR(16) NOT NULL UNIQUE,
+                label VARCHAR(100),
+                batch VARCHAR(100),
+                contact_id VARCHAR(255) REFERENCES contacts(id) ON DELETE SET NULL,
+                assigned_at TIMESTAMP,
+                created_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP
+            )
+        `,
+        sql`CREATE INDEX IF NOT EXISTS idx_nfc_tags_company ON nfc_tags(company_id, created_at)`,
+        sql`CREATE INDEX IF NOT EXISTS idx_nfc_tags_contact ON nfc_tags(contact_id)`,
+        sql`
+            CREATE TABLE IF NOT EXISTS nfc_tag_assignments (
+                id BIGSERIAL PRIMARY KEY,
+                tag_id UUID REFERENCES nfc_tags(id) ON DELETE CASCADE,
+                contact_id VARCHAR(255) REFERENCES contacts(id) ON DELETE SET NULL,
+                contact_name VARCHAR(255),
+                assigned_by VARCHAR(255),
+                assigned_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP,
+                unassigned_at TIMESTAMP
+            )
+        `,
+        sql`CREATE INDEX IF NOT EXISTS idx_nfc_tag_assignments_tag ON nfc_tag_assignments(tag_id, assigned_at)`
+    ],
+
+    down: sql => [
+        sql`DROP TABLE IF EXISTS nfc_tag_assignments`,
+        sql`DROP TABLE IF EXISTS nfc_tags`
+    ]
+};
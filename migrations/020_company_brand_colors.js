@@ -0,0 +1,13 @@
+// Company brand colors, used for the QR codes generated for its contacts
+// (NULL falls back to black on white)
+module.exports = {
+    up: sql => [
+        sql`ALTER TABLE companies ADD COLUMN IF NOT EXISTS brand_color VARCHAR(7)`,
+        sql`ALTER TABLE companies ADD COLUMN IF NOT EXISTS brand_background VARCHAR(7)`
+    ],
+
+    down: sql => [
+        sql`ALTER TABLE companies DROP COLUMN IF EXISTS brand_background`,
+        sql`ALTER TABLE companies DROP COLUMN IF EXISTS brand_color`
+    ]
+};
@@ -0,0 +1,11 @@
+// Where each contact field and the QR code go on a company's printed cards: overrides
+// of the default layout, keyed by field (see DEFAULT_PRINT_LAYOUT in server.js)
+module.exports = {
+    up: sql => [
+        sql`ALTER TABLE companies ADD COLUMN IF NOT EXISTS print_layout JSONB NOT NULL DEFAULT '{}'::jsonb`
+    ],
+
+    down: sql => [
+        sql`ALTER TABLE companies DROP COLUMN IF EXISTS print_layout`
+    ]
+};
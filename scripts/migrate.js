@@ -0,0 +1,287 @@
+/**
+ * Database migrations.
+ *
+ *   npm run db:migrate                      apply all pending migrations
+ *   npm run db:migrate -- --to 5            apply pending migrations up to version 5
+ *   npm run db:rollback                     roll back the latest migration
+ *   npm run db:rollback -- --steps 3        roll back the latest 3
+ *   npm run db:rollback -- --to 5           roll back everything after version 5
+ *   npm run db:migrate:status               list applied and pending migrations
+ *   npm run db:migrate:create -- add_notes  create migrations/011_add_notes.js
+ *
+ * Add --dry-run to print the SQL without running it.
+ *
+ * Migrations live in /migrations as NNN_name.js and export up(sql) and down(sql),
+ * each returning an array of `sql` queries. Each migration runs in one transaction
+ * together with its schema_migrations row, so it is applied completely or not at all.
+ */
+const fs = require('fs');
+const path = require('path');
+const crypto = require('crypto');
+const { neon } = require('@neondatabase/serverless');
+require('dotenv').config();
+
+const MIGRATIONS_DIR = path.join(__dirname, '..', 'migrations');
+const MIGRATION_FILE_PATTERN = /^(\d{3,})_([a-z0-9_]+)\.js$/;
+
+// New migration file, headed by its name as a sentence: add_notes -> "// Add notes"
+function migrationTemplate(slug) {
+    const description = slug.replace(/_/g, ' ');
+    return `// ${description.charAt(0).toUpperCase()}${description.slice(1)}
+module.exports = {
+    up: sql => [
+    ],
+
+    down: sql => [
+    ]
+};
+`;
+}
+
+/**
+ * Read the migration files, sorted by version
+ * @returns {Array<{version: number, name: string, file: string, checksum: string, up: Function, down: Function}>}
+ */
+function loadMigrations() {
+    const files = fs.readdirSync(MIGRATIONS_DIR).filter(file => file.endsWith('.js')).sort();
+    const migrations = [];
+    const seen = new Map();
+
+    for (const file of files) {
+        const match = file.match(MIGRATION_FILE_PATTERN);
+        if (!match) {
+            throw new Error(`Invalid migration file name: ${file} (expected NNN_name.js)`);
+        }
+
+        const version = parseInt(match[1], 10);
+        if (seen.has(version)) {
+            throw new Error(`Duplicate migration version ${version}: ${seen.get(version)} and ${file}`);
+        }
+        seen.set(version, file);
+
+        const fullPath = path.join(MIGRATIONS_DIR, file);
+        const migration = require(fullPath);
+        if (typeof migration.up !== 'function' || typeof migration.down !== 'function') {
+            throw new Error(`Migration ${file} must export up(sql) and down(sql)`);
+        }
+
+        migrations.push({
+            version,
+            name: match[2],
+            file,
+            checksum: crypto.createHash('sha256').update(fs.readFileSync(fullPath)).digest('hex'),
+            up: migration.up,
+            down: migration.down
+        });
+    }
+
+    return migrations.sort((a, b) => a.version - b.version);
+}
+
+// Stands in for the neon `sql` tag during --dry-run: builds the query text instead of running it
+function dryRunSql(strings, ...values) {
+    return {
+        text: strings.reduce((text, part, i) => `${text}$${i}${part}`),
+        values
+    };
+}
+
+function printStatement(query) {
+    const lines = query.text.split('\n');
+    const indents = lines.filter(line => line.trim()).map(line => line.match(/^ */)[0].length);
+    const indent = Math.min(...indents.slice(1), lines[0].trim() ? 0 : Infinity);
+    const text = lines.map(line => line.slice(Number.isFinite(indent) ? indent : 0)).join('\n').trim();
+
+    console.log(`    ${text.replace(/\n/g, '\n    ')};`);
+    if (query.values.length > 0) {
+        console.log(`    -- params: ${JSON.stringify(query.values)}`);
+    }
+}
+
+async function migrationsTableExists(sql) {
+    const result = await sql`SELECT to_regclass('schema_migrations') IS NOT NULL as exists`;
+    return result[0].exists;
+}
+
+async function ensureMigrationsTable(sql) {
+    await sql`
+        CREATE TABLE IF NOT EXISTS schema_migrations (
+            version INTEGER PRIMARY KEY,
+            name VARCHAR(255) NOT NULL,
+            checksum VARCHAR(64) NOT NULL,
+            applied_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP
+        )
+    `;
+}
+
+async function getAppliedMigrations(sql) {
+    if (!sql || !(await migrationsTableExists(sql))) {
+        return new Map();
+    }
+    const rows = await sql`SELECT version, name, checksum, applied_at FROM schema_migrations ORDER BY version`;
+    return new Map(rows.map(row => [row.version, row]));
+}
+
+async function migrateUp(sql, migrations, applied, { to, dryRun }) {
+    const pending = migrations.filter(m => !applied.has(m.version) && (to === null || m.version <= to));
+
+    if (pending.length === 0) {
+        console.log('✅ Database is up to date');
+        return;
+    }
+
+    if (!dryRun) {
+        await ensureMigrationsTable(sql);
+    }
+
+    for (const migration of pending) {
+        if (dryRun) {
+            console.log(`\n🔎 ${migration.file} (up)`);
+            migration.up(dryRunSql).forEach(printStatement);
+            continue;
+        }
+
+        await sql.transaction([
+            ...migration.up(sql),
+            sql`
+                INSERT INTO schema_migrations (version, name, checksum)
+                VALUES (${migration.version}, ${migration.name}, ${migration.checksum})
+            `
+        ]);
+        console.log(`✅ Applied ${migration.file}`);
+    }
+
+    console.log(dryRun
+        ? `\n🔎 Dry run: ${pending.length} migration(s) would be applied`
+        : `\n🎉 Applied ${pending.length} migration(s)`);
+}
+
+async function migrateDown(sql, migrations, applied, { to, steps, dryRun }) {
+    const appliedVersions = [...applied.keys()].sort((a, b) => b - a);
+    const targets = to !== null
+        ? appliedVersions.filter(version => version > to)
+        : appliedVersions.slice(0, steps);
+
+    if (targets.length === 0) {
+        console.log('✅ Nothing to roll back');
+        return;
+    }
+
+    for (const version of targets) {
+        const migration = migrations.find(m => m.version === version);
+        if (!migration) {
+            throw new Error(`Migration ${version} (${applied.get(version).name}) is applied but its file is missing`);
+        }
+
+        if (dryRun) {
+            console.log(`\n🔎 ${migration.file} (down)`);
+            migration.down(dryRunSql).forEach(printStatement);
+            continue;
+        }
+
+        await sql.transaction([
+            ...migration.down(sql),
+            sql`DELETE FROM schema_migrations WHERE version = ${version}`
+        ]);
+        console.log(`↩️  Rolled back ${migration.file}`);
+    }
+
+    console.log(dryRun
+        ? `\n🔎 Dry run: ${targets.length} migration(s) would be rolled back`
+        : `\n🎉 Rolled back ${targets.length} migration(s)`);
+}
+
+function printStatus(migrations, applied) {
+    for (const migration of migrations) {
+        const row = applied.get(migration.version);
+        if (!row) {
+            console.log(`⏳ ${migration.file}  pending`);
+            continue;
+        }
+
+        const changed = row.checksum !== migration.checksum ? '  ⚠️  file changed since it was applied' : '';
+        console.log(`✅ ${migration.file}  applied ${new Date(row.applied_at).toISOString()}${changed}`);
+    }
+
+    for (const [version, row] of applied) {
+        if (!migrations.some(m => m.version === version)) {
+            console.log(`❓ ${version} ${row.name}  applied, but the file is missing`);
+        }
+    }
+}
+
+function createMigration(migrations, name) {
+    const slug = String(name || '').toLowerCase().replace(/[^a-z0-9]+/g, '_').replace(/^_|_$/g, '');
+    if (!slug) {
+        throw new Error('Usage: npm run db:migrate:create -- <name>');
+    }
+
+    const nextVersion = migrations.length > 0 ? migrations[migrations.length - 1].version + 1 : 1;
+    const file = `${String(nextVersion).padStart(3, '0')}_${slug}.js`;
+    fs.writeFileSync(path.join(MIGRATIONS_DIR, file), migrationTemplate(slug));
+    console.log(`✅ Created migrations/${file}`);
+}
+
+function parseArgs(argv) {
+    const options = { command: argv[0] || 'up', name: null, to: null, steps: 1, dryRun: false };
+
+    for (let i = 1; i < argv.length; i++) {
+        const [flag, inlineValue] = argv[i].split('=');
+        const value = () => inlineValue !== undefined ? inlineValue : argv[++i];
+
+        if (flag === '--dry-run') {
+            options.dryRun = true;
+        } else if (flag === '--to') {
+            options.to = parseInt(value(), 10);
+        } else if (flag === '--steps') {
+            options.steps = parseInt(value(), 10);
+        } else if (!flag.startsWith('--')) {
+            options.name = flag;
+        } else {
+            throw new Error(`Unknown option: ${flag}`);
+        }
+    }
+
+    if (Number.isNaN(options.to) || Number.isNaN(options.steps) || options.steps < 1) {
+        throw new Error('--to and --steps must be numbers (--steps at least 1)');
+    }
+    return options;
+}
+
+async function main() {
+    const options = parseArgs(process.argv.slice(2));
+    const migrations = loadMigrations();
+
+    if (options.command === 'create') {
+        createMigration(migrations, options.name);
+        return;
+    }
+
+    if (!process.env.DATABASE_URL && !options.dryRun) {
+        console.error('❌ DATABASE_URL not found in environment variables');
+        process.exit(1);
+    }
+
+    // A dry run without a database shows every migration as pending
+    const sql = process.env.DATABASE_URL ? neon(process.env.DATABASE_URL) : null;
+    const applied = await getAppliedMigrations(sql);
+
+    switch (options.command) {
+        case 'up':
+            await migrateUp(sql, migrations, applied, options);
+            break;
+        case 'down':
+            await migrateDown(sql, migrations, applied, options);
+            break;
+        case 'status':
+            printStatus(migrations, applied);
+            break;
+        default:
+            throw new Error(`Unknown command: ${options.command} (expected up, down, status or create)`);
+    }
+}
+
+main().catch(error => {
+    console.error('❌ Migration failed:', error.message);
+    process.exit(1);
+});
@@ -0,0 +1,165 @@
+/**
+ * Minimal OpenID Connect issuer for testing company SSO locally without Google.
+ *
+ *   npm run oidc:mock
+ *
+ * Then configure a company (PUT /api/companies/:id/sso) with:
+ *   issuer:       http://localhost:4000
+ *   clientId:     mock-client
+ *   clientSecret: mock-secret
+ *   emailDomains: ["example.com"]
+ * and run the app with BASE_URL=http://localhost:3000 so the redirect URI matches.
+ *
+ * The authorize page lets you pick any email to sign in as; it is not secure
+ * and must never be exposed publicly.
+ */
+const express = require('express');
+const crypto = require('crypto');
+const { SignJWT, generateKeyPair, exportJWK } = require('jose');
+require('dotenv').config();
+
+const PORT = process.env.MOCK_OIDC_PORT || 4000;
+const ISSUER = process.env.MOCK_OIDC_ISSUER || `http://localhost:${PORT}`;
+const CLIENT_ID = process.env.MOCK_OIDC_CLIENT_ID || 'mock-client';
+const CLIENT_SECRET = process.env.MOCK_OIDC_CLIENT_SECRET || 'mock-secret';
+const CODE_TTL_MS = 60 * 1000;
+
+// Authorization codes waiting to be exchanged
+const pendingCodes = new Map();
+
+function escapeHtml(value) {
+    return String(value || '').replace(/[&<>"']/g, c => ({
+        '&': '&amp;', '<': '&lt;', '>': '&gt;', '"': '&quot;', "'": '&#39;'
+    }[c]));
+}
+
+async function startIssuer() {
+    const { publicKey, privateKey } = await generateKeyPair('RS256');
+    const publicJwk = { ...(await exportJWK(publicKey)), kid: 'mock-key', alg: 'RS256', use: 'sig' };
+
+    const app = express();
+    app.use(express.urlencoded({ extended: true }));
+
+    app.get('/.well-known/openid-configuration', (req, res) => {
+        res.json({
+            issuer: ISSUER,
+            authorization_endpoint: `${ISSUER}/authorize`,
+            token_endpoint: `${ISSUER}/token`,
+            jwks_uri: `${ISSUER}/jwks`,
+            response_types_supported: ['code'],
+            subject_types_supported: ['public'],
+            id_token_signing_alg_values_supported: ['RS256'],
+            code_challenge_methods_supported: ['S256'],
+            scopes_supported: ['openid', 'email', 'profile']
+        });
+    });
+
+    app.get('/jwks', (req, res) => {
+        res.json({ keys: [publicJwk] });
+    });
+
+    // Sign-in page: choose who to be and whether the email is verified
+    app.get('/authorize', (req, res) => {
+        const { client_id, redirect_uri, state, nonce, code_challenge, login_hint } = req.query;
+
+        if (client_id !== CLIENT_ID) {
+            return res.status(400).send('Unknown client_id');
+        }
+
+        res.send(`<!DOCTYPE html>
+<html>
+<head><title>Mock OIDC Issuer</title></head>
+<body style="font-family: sans-serif; max-width: 420px; margin: 4rem auto;">
+    <h1>Mock OIDC Issuer</h1>
+    <form method="POST" action="/authorize">
+        <input type="hidden" name="redirect_uri" value="${escapeHtml(redirect_uri)}">
+        <input type="hidden" name="state" value="${escapeHtml(state)}">
+        <input type="hidden" name="nonce" value="${escapeHtml(nonce)}">
+        <input type="hidden" name="code_challenge" value="${escapeHtml(code_challenge)}">
+        <p><label>Email<br><input type="email" name="email" value="${escapeHtml(login_hint)}" required></label></p>
+        <p><label>Name<br><input type="text" name="name"></label></p>
+        <p><label><input type="checkbox" name="email_verified" value="true" checked> Email verified</label></p>
+        <button type="submit">Sign in</button>
+    </form>
+</body>
+</html>`);
+    });
+
+    app.post('/authorize', (req, res) => {
+        const { redirect_uri, state, nonce, code_challenge, email, name, email_verified } = req.body;
+        const code = crypto.randomBytes(16).toString('hex');
+
+        pendingCodes.set(code, {
+            redirectUri: redirect_uri,
+            nonce,
+            codeChallenge: code_challenge,
+            email,
+            name,
+            emailVerified: email_verified === 'true',
+            expiresAt: Date.now() + CODE_TTL_MS
+        });
+
+        const url = new URL(redirect_uri);
+        url.searchParams.set('code', code);
+        url.searchParams.set('state', state);
+        res.redirect(url.toString());
+    });
+
+    app.post('/token', async (req, res) => {
+        let { client_id, client_secret } = req.body;
+        const { code, redirect_uri, code_verifier } = req.body;
+
+        // Accept client_secret_basic as well as client_secret_post
+        const authorization = req.headers['authorization'] || '';
+        if (authorization.startsWith('Basic ')) {
+            [client_id, client_secret] = Buffer.from(authorization.slice(6), 'base64').toString().split(':');
+        }
+
+        if (client_id !== CLIENT_ID || client_secret !== CLIENT_SECRET) {
+            return res.status(401).json({ error: 'invalid_client' });
+        }
+
+        const pending = pendingCodes.get(code);
+        pendingCodes.delete(code);
+
+        if (!pending || pending.expiresAt < Date.now() || pending.redirectUri !== redirect_uri) {
+            return res.status(400).json({ error: 'invalid_grant' });
+        }
+
+        if (pending.codeChallenge) {
+            const challenge = crypto.createHash('sha256').update(code_verifier || '').digest('base64url');
+            if (challenge !== pending.codeChallenge) {
+                return res.status(400).json({ error: 'invalid_grant', error_description: 'PKCE verification failed' });
+            }
+        }
+
+        const idToken = await new SignJWT({
+            email: pending.email,
+            email_verified: pending.emailVerified,
+            name: pending.name || undefined,
+            nonce: pending.nonce
+        })
+            .setProtectedHeader({ alg: 'RS256', kid: publicJwk.kid })
+            .setIssuer(ISSUER)
+            .setAudience(CLIENT_ID)
+            .setSubject(crypto.createHash('sha256').update(pending.email).digest('hex').slice(0, 24))
+            .setIssuedAt()
+            .setExpirationTime('5m')
+            .sign(privateKey);
+
+        res.json({
+            access_token: crypto.randomBytes(16).toString('hex'),
+            token_type: 'Bearer',
+            expires_in: 300,
+            id_token: idToken
+        });
+    });
+
+    app.listen(PORT, () => {
+        console.log(`🔑 Mock OIDC issuer running at ${ISSUER}`);
+        console.log(`   client_id: ${CLIENT_ID}`);
+        console.log(`   client_secret: ${CLIENT_SECRET}`);
+    });
+}
+
+startIssuer();
@@ -1,11 +1,22 @@
 const express = require('express');
 const path = require('path');
 const fs = require('fs');
+const crypto = require('crypto');
+const { promisify } = require('util');
 const multer = require('multer');
+const sharp = require('sharp');
+const qrcode = require('qrcode-generator');
+const archiver = require('archiver');
+const PDFDocument = require('pdfkit');
+const fontkit = require('fontkit');
+const ExcelJS = require('exceljs');
+const { parse: parseCsv } = require('csv-parse/sync');
+const cookieParser = require('cookie-parser');
 const { neon } = require('@neondatabase/serverless');
 const { Resend } = require('resend');
 const { v4: uuidv4 } = require('uuid');
-const { SignJWT, importPKCS8 } = require('jose');
+const { SignJWT, importPKCS8, createRemoteJWKSet, jwtVerify } = require('jose');
+const { OAuth2Client } = require('google-auth-library');
 require('dotenv').config();
 
 // ==================== WALLET CONFIGURATION ====================
@@ -115,6 +126,11 @@ async function generateGoogleWalletJWT(contact, company) {
                     uri: company.logo.startsWith('http') ? company.logo : `https://bc-feedbacknfc-com.vercel.app${company.logo}`
                 }
             } : undefined,
+            logo: contact.photoUrl ? {
+                sourceUri: {
+                    uri: contact.photoUrl
+                }
+            } : undefined,
             cardTitle: {
                 defaultValue: {
                     language: 'en',
@@ -143,13 +159,19 @@ async function generateGoogleWalletJWT(contact, company) {
                     id: 'email', 
                     header: 'Email',
                     body: contact.email || ''
-                }
+                },
+                ...(contact.customFields || []).map(field => ({
+                    id: `custom_${field.key}`,
+                    header: field.labelEn,
+                    body: field.value
+                }))
             ],
             hexBackgroundColor: '#22C55E'
         };
         
         // Remove undefined fields
         if (!passObject.heroImage) delete passObject.heroImage;
+        if (!passObject.logo) delete passObject.logo;
         
         console.log('Google Wallet pass object:', JSON.stringify(passObject, null, 2));
 
@@ -211,6 +233,8 @@ async function generateSamsungWalletToken(contact, company) {
                             idType: 'Business Card',
                             idNumber: contact.id,
                             name: contact.nameEn,
+                            // Holder photo
+                            mainImg: contact.photoUrl || undefined,
                             // Additional info
                             data1: company.name || '',
                             data2: contact.phone,
@@ -296,321 +320,7340 @@ const logoUpload = multer({
 const app = express();
 const PORT = process.env.PORT || 3000;
 
+// Trust the first proxy hop (Vercel edge) so req.ip is the client address
+app.set('trust proxy', 1);
+
 // Middleware
 app.use(express.json());
 app.use(express.urlencoded({ extended: true }));
+app.use(cookieParser());
 app.use(express.static(path.join(__dirname, 'public')));
 
+// The dashboard's in-browser QR previews use the same library as the server, served
+// from here rather than a CDN
+app.get('/js/qrcode.js', (req, res) => {
+    res.sendFile(require.resolve('qrcode-generator'));
+});
+
 // Initialize Neon
 const sql = process.env.DATABASE_URL ? neon(process.env.DATABASE_URL) : null;
 
 // Initialize Resend
 const resend = process.env.RESEND_API_KEY ? new Resend(process.env.RESEND_API_KEY) : null;
 
-// Super admin config
-const SUPER_ADMIN_EMAIL = 'ml@feedbacknfc.com';
+// Break-glass super admin access (used when email delivery is down).
+// BREAK_GLASS_CODE only works until BREAK_GLASS_EXPIRES_AT, so it has to be
+// deliberately re-armed each time it is needed.
+const BREAK_GLASS_CONFIG = {
+    code: process.env.BREAK_GLASS_CODE || '',
+    expiresAt: process.env.BREAK_GLASS_EXPIRES_AT ? new Date(process.env.BREAK_GLASS_EXPIRES_AT) : null,
+    sessionTtlMs: 60 * 60 * 1000, // break-glass sessions last 1 hour and are not extended
+    minCodeLength: 20,
+    get isArmed() {
+        return this.code.length >= this.minCodeLength &&
+            !!this.expiresAt && !isNaN(this.expiresAt) && this.expiresAt > new Date();
+    }
+};
+
+// Public base URL used in emailed links
+const BASE_URL = process.env.BASE_URL || 'https://bc.feedbacknfc.com';
 
 // Generate 6-digit auth code
 function generateAuthCode() {
     return Math.floor(100000 + Math.random() * 900000).toString();
 }
 
-// ==================== API ROUTES ====================
+// For values inserted into email HTML
+function escapeHtml(value) {
+    return String(value ?? '').replace(/[&<>"']/g, c => ({
+        '&': '&amp;', '<': '&lt;', '>': '&gt;', '"': '&quot;', "'": '&#39;'
+    }[c]));
+}
 
-// Request auth code (super admin login)
-app.post('/api/auth/request-code', async (req, res) => {
-    try {
-        const { email } = req.body;
-        
-        if (email !== SUPER_ADMIN_EMAIL) {
-            return res.status(401).json({ error: 'Unauthorized email' });
-        }
-        
-        const code = generateAuthCode();
-        const expiresAt = new Date(Date.now() + 10 * 60 * 1000); // 10 minutes
-        
-        // Store auth code in database
-        if (sql) {
-            await sql`
-                INSERT INTO auth_codes (email, code, expires_at)
-                VALUES (${email}, ${code}, ${expiresAt})
-                ON CONFLICT (email) 
-                DO UPDATE SET code = ${code}, expires_at = ${expiresAt}
-            `;
-        }
-        
-        // Log code for development
-        console.log(`\n========================================`);
-        console.log(`Auth Code for ${email}: ${code}`);
-        console.log(`========================================\n`);
-        
-        // Send email via Resend
-        try {
-            if (resend) {
-                await resend.emails.send({
-                    from: process.env.EMAIL_FROM || 'onboarding@resend.dev',
-                    to: email,
-                    subject: 'Your Login Code - FeedbackNFC Admin',
-                    html: `
-                        <div style="font-family: Arial, sans-serif; max-width: 400px; margin: 0 auto; padding: 20px;">
-                            <h2 style="color: #22C55E;">FeedbackNFC Admin</h2>
-                            <p>Your login verification code is:</p>
-                            <div style="background: #F5F3EF; padding: 20px; text-align: center; font-size: 32px; font-weight: bold; letter-spacing: 8px; border-radius: 8px;">
-                                ${code}
-                            </div>
-                            <p style="color: #666; margin-top: 20px;">This code expires in 10 minutes.</p>
-                        </div>
-                    `
-                });
-                console.log('Email sent successfully via Resend');
-            }
-        } catch (err) {
-            console.log('Email sending failed:', err.message);
-        }
-        
-        // Include code in response for debugging (remove in production)
-        const debugMode = process.env.DEBUG_MODE === 'true';
-        res.json({ 
-            success: true, 
-            message: 'Verification code sent to email',
-            ...(debugMode && { code }) // Only include code if DEBUG_MODE is true
-        });
-    } catch (error) {
-        console.error('Request code error:', error);
-        res.status(500).json({ error: 'Server error' });
+// ==================== PASSWORD HELPERS ====================
+
+const scrypt = promisify(crypto.scrypt);
+
+// Stored format: scrypt$N$r$p$salt$hash (salt and hash base64 encoded)
+const PASSWORD_HASH_PREFIX = 'scrypt$';
+const SCRYPT_PARAMS = { N: 16384, r: 8, p: 1 };
+const SCRYPT_KEY_LENGTH = 64;
+const PASSWORD_MIN_LENGTH = 8;
+const PASSWORD_RESET_TTL_MS = 60 * 60 * 1000; // 1 hour
+
+/**
+ * Hash a password with a random salt using scrypt
+ * @param {string} password - Plaintext password
+ * @returns {Promise<string>} - Encoded hash suitable for companies.password
+ */
+async function hashPassword(password) {
+    const salt = crypto.randomBytes(16);
+    const derived = await scrypt(password, salt, SCRYPT_KEY_LENGTH, SCRYPT_PARAMS);
+    const { N, r, p } = SCRYPT_PARAMS;
+    return `${PASSWORD_HASH_PREFIX}${N}$${r}$${p}$${salt.toString('base64')}$${derived.toString('base64')}`;
+}
+
+function isPasswordHash(stored) {
+    return typeof stored === 'string' && stored.startsWith(PASSWORD_HASH_PREFIX);
+}
+
+/**
+ * Check a password against a stored value. Rows created before hashing was
+ * introduced still hold plaintext; those are compared in constant time so the
+ * caller can upgrade them after a successful login.
+ * @param {string} password - Plaintext password from the request
+ * @param {string} stored - Value of companies.password
+ * @returns {Promise<boolean>}
+ */
+async function verifyPassword(password, stored) {
+    if (typeof password !== 'string' || !stored) {
+        return false;
     }
-});
 
-// Verify auth code (super admin login)
-app.post('/api/auth/verify-code', async (req, res) => {
-    try {
-        const { email, code } = req.body;
-        
-        if (!sql) {
-            return res.status(500).json({ error: 'Database not configured' });
-        }
-        
-        // Bypass code: Accept special code for super admin (set via environment variable)
-        // Use ADMIN_BYPASS_CODE env var, defaults to "000000" in development
-        const bypassCode = process.env.ADMIN_BYPASS_CODE || (process.env.NODE_ENV !== 'production' ? '000000' : null);
-        const isBypass = bypassCode && code === bypassCode && email === SUPER_ADMIN_EMAIL;
-        
-        if (isBypass) {
-            console.log(`\n🔓 BYPASS: Authenticated ${email} with bypass code\n`);
-            
-            // Create session
-            const sessionId = uuidv4();
-            const sessionExpires = new Date(Date.now() + 24 * 60 * 60 * 1000); // 24 hours
-            
-            await sql`
-                INSERT INTO sessions (id, email, role, expires_at)
-                VALUES (${sessionId}, ${email}, 'super_admin', ${sessionExpires})
-            `;
-            
-            return res.json({ success: true, sessionId, role: 'super_admin' });
-        }
-        
-        // Get auth code from database
-        const result = await sql`
-            SELECT code, expires_at FROM auth_codes WHERE email = ${email}
-        `;
-        
-        if (result.length === 0) {
-            return res.status(401).json({ error: 'No pending verification' });
-        }
-        
-        const authData = result[0];
-        
-        if (new Date() > new Date(authData.expires_at)) {
-            await sql`DELETE FROM auth_codes WHERE email = ${email}`;
-            return res.status(401).json({ error: 'Code expired' });
-        }
-        
-        if (authData.code !== code) {
-            return res.status(401).json({ error: 'Invalid code' });
-        }
-        
-        // Create session
-        const sessionId = uuidv4();
-        const sessionExpires = new Date(Date.now() + 24 * 60 * 60 * 1000); // 24 hours
-        
-        await sql`
-            INSERT INTO sessions (id, email, role, expires_at)
-            VALUES (${sessionId}, ${email}, 'super_admin', ${sessionExpires})
-        `;
-        
-        // Delete used auth code
-        await sql`DELETE FROM auth_codes WHERE email = ${email}`;
-        
-        res.json({ success: true, sessionId, role: 'super_admin' });
-    } catch (error) {
-        console.error('Verify code error:', error);
-        res.status(500).json({ error: 'Server error' });
+    if (!isPasswordHash(stored)) {
+        const given = Buffer.from(password);
+        const expected = Buffer.from(stored);
+        return given.length === expected.length && crypto.timingSafeEqual(given, expected);
     }
-});
 
-// Company login
-app.post('/api/auth/company-login', async (req, res) => {
-    try {
-        const { email, password } = req.body;
-        
-        if (!sql) {
-            return res.status(500).json({ error: 'Database not configured' });
-        }
-        
-        // Debug: Log login attempt
-        console.log(`\nCompany login attempt: ${email}`);
-        
-        // Case-insensitive email lookup
-        const result = await sql`
-            SELECT id, name, email, subscription_tier FROM companies 
-            WHERE LOWER(email) = LOWER(${email}) AND password = ${password}
-        `;
-        
-        if (result.length === 0) {
-            // Debug: Check if company exists (without password check)
-            const companyCheck = await sql`
-                SELECT id, name, email FROM companies WHERE LOWER(email) = LOWER(${email})
-            `;
-            if (companyCheck.length > 0) {
-                console.log(`Company found but password mismatch for: ${email}`);
-            } else {
-                console.log(`No company found with email: ${email}`);
-                // List all companies for debugging
-                const allCompanies = await sql`SELECT name, email FROM companies`;
-                console.log('Available companies:', allCompanies.map(c => c.email));
-            }
-            return res.status(401).json({ error: 'Invalid credentials' });
-        }
-        
-        const company = result[0];
-        
-        // Create session
-        const sessionId = uuidv4();
-        const sessionExpires = new Date(Date.now() + 24 * 60 * 60 * 1000); // 24 hours
-        
-        await sql`
-            INSERT INTO sessions (id, email, role, company_id, expires_at)
-            VALUES (${sessionId}, ${email}, 'company_admin', ${company.id}, ${sessionExpires})
-        `;
-        
-        res.json({ 
-            success: true, 
-            sessionId, 
-            role: 'company_admin',
-            company: {
-                id: company.id,
-                name: company.name,
-                subscriptionTier: company.subscription_tier || 'basic'
-            }
-        });
-    } catch (error) {
-        console.error('Company login error:', error);
-        res.status(500).json({ error: 'Server error' });
+    const [, N, r, p, salt, hash] = stored.split('$');
+    const expected = Buffer.from(hash, 'base64');
+    const derived = await scrypt(password, Buffer.from(salt, 'base64'), expected.length, {
+        N: parseInt(N), r: parseInt(r), p: parseInt(p)
+    });
+    return crypto.timingSafeEqual(derived, expected);
+}
+
+// Returns an error message, or null if the password is acceptable
+function validatePassword(password) {
+    if (typeof password !== 'string' || password.length < PASSWORD_MIN_LENGTH) {
+        return `Password must be at least ${PASSWORD_MIN_LENGTH} characters`;
     }
-});
+    return null;
+}
 
-// Logout
-app.post('/api/auth/logout', async (req, res) => {
-    try {
-        const sessionId = req.headers['x-session-id'];
-        if (sessionId && sql) {
-            await sql`DELETE FROM sessions WHERE id = ${sessionId}`;
+function hashToken(token) {
+    return crypto.createHash('sha256').update(token).digest('hex');
+}
+
+// ==================== TWO-FACTOR HELPERS ====================
+
+// TOTP (RFC 6238) settings compatible with Google Authenticator, 1Password, Authy, etc.
+const TOTP_CONFIG = {
+    issuer: 'FeedbackNFC',
+    digits: 6,
+    periodSeconds: 30,
+    window: 1 // accept one step either side for clock drift
+};
+const TWO_FACTOR_CHALLENGE_TTL_MS = 5 * 60 * 1000;
+const TWO_FACTOR_MAX_ATTEMPTS = 5;
+const RECOVERY_CODE_COUNT = 10;
+const BASE32_ALPHABET = 'ABCDEFGHIJKLMNOPQRSTUVWXYZ234567';
+
+function base32Encode(buffer) {
+    let bits = 0;
+    let value = 0;
+    let output = '';
+    
+    for (const byte of buffer) {
+        value = (value << 8) | byte;
+        bits += 8;
+        while (bits >= 5) {
+            output += BASE32_ALPHABET[(value >>> (bits - 5)) & 31];
+            bits -= 5;
         }
-        res.json({ success: true });
-    } catch (error) {
-        console.error('Logout error:', error);
-        res.status(500).json({ error: 'Server error' });
     }
-});
+    if (bits > 0) {
+        output += BASE32_ALPHABET[(value << (5 - bits)) & 31];
+    }
+    return output;
+}
 
-// Get current session
-app.get('/api/auth/session', async (req, res) => {
-    try {
-        const sessionId = req.headers['x-session-id'];
-        
-        if (!sessionId || !sql) {
-            return res.status(401).json({ error: 'No session' });
+function base32Decode(input) {
+    const clean = input.toUpperCase().replace(/=+$/, '').replace(/\s/g, '');
+    let bits = 0;
+    let value = 0;
+    const bytes = [];
+    
+    for (const char of clean) {
+        const index = BASE32_ALPHABET.indexOf(char);
+        if (index === -1) {
+            throw new Error('Invalid base32 character');
         }
-        
-        const result = await sql`
-            SELECT s.email, s.role, s.company_id, c.subscription_tier, c.name as company_name
-            FROM sessions s
-            LEFT JOIN companies c ON c.id = s.company_id
-            WHERE s.id = ${sessionId} AND s.expires_at > NOW()
-        `;
-        
-        if (result.length === 0) {
-            return res.status(401).json({ error: 'Session expired' });
+        value = (value << 5) | index;
+        bits += 5;
+        if (bits >= 8) {
+            bytes.push((value >>> (bits - 8)) & 255);
+            bits -= 8;
         }
-        
-        const session = result[0];
-        res.json({ 
-            email: session.email, 
-            role: session.role, 
-            companyId: session.company_id,
-            companyName: session.company_name,
-            subscriptionTier: session.subscription_tier || 'basic',
-            sessionId 
-        });
-    } catch (error) {
-        console.error('Session check error:', error);
-        res.status(500).json({ error: 'Server error' });
     }
-});
+    return Buffer.from(bytes);
+}
 
-// Auth middleware
-async function requireAuth(req, res, next) {
-    try {
-        const sessionId = req.headers['x-session-id'];
-        
-        if (!sessionId || !sql) {
-            return res.status(401).json({ error: 'Unauthorized' });
+function generateTotpSecret() {
+    return base32Encode(crypto.randomBytes(20));
+}
+
+// TOTP code for a given time step (HOTP with dynamic truncation, HMAC-SHA1)
+function totpCode(secret, step) {
+    const counter = Buffer.alloc(8);
+    counter.writeBigUInt64BE(BigInt(step));
+    
+    const hmac = crypto.createHmac('sha1', base32Decode(secret)).update(counter).digest();
+    const offset = hmac[hmac.length - 1] & 0xf;
+    const binary = (hmac.readUInt32BE(offset) & 0x7fffffff) % 10 ** TOTP_CONFIG.digits;
+    return binary.toString().padStart(TOTP_CONFIG.digits, '0');
+}
+
+/**
+ * Check a TOTP code. Steps at or before lastUsedStep are rejected so a code
+ * can't be replayed within its validity window.
+ * @param {string} secret - Base32 secret
+ * @param {string} code - Code entered by the user
+ * @param {number|null} lastUsedStep - Last accepted step for this user
+ * @returns {number|null} - The matching step, or null if the code is invalid
+ */
+function verifyTotp(secret, code, lastUsedStep = null) {
+    const normalized = String(code || '').replace(/\s/g, '');
+    if (!secret || !/^\d+$/.test(normalized) || normalized.length !== TOTP_CONFIG.digits) {
+        return null;
+    }
+    
+    const currentStep = Math.floor(Date.now() / 1000 / TOTP_CONFIG.periodSeconds);
+    for (let step = currentStep - TOTP_CONFIG.window; step <= currentStep + TOTP_CONFIG.window; step++) {
+        if (lastUsedStep !== null && step <= Number(lastUsedStep)) {
+            continue;
         }
-        
-        const result = await sql`
-            SELECT email, role, company_id FROM sessions 
-            WHERE id = ${sessionId} AND expires_at > NOW()
-        `;
-        
-        if (result.length === 0) {
-            return res.status(401).json({ error: 'Session expired' });
+        const expected = totpCode(secret, step);
+        if (crypto.timingSafeEqual(Buffer.from(expected), Buffer.from(normalized))) {
+            return step;
         }
-        
-        req.session = {
-            email: result[0].email,
-            role: result[0].role,
-            companyId: result[0].company_id
-        };
-        next();
-    } catch (error) {
-        console.error('Auth middleware error:', error);
-        res.status(500).json({ error: 'Server error' });
     }
+    return null;
 }
 
-// ==================== UPLOAD ROUTES ====================
+// otpauth:// URI that authenticator apps read from a QR code
+function totpProvisioningUri(secret, email) {
+    const label = encodeURIComponent(`${TOTP_CONFIG.issuer}:${email}`);
+    const params = new URLSearchParams({
+        secret,
+        issuer: TOTP_CONFIG.issuer,
+        algorithm: 'SHA1',
+        digits: String(TOTP_CONFIG.digits),
+        period: String(TOTP_CONFIG.periodSeconds)
+    });
+    return `otpauth://totp/${label}?${params.toString()}`;
+}
 
-// Upload company logo
-app.post('/api/upload/logo', logoUpload.single('logo'), async (req, res) => {
+// One-time recovery codes, formatted like "3f9a1-c07de"
+function generateRecoveryCodes() {
+    return Array.from({ length: RECOVERY_CODE_COUNT }, () => {
+        const hex = crypto.randomBytes(5).toString('hex');
+        return `${hex.slice(0, 5)}-${hex.slice(5)}`;
+    });
+}
+
+function hashRecoveryCode(code) {
+    return hashToken(String(code).toLowerCase().replace(/[^a-z0-9]/g, ''));
+}
+
+/**
+ * Replace a user's recovery codes with a fresh set
+ * @param {string} userId - company_users.id
+ * @returns {Promise<string[]>} - Plaintext codes, to be shown once
+ */
+async function replaceRecoveryCodes(userId) {
+    const codes = generateRecoveryCodes();
+    await sql.transaction([
+        sql`DELETE FROM company_user_recovery_codes WHERE user_id = ${userId}`,
+        ...codes.map(code => sql`
+            INSERT INTO company_user_recovery_codes (user_id, code_hash)
+            VALUES (${userId}, ${hashRecoveryCode(code)})
+        `)
+    ]);
+    return codes;
+}
+
+/**
+ * Start the second login step for a user with 2FA enabled
+ * @param {string} userId - company_users.id
+ * @returns {Promise<string>} - Challenge token for /api/auth/company-login/2fa
+ */
+async function createTwoFactorChallenge(userId) {
+    const challengeToken = crypto.randomBytes(32).toString('hex');
+    const expiresAt = new Date(Date.now() + TWO_FACTOR_CHALLENGE_TTL_MS);
+    
+    await sql`
+        INSERT INTO two_factor_challenges (token_hash, user_id, expires_at)
+        VALUES (${hashToken(challengeToken)}, ${userId}, ${expiresAt})
+    `;
+    return challengeToken;
+}
+
+// ==================== SUPER ADMIN HELPERS ====================
+
+async function isSuperAdmin(email) {
+    if (!email) {
+        return false;
+    }
+    const result = await sql`SELECT id FROM super_admins WHERE LOWER(email) = LOWER(${email})`;
+    return result.length > 0;
+}
+
+/**
+ * Email every super admin (except the actor) about a break-glass login
+ * @param {Object} event - break_glass_events row
+ */
+async function notifyBreakGlass(event) {
+    if (!resend) {
+        return;
+    }
+    
     try {
-        // Verify session
-        const sessionId = req.headers['x-session-id'];
+        const admins = await sql`SELECT email FROM super_admins WHERE LOWER(email) <> LOWER(${event.email})`;
+        if (admins.length === 0) {
+            return;
+        }
+        
+        await resend.emails.send({
+            from: process.env.EMAIL_FROM || 'onboarding@resend.dev',
+            to: admins.map(a => a.email),
+            subject: 'Break-glass login used - FeedbackNFC Admin',
+            html: `
+                <div style="font-family: Arial, sans-serif; max-width: 400px; margin: 0 auto; padding: 20px;">
+                    <h2 style="color: #DC2626;">Break-glass login</h2>
+                    <p><strong>${escapeHtml(event.email)}</strong> signed in to the admin dashboard with the break-glass code.</p>
+                    <p>Reason: ${escapeHtml(event.reason)}</p>
+                    <p style="color: #666;">IP: ${escapeHtml(event.ip_address || 'unknown')}<br>Time: ${new Date(event.created_at).toISOString()}</p>
+                    <p style="color: #666;">If this wasn't expected, rotate BREAK_GLASS_CODE immediately.</p>
+                </div>
+            `
+        });
+    } catch (err) {
+        console.log('Break-glass notification failed:', err.message);
+    }
+}
+
+// ==================== COMPANY USER HELPERS ====================
+
+const INVITE_TTL_MS = 7 * 24 * 60 * 60 * 1000; // 7 days
+
+// Permissions granted to each company user role
+const COMPANY_ROLE_PERMISSIONS = {
+    owner: ['company:write', 'users:manage', 'api_keys:manage', 'audit:read', 'contacts:read', 'contacts:write', 'leads:read', 'leads:write'],
+    editor: ['company:write', 'contacts:read', 'contacts:write', 'leads:read'],
+    leads_viewer: ['contacts:read', 'leads:read']
+};
+const COMPANY_ROLES = Object.keys(COMPANY_ROLE_PERMISSIONS);
+
+/**
+ * Check whether a session may perform an action. Super admins can do
+ * everything; company users are limited by their role and API keys by
+ * the scopes chosen when the key was created.
+ * @param {Object} session - req.session as set by requireAuth
+ * @param {string} permission - e.g. 'contacts:write'
+ * @returns {boolean}
+ */
+function hasPermission(session, permission) {
+    if (session.apiKeyId) {
+        return session.scopes.includes(permission);
+    }
+    if (session.role === 'super_admin') {
+        return true;
+    }
+    if (session.role !== 'company_admin') {
+        return false;
+    }
+    return (COMPANY_ROLE_PERMISSIONS[session.companyRole] || []).includes(permission);
+}
+
+/**
+ * Move a company's original single login (companies.email/password) into
+ * company_users as its owner. Does nothing once the company has been moved.
+ * @param {string} email - Login email
+ */
+async function migrateLegacyCompanyLogin(email) {
+    const legacy = await sql`
+        SELECT id, email, password FROM companies
+        WHERE LOWER(email) = LOWER(${email}) AND password IS NOT NULL
+    `;
+    
+    if (legacy.length === 0) {
+        return;
+    }
+    
+    const company = legacy[0];
+    // The legacy password is only cleared once this company owns a user with the email;
+    // if the email already belongs to a user of another company, the login stays as it was
+    const [inserted, cleared] = await sql.transaction([
+        sql`
+            INSERT INTO company_users (company_id, email, password, role, accepted_at)
+            VALUES (${company.id}, ${company.email}, ${company.password}, 'owner', NOW())
+            ON CONFLICT DO NOTHING
+            RETURNING id
+        `,
+        sql`
+            UPDATE companies SET password = NULL
+            WHERE id = ${company.id} AND EXISTS (
+                SELECT 1 FROM company_users
+                WHERE LOWER(email) = LOWER(${company.email}) AND company_id = ${company.id}
+            )
+            RETURNING id
+        `
+    ]);
+    
+    if (cleared.length === 0) {
+        console.log(`Legacy login for company ${company.id} not moved: ${company.email} is a user of another company`);
+        return;
+    }
+    console.log(`Moved legacy login for company ${company.id} into company_users${inserted.length === 0 ? ' (user already existed)' : ''}`);
+}
+
+/**
+ * Email an invitation link to a new company user
+ * @param {Object} user - company_users row (email, role)
+ * @param {string} companyName - Name of the inviting company
+ * @param {string} token - Raw invite token (only its hash is stored)
+ */
+async function sendInviteEmail(user, companyName, token) {
+    const inviteUrl = `${BASE_URL}/company/accept-invite?token=${token}`;
+    
+    try {
+        if (resend) {
+            await resend.emails.send({
+                from: process.env.EMAIL_FROM || 'onboarding@resend.dev',
+                to: user.email,
+                subject: `You've been invited to manage ${companyName} on FeedbackNFC`,
+                html: `
+                    <div style="font-family: Arial, sans-serif; max-width: 400px; margin: 0 auto; padding: 20px;">
+                        <h2 style="color: #22C55E;">FeedbackNFC</h2>
+                        <p>You've been invited to manage business cards for <strong>${escapeHtml(companyName)}</strong> as ${user.role.replace('_', ' ')}.</p>
+                        <p style="text-align: center; margin: 30px 0;">
+                            <a href="${inviteUrl}" style="background: #22C55E; color: #FFFFFF; padding: 14px 28px; border-radius: 8px; text-decoration: none; font-weight: bold;">Accept Invitation</a>
+                        </p>
+                        <p style="color: #666;">This invitation expires in 7 days.</p>
+                    </div>
+                `
+            });
+            console.log(`Invitation email sent to ${user.email}`);
+        } else {
+            // Log link for development when email isn't configured
+            console.log(`\nInvitation link for ${user.email}: ${inviteUrl}\n`);
+        }
+    } catch (err) {
+        console.log('Invitation email failed:', err.message);
+    }
+}
+
+// ==================== SESSION HELPERS ====================
+
+const SESSION_COOKIE = 'bc_session';
+const SESSION_IDLE_TTL_MS = 24 * 60 * 60 * 1000;        // expires after 24 hours without activity
+const SESSION_MAX_AGE_MS = 30 * 24 * 60 * 60 * 1000;    // never lives longer than 30 days
+const SESSION_RENEW_INTERVAL_MS = 5 * 60 * 1000;        // how often activity pushes expiry forward
+const SAFE_METHODS = ['GET', 'HEAD', 'OPTIONS'];
+
+// Routes a company user can still reach while their company requires 2FA they haven't set up
+const TWO_FACTOR_ENROLLMENT_PATHS = ['/api/auth/2fa', '/api/auth/session'];
+
+function setSessionCookie(res, sessionId, maxAge = SESSION_IDLE_TTL_MS) {
+    res.cookie(SESSION_COOKIE, sessionId, {
+        httpOnly: true,
+        secure: process.env.NODE_ENV === 'production' || process.env.VERCEL === '1',
+        sameSite: 'lax',
+        path: '/',
+        maxAge
+    });
+}
+
+function clearSessionCookie(res) {
+    res.clearCookie(SESSION_COOKIE, { path: '/' });
+}
+
+// The x-session-id header is still accepted for non-browser clients
+function getRequestSessionId(req) {
+    return req.headers['x-session-id'] || (req.cookies && req.cookies[SESSION_COOKIE]) || null;
+}
+
+/**
+ * Create a session row and set the session cookie
+ * @param {Object} req - Express request (for IP and User-Agent)
+ * @param {Object} res - Express response
+ * @param {Object} identity - { email, role, companyId, userId }
+ * @returns {Promise<{sessionId: string, csrfToken: string}>}
+ */
+async function createSession(req, res, { email, role, companyId = null, userId = null, breakGlass = false }) {
+    const sessionId = uuidv4();
+    const csrfToken = crypto.randomBytes(32).toString('hex');
+    const ttlMs = breakGlass ? BREAK_GLASS_CONFIG.sessionTtlMs : SESSION_IDLE_TTL_MS;
+    const sessionExpires = new Date(Date.now() + ttlMs);
+    
+    await sql`
+        INSERT INTO sessions (id, email, role, company_id, user_id, csrf_token, ip_address, user_agent, last_seen_at, expires_at, break_glass)
+        VALUES (${sessionId}, ${email}, ${role}, ${companyId}, ${userId}, ${csrfToken}, ${req.ip || null},
+                ${(req.headers['user-agent'] || '').slice(0, 500)}, NOW(), ${sessionExpires}, ${breakGlass})
+    `;
+    
+    setSessionCookie(res, sessionId, ttlMs);
+    return { sessionId, csrfToken };
+}
+
+function csrfTokenMatches(given, expected) {
+    if (typeof given !== 'string' || !expected) {
+        return false;
+    }
+    const a = Buffer.from(given);
+    const b = Buffer.from(expected);
+    return a.length === b.length && crypto.timingSafeEqual(a, b);
+}
+
+// Non-secret identifier used to list and revoke sessions without exposing their ids
+function sessionHandle(sessionId) {
+    return hashToken(sessionId).slice(0, 16);
+}
+
+// Short human readable device description, e.g. "Chrome on Windows"
+function describeUserAgent(ua) {
+    if (!ua) {
+        return 'Unknown device';
+    }
+    
+    const browser = /Edg\//.test(ua) ? 'Edge'
+        : /OPR\//.test(ua) ? 'Opera'
+        : /Chrome\//.test(ua) ? 'Chrome'
+        : /Firefox\//.test(ua) ? 'Firefox'
+        : /Safari\//.test(ua) ? 'Safari'
+        : 'Unknown browser';
+    const os = /iPhone|iPad/.test(ua) ? 'iOS'
+        : /Android/.test(ua) ? 'Android'
+        : /Windows/.test(ua) ? 'Windows'
+        : /Mac OS X/.test(ua) ? 'macOS'
+        : /Linux/.test(ua) ? 'Linux'
+        : 'Unknown OS';
+    
+    return `${browser} on ${os}`;
+}
+
+/**
+ * Delete expired sessions, auth codes, reset tokens and rate limit windows, and purge
+ * trashed records past their retention.
+ * Runs hourly when the server is long-lived and from the Vercel cron otherwise.
+ */
+async function cleanupExpiredRecords() {
+    if (!sql) {
+        return null;
+    }
+    
+    const maxAgeCutoff = new Date(Date.now() - SESSION_MAX_AGE_MS);
+    const sessions = await sql`DELETE FROM sessions WHERE expires_at <= NOW() OR created_at <= ${maxAgeCutoff} RETURNING id`;
+    const authCodes = await sql`DELETE FROM auth_codes WHERE expires_at <= NOW() RETURNING email`;
+    const resetTokens = await sql`
+        DELETE FROM password_reset_tokens
+        WHERE expires_at <= NOW() OR used_at IS NOT NULL
+        RETURNING token_hash
+    `;
+    const rateLimits = await sql`DELETE FROM rate_limits WHERE reset_at <= NOW() RETURNING key`;
+    const challenges = await sql`DELETE FROM two_factor_challenges WHERE expires_at <= NOW() RETURNING token_hash`;
+    const oidcStates = await sql`DELETE FROM oidc_login_states WHERE expires_at <= NOW() RETURNING state_hash`;
+    const trash = await purgeExpiredTrash();
+    
+    const removed = {
+        sessions: sessions.length,
+        authCodes: authCodes.length,
+        passwordResetTokens: resetTokens.length,
+        rateLimits: rateLimits.length,
+        twoFactorChallenges: challenges.length,
+        oidcLoginStates: oidcStates.length,
+        trash
+    };
+    console.log('Cleaned up expired records:', removed);
+    return removed;
+}
+
+// ==================== OIDC HELPERS ====================
+
+const OIDC_STATE_COOKIE = 'bc_oidc_state';
+const OIDC_STATE_TTL_MS = 10 * 60 * 1000;
+const OIDC_DISCOVERY_TTL_MS = 60 * 60 * 1000;
+const OIDC_SCOPES = ['openid', 'email', 'profile'];
+const GOOGLE_ISSUER = 'https://accounts.google.com';
+
+// Discovery documents and JWKS per issuer, refreshed hourly
+const oidcDiscoveryCache = new Map();
+
+function oidcRedirectUri() {
+    return `${BASE_URL}/api/auth/oidc/callback`;
+}
+
+// Issuers must use HTTPS; plain HTTP is only allowed on localhost (mock issuers for testing)
+function isAllowedIssuerUrl(issuer) {
+    try {
+        const url = new URL(issuer);
+        return url.protocol === 'https:' ||
+            (url.protocol === 'http:' && ['localhost', '127.0.0.1'].includes(url.hostname));
+    } catch {
+        return false;
+    }
+}
+
+function emailDomain(email) {
+    return String(email).split('@').pop().toLowerCase();
+}
+
+/**
+ * Fetch (or reuse) an issuer's OpenID configuration and signing keys
+ * @param {string} issuer - Issuer URL, e.g. https://accounts.google.com
+ * @returns {Promise<{config: Object, jwks: Function}>}
+ */
+async function discoverOidcIssuer(issuer) {
+    const cached = oidcDiscoveryCache.get(issuer);
+    if (cached && Date.now() - cached.fetchedAt < OIDC_DISCOVERY_TTL_MS) {
+        return cached;
+    }
+    
+    const response = await fetch(`${issuer.replace(/\/$/, '')}/.well-known/openid-configuration`);
+    if (!response.ok) {
+        throw new Error(`OIDC discovery failed for ${issuer}: HTTP ${response.status}`);
+    }
+    
+    const config = await response.json();
+    if (config.issuer.replace(/\/$/, '') !== issuer.replace(/\/$/, '')) {
+        throw new Error(`OIDC discovery issuer mismatch: expected ${issuer}, got ${config.issuer}`);
+    }
+    
+    const entry = {
+        config,
+        jwks: createRemoteJWKSet(new URL(config.jwks_uri)),
+        fetchedAt: Date.now()
+    };
+    oidcDiscoveryCache.set(issuer, entry);
+    return entry;
+}
+
+// OAuth2Client pointed at the provider's endpoints; used for the auth URL, PKCE and code exchange
+function createOidcClient(provider, config) {
+    return new OAuth2Client({
+        clientId: provider.client_id,
+        clientSecret: provider.client_secret,
+        redirectUri: oidcRedirectUri(),
+        endpoints: {
+            oauth2AuthBaseUrl: config.authorization_endpoint,
+            oauth2TokenUrl: config.token_endpoint
+        }
+    });
+}
+
+// ==================== API KEY HELPERS ====================
+
+const API_KEY_PREFIX = 'bck_';
+const API_KEY_SCOPES = ['contacts:read', 'contacts:write', 'leads:read'];
+const API_KEY_LAST_USED_INTERVAL_MS = 60 * 1000;
+
+// Endpoints an API key may call; everything else (auth, settings, key management) needs a user session
+const API_KEY_PATHS = ['/api/contacts', '/api/leads'];
+
+// Keys look like "bck_<43 base64url chars>"; the first 12 characters are kept to identify them in lists
+function generateApiKey() {
+    return API_KEY_PREFIX + crypto.randomBytes(32).toString('base64url');
+}
+
+function apiKeyDisplayPrefix(key) {
+    return key.slice(0, API_KEY_PREFIX.length + 8);
+}
+
+// API keys are sent as "Authorization: Bearer <key>" or "X-API-Key: <key>"
+function getRequestApiKey(req) {
+    const authorization = req.headers['authorization'] || '';
+    if (authorization.startsWith(`Bearer ${API_KEY_PREFIX}`)) {
+        return authorization.slice('Bearer '.length).trim();
+    }
+    return req.headers['x-api-key'] || null;
+}
+
+/**
+ * Authenticate a request by API key. The key acts as a company admin with
+ * no role, so company scoping in routes still applies and hasPermission
+ * falls back to the key's scopes.
+ */
+async function authenticateApiKey(req, res, next, key) {
+    const result = await sql`
+        SELECT k.id, k.company_id, k.name, k.scopes, k.last_used_at
+        FROM api_keys k
+        JOIN companies c ON c.id = k.company_id
+        WHERE k.key_hash = ${hashToken(key)} AND k.revoked_at IS NULL AND c.deleted_at IS NULL
+    `;
+    
+    if (result.length === 0) {
+        return res.status(401).json({ error: 'Invalid API key' });
+    }
+    
+    const apiKey = result[0];
+    
+    if (!API_KEY_PATHS.some(p => req.path.startsWith(p))) {
+        return res.status(403).json({ error: 'This endpoint is not available to API keys' });
+    }
+    
+    // Record usage, at most once a minute per key
+    const lastUsed = apiKey.last_used_at ? new Date(apiKey.last_used_at).getTime() : 0;
+    if (Date.now() - lastUsed > API_KEY_LAST_USED_INTERVAL_MS) {
+        await sql`UPDATE api_keys SET last_used_at = NOW(), last_used_ip = ${req.ip || null} WHERE id = ${apiKey.id}`;
+    }
+    
+    req.session = {
+        id: null,
+        email: `api-key:${apiKey.name}`,
+        role: 'company_admin',
+        companyId: apiKey.company_id,
+        userId: null,
+        companyRole: null,
+        apiKeyId: apiKey.id,
+        scopes: apiKey.scopes || []
+    };
+    next();
+}
+
+// ==================== CONTACT IMPORT HELPERS ====================
+
+const IMPORT_MAX_ROWS = 5000;
+const IMPORT_MAX_FILE_SIZE = 5 * 1024 * 1024;
+
+// Contact fields accepted by the import, with the column headers recognised for each.
+// Headers are compared lowercased with everything but letters and digits removed.
+const CONTACT_IMPORT_FIELDS = {
+    id: { column: 'id', maxLength: 255, aliases: ['id', 'contactid', 'slug'] },
+    nameEn: { column: 'name_en', maxLength: 255, required: true, aliases: ['nameen', 'name', 'fullname', 'englishname'] },
+    nameAr: { column: 'name_ar', maxLength: 255, aliases: ['namear', 'arabicname'] },
+    positionEn: { column: 'position_en', maxLength: 255, required: true, aliases: ['positionen', 'position', 'title', 'jobtitle'] },
+    positionAr: { column: 'position_ar', maxLength: 255, aliases: ['positionar', 'arabicposition', 'arabictitle'] },
+    location: { column: 'location', aliases: ['location', 'address', 'office'] },
+    phone: { column: 'phone', maxLength: 50, required: true, aliases: ['phone', 'mobile', 'mobilephone', 'cell'] },
+    telephone: { column: 'telephone', maxLength: 50, aliases: ['telephone', 'tel', 'officephone', 'landline'] },
+    email: { column: 'email', maxLength: 255, required: true, aliases: ['email', 'emailaddress', 'mail'] },
+    website: { column: 'website', maxLength: 255, aliases: ['website', 'url', 'web'] }
+};
+
+const importUpload = multer({
+    storage: multer.memoryStorage(),
+    limits: {
+        fileSize: IMPORT_MAX_FILE_SIZE
+    },
+    fileFilter: function (req, file, cb) {
+        const ext = path.extname(file.originalname).toLowerCase();
+        if (ext === '.csv' || ext === '.xlsx') {
+            cb(null, true);
+        } else {
+            cb(new Error('Invalid file type. Only CSV and XLSX are allowed.'));
+        }
+    }
+});
+
+function normalizeHeader(header) {
+    return String(header || '').toLowerCase().replace(/[^a-z0-9\u0600-\u06ff]/g, '');
+}
+
+/**
+ * Read an uploaded CSV or XLSX file into a header row and data rows (all strings)
+ * @param {Object} file - multer file (memory storage)
+ * @returns {Promise<{headers: string[], rows: string[][]}>}
+ */
+async function readSpreadsheet(file) {
+    let table;
+    
+    if (path.extname(file.originalname).toLowerCase() === '.csv') {
+        table = parseCsv(file.buffer, { bom: true, skip_empty_lines: true, relax_column_count: true, trim: true });
+    } else {
+        const workbook = new ExcelJS.Workbook();
+        await workbook.xlsx.load(file.buffer);
+        const sheet = workbook.worksheets[0];
+        table = [];
+        sheet?.eachRow({ includeEmpty: false }, row => {
+            const values = [];
+            for (let i = 1; i <= sheet.columnCount; i++) {
+                values.push(row.getCell(i).text.trim());
+            }
+            table.push(values);
+        });
+    }
+    
+    const [headers = [], ...rows] = table;
+    return {
+        headers: headers.map(h => String(h).trim()),
+        rows: rows.filter(row => row.some(value => String(value).trim() !== ''))
+    };
+}
+
+/**
+ * Work out which column feeds each contact field. An explicit mapping
+ * ({ "Column header": "nameEn" }) wins; other headers are matched by alias.
+ * @returns {{columns: Object, unmapped: string[]}} - columns maps field -> column index
+ */
+function resolveImportMapping(headers, mapping = {}) {
+    const columns = {};
+    const unmapped = [];
+    
+    for (const [header, field] of Object.entries(mapping)) {
+        if (!CONTACT_IMPORT_FIELDS[field]) {
+            throw new Error(`Unknown contact field in mapping: ${field}`);
+        }
+        const index = headers.findIndex(h => h === header || normalizeHeader(h) === normalizeHeader(header));
+        if (index === -1) {
+            throw new Error(`Column not found in file: ${header}`);
+        }
+        columns[field] = index;
+    }
+    
+    headers.forEach((header, index) => {
+        if (Object.values(columns).includes(index)) {
+            return;
+        }
+        const normalized = normalizeHeader(header);
+        const field = Object.keys(CONTACT_IMPORT_FIELDS).find(f =>
+            columns[f] === undefined && CONTACT_IMPORT_FIELDS[f].aliases.includes(normalized));
+        if (field) {
+            columns[field] = index;
+        } else {
+            unmapped.push(header);
+        }
+    });
+    
+    return { columns, unmapped };
+}
+
+// Check one row's values; returns a list of problems (empty when valid)
+function validateImportRow(values, mode) {
+    const errors = [];
+    
+    for (const [field, spec] of Object.entries(CONTACT_IMPORT_FIELDS)) {
+        const value = values[field];
+        if (spec.required && mode === 'create' && !value) {
+            errors.push(`${field} is required`);
+        }
+        if (value && spec.maxLength && value.length > spec.maxLength) {
+            errors.push(`${field} is longer than ${spec.maxLength} characters`);
+        }
+    }
+    
+    if (values.email && !/^[^\s@]+@[^\s@]+\.[^\s@]+$/.test(values.email)) {
+        errors.push('email is not a valid email address');
+    }
+    
+    if (values.id && !/^[^\s/?#]+$/.test(values.id)) {
+        errors.push('id must not contain spaces or /, ? or #');
+    }
+    
+    return errors;
+}
+
+// ==================== CUSTOM FIELD HELPERS ====================
+
+// Field types decide validation and how a value is written to vCards
+const CUSTOM_FIELD_TYPES = ['text', 'phone', 'email', 'url', 'address'];
+const CUSTOM_FIELD_KEY_PATTERN = /^[a-z][a-z0-9_]{0,49}$/;
+const CUSTOM_FIELD_MAX_PER_COMPANY = 30;
+const CUSTOM_FIELD_VALUE_MAX_LENGTH = 500;
+
+function formatCustomFieldDefinition(f) {
+    return {
+        id: f.id,
+        key: f.key,
+        labelEn: f.label_en,
+        labelAr: f.label_ar,
+        type: f.type,
+        isPublic: f.is_public,
+        sortOrder: f.sort_order
+    };
+}
+
+/**
+ * Validate a custom field definition from a request body
+ * @param {Object} body - { key, labelEn, labelAr, type, isPublic, sortOrder }
+ * @param {boolean} partial - true for updates, where omitted properties are kept
+ * @returns {string[]} Error messages
+ */
+function validateCustomFieldDefinition(body, partial) {
+    const errors = [];
+    
+    if (!partial || body.key !== undefined) {
+        if (!CUSTOM_FIELD_KEY_PATTERN.test(String(body.key || ''))) {
+            errors.push('key must start with a letter and contain only lowercase letters, digits and _ (max 50)');
+        }
+    }
+    if (!partial || body.labelEn !== undefined) {
+        if (!String(body.labelEn || '').trim() || String(body.labelEn).length > 100) {
+            errors.push('labelEn is required (max 100 characters)');
+        }
+    }
+    if (body.labelAr && String(body.labelAr).length > 100) {
+        errors.push('labelAr must be at most 100 characters');
+    }
+    if ((!partial || body.type !== undefined) && !CUSTOM_FIELD_TYPES.includes(body.type || 'text')) {
+        errors.push(`type must be one of: ${CUSTOM_FIELD_TYPES.join(', ')}`);
+    }
+    if (body.sortOrder !== undefined && !Number.isInteger(body.sortOrder)) {
+        errors.push('sortOrder must be an integer');
+    }
+    
+    return errors;
+}
+
+async function getCompanyCustomFields(companyId) {
+    if (!companyId) {
+        return [];
+    }
+    return sql`
+        SELECT * FROM company_contact_fields
+        WHERE company_id = ${companyId}
+        ORDER BY sort_order, created_at
+    `;
+}
+
+// Custom field definitions for several companies at once, keyed by company id
+async function getCustomFieldsByCompany(companyIds) {
+    const byCompany = new Map();
+    const ids = [...new Set(companyIds.filter(Boolean))];
+    if (ids.length === 0) {
+        return byCompany;
+    }
+    const rows = await sql`
+        SELECT * FROM company_contact_fields
+        WHERE company_id = ANY(${ids})
+        ORDER BY sort_order, created_at
+    `;
+    for (const row of rows) {
+        if (!byCompany.has(row.company_id)) byCompany.set(row.company_id, []);
+        byCompany.get(row.company_id).push(row);
+    }
+    return byCompany;
+}
+
+/**
+ * Validate custom field values against a company's definitions and merge them
+ * into the contact's current values. An empty string or null clears a value.
+ * @param {Object[]} definitions - company_contact_fields rows
+ * @param {Object} input - { key: value } from the request
+ * @param {Object} [current] - The contact's stored custom_fields
+ * @returns {{errors: string[], values: Object}}
+ */
+function mergeCustomFieldValues(definitions, input, current = {}) {
+    const errors = [];
+    const values = { ...current };
+    
+    if (input === undefined || input === null) {
+        return { errors, values };
+    }
+    if (typeof input !== 'object' || Array.isArray(input)) {
+        return { errors: ['customFields must be an object of { key: value }'], values };
+    }
+    
+    const byKey = new Map(definitions.map(f => [f.key, f]));
+    
+    for (const [key, raw] of Object.entries(input)) {
+        const field = byKey.get(key);
+        if (!field) {
+            errors.push(`Unknown custom field "${key}"`);
+            continue;
+        }
+        
+        const value = raw === null || raw === undefined ? '' : String(raw).trim();
+        if (!value) {
+            delete values[key];
+            continue;
+        }
+        
+        if (value.length > CUSTOM_FIELD_VALUE_MAX_LENGTH) {
+            errors.push(`${key} is longer than ${CUSTOM_FIELD_VALUE_MAX_LENGTH} characters`);
+        } else if (field.type === 'email' && !/^[^\s@]+@[^\s@]+\.[^\s@]+$/.test(value)) {
+            errors.push(`${key} is not a valid email address`);
+        } else if (field.type === 'phone' && !/^\+?[\d\s().-]{3,30}$/.test(value)) {
+            errors.push(`${key} is not a valid phone number`);
+        } else if (field.type === 'url' && !/^(https?:\/\/)?[^\s.]+\.[^\s]+$/i.test(value)) {
+            errors.push(`${key} is not a valid URL`);
+        }
+        values[key] = value;
+    }
+    
+    return { errors, values };
+}
+
+/**
+ * List a contact's custom field values with their labels, in the company's order.
+ * Values for fields that have since been deleted are dropped.
+ * @param {Object[]} definitions - company_contact_fields rows
+ * @param {Object} values - The contact's stored custom_fields
+ * @param {Object} [options]
+ * @param {boolean} [options.publicOnly=false] - Leave out fields not marked public
+ * @returns {Array<{key: string, labelEn: string, labelAr: string, type: string, isPublic: boolean, value: string}>}
+ */
+function formatCustomFieldValues(definitions, values, { publicOnly = false } = {}) {
+    return definitions
+        .filter(f => (!publicOnly || f.is_public) && values && values[f.key])
+        .map(f => ({
+            key: f.key,
+            labelEn: f.label_en,
+            labelAr: f.label_ar,
+            type: f.type,
+            isPublic: f.is_public,
+            value: values[f.key]
+        }));
+}
+
+// ==================== CONTACT LINK HELPERS ====================
+
+const CONTACT_LINK_MAX_PER_CONTACT = 20;
+const CONTACT_LINK_LABEL_MAX_LENGTH = 100;
+// Repeat clicks on one link from the same visitor within this window count once
+const LINK_CLICK_DEDUPE_MS = 60 * 1000;
+
+// Parse a URL as people type it ("example.com/x" or "https://example.com/x"); http(s) only
+function parseWebUrl(value) {
+    const text = String(value || '').trim();
+    if (!text || /\s/.test(text)) {
+        return null;
+    }
+    
+    let url;
+    try {
+        url = new URL(/^[a-z]+:\/\//i.test(text) ? text : `https://${text}`);
+    } catch {
+        return null;
+    }
+    
+    if (!['http:', 'https:'].includes(url.protocol) || !url.hostname.includes('.')) {
+        return null;
+    }
+    return url;
+}
+
+function hostMatches(url, domains) {
+    const host = url.hostname.toLowerCase();
+    return domains.some(domain => host === domain || host.endsWith(`.${domain}`));
+}
+
+/**
+ * Normaliser for a social profile link: accepts a profile URL on one of the
+ * network's domains or a bare handle, and returns a canonical https URL
+ * @param {string[]} domains - Hosts (and their subdomains) the profile may live on
+ * @param {RegExp} handlePattern - Matches a bare handle; group 1 is the handle
+ * @param {Function} profileUrl - handle => canonical profile URL
+ */
+function socialProfileLink(domains, handlePattern, profileUrl) {
+    return value => {
+        const url = parseWebUrl(value);
+        if (url && hostMatches(url, domains)) {
+            url.protocol = 'https:';
+            return url.toString();
+        }
+        const handle = String(value || '').trim().match(handlePattern);
+        return handle ? profileUrl(handle[1]) : null;
+    };
+}
+
+function normalizeWhatsAppLink(value) {
+    const text = String(value || '').trim();
+    
+    // A phone number in any common format becomes a click-to-chat link
+    if (/^\+?[\d\s().-]+$/.test(text)) {
+        const digits = text.replace(/\D/g, '').replace(/^00/, '');
+        return digits.length >= 7 && digits.length <= 15 ? `https://wa.me/${digits}` : null;
+    }
+    
+    const url = parseWebUrl(text);
+    if (!url || !hostMatches(url, ['wa.me', 'whatsapp.com'])) {
+        return null;
+    }
+    const phone = url.searchParams.get('phone');
+    if (hostMatches(url, ['api.whatsapp.com']) && phone) {
+        return normalizeWhatsAppLink(phone);
+    }
+    url.protocol = 'https:';
+    return url.toString();
+}
+
+function normalizeMapsLink(value) {
+    const coordinates = String(value || '').trim().match(/^(-?\d{1,2}(?:\.\d+)?),\s*(-?\d{1,3}(?:\.\d+)?)$/);
+    if (coordinates) {
+        const [lat, lng] = [parseFloat(coordinates[1]), parseFloat(coordinates[2])];
+        if (Math.abs(lat) > 90 || Math.abs(lng) > 180) {
+            return null;
+        }
+        return `https://www.google.com/maps/search/?api=1&query=${lat},${lng}`;
+    }
+    
+    const url = parseWebUrl(value);
+    const isMaps = url && (
+        hostMatches(url, ['maps.google.com', 'maps.app.goo.gl', 'maps.apple.com', 'waze.com']) ||
+        (hostMatches(url, ['google.com', 'goo.gl']) && url.pathname.startsWith('/maps'))
+    );
+    if (!isMaps) {
+        return null;
+    }
+    url.protocol = 'https:';
+    return url.toString();
+}
+
+function normalizeWebLink(value) {
+    const url = parseWebUrl(value);
+    return url ? url.toString() : null;
+}
+
+// Link types: display label, what a valid value looks like and how it is normalised
+const CONTACT_LINK_TYPES = {
+    whatsapp: {
+        label: 'WhatsApp',
+        hint: 'a phone number with country code or a wa.me link',
+        normalize: normalizeWhatsAppLink
+    },
+    telegram: {
+        label: 'Telegram',
+        hint: 'a @username or t.me link',
+        normalize: socialProfileLink(['t.me', 'telegram.me'], /^@?([A-Za-z0-9_]{5,32})$/, h => `https://t.me/${h}`)
+    },
+    linkedin: {
+        label: 'LinkedIn',
+        hint: 'a linkedin.com profile or company URL, or in/<name>',
+        normalize: socialProfileLink(['linkedin.com'], /^\/?((?:in|company)\/[A-Za-z0-9_-]+)\/?$/, h => `https://www.linkedin.com/${h}`)
+    },
+    x: {
+        label: 'X',
+        hint: 'a @handle or x.com link',
+        normalize: value => {
+            const url = socialProfileLink(['x.com', 'twitter.com'], /^@?([A-Za-z0-9_]{1,15})$/, h => `https://x.com/${h}`)(value);
+            return url ? url.replace(/^https:\/\/(?:[a-z]+\.)?twitter\.com\//i, 'https://x.com/') : null;
+        }
+    },
+    instagram: {
+        label: 'Instagram',
+        hint: 'a @handle or instagram.com link',
+        normalize: socialProfileLink(['instagram.com'], /^@?([A-Za-z0-9_.]{1,30})$/, h => `https://www.instagram.com/${h}/`)
+    },
+    facebook: {
+        label: 'Facebook',
+        hint: 'a facebook.com link or page name',
+        normalize: socialProfileLink(['facebook.com', 'fb.com', 'fb.me'], /^@?([A-Za-z0-9.]{5,50})$/, h => `https://www.facebook.com/${h}`)
+    },
+    tiktok: {
+        label: 'TikTok',
+        hint: 'a @handle or tiktok.com link',
+        normalize: socialProfileLink(['tiktok.com'], /^@?([A-Za-z0-9_.]{2,24})$/, h => `https://www.tiktok.com/@${h}`)
+    },
+    youtube: {
+        label: 'YouTube',
+        hint: 'a @handle or youtube.com link',
+        normalize: socialProfileLink(['youtube.com', 'youtu.be'], /^@([A-Za-z0-9_.-]{3,30})$/, h => `https://www.youtube.com/@${h}`)
+    },
+    calendar: {
+        label: 'Book a meeting',
+        hint: 'a booking page URL (Calendly, Google Calendar, Microsoft Bookings, ...)',
+        normalize: normalizeWebLink
+    },
+    maps: {
+        label: 'Directions',
+        hint: 'a Google Maps, Apple Maps or Waze link, or "latitude,longitude"',
+        normalize: normalizeMapsLink
+    },
+    brochure: {
+        label: 'Brochure',
+        hint: 'a link to a PDF file',
+        normalize: value => {
+            const url = parseWebUrl(value);
+            return url && /\.pdf$/i.test(url.pathname) ? url.toString() : null;
+        }
+    },
+    website: {
+        label: 'Website',
+        hint: 'a web address',
+        normalize: normalizeWebLink
+    }
+};
+
+/**
+ * Validate and normalise the full, ordered list of a contact's links
+ * @param {Array<{id?: string, type: string, url: string, label?: string}>} input
+ * @returns {{errors: string[], links: Array<{id: string|null, type: string, url: string, label: string|null, position: number}>}}
+ */
+function normalizeContactLinks(input) {
+    if (!Array.isArray(input)) {
+        return { errors: ['links must be an array'], links: [] };
+    }
+    if (input.length > CONTACT_LINK_MAX_PER_CONTACT) {
+        return { errors: [`A contact can have at most ${CONTACT_LINK_MAX_PER_CONTACT} links`], links: [] };
+    }
+    
+    const errors = [];
+    const links = input.map((link, index) => {
+        // Own keys only: "constructor" or "toString" must not count as a type
+        const spec = link && Object.hasOwn(CONTACT_LINK_TYPES, link.type) ? CONTACT_LINK_TYPES[link.type] : null;
+        if (!spec) {
+            errors.push(`links[${index}]: type must be one of: ${Object.keys(CONTACT_LINK_TYPES).join(', ')}`);
+            return null;
+        }
+        
+        const url = spec.normalize(link.url);
+        if (!url) {
+            errors.push(`links[${index}]: ${spec.label} link must be ${spec.hint}`);
+        }
+        
+        const label = link.label ? String(link.label).trim() : '';
+        if (label.length > CONTACT_LINK_LABEL_MAX_LENGTH) {
+            errors.push(`links[${index}]: label is longer than ${CONTACT_LINK_LABEL_MAX_LENGTH} characters`);
+        }
+        
+        return { id: link.id || null, type: link.type, url, label: label || null, position: index };
+    });
+    
+    return { errors, links };
+}
+
+function formatContactLink(l) {
+    return {
+        id: l.id,
+        type: l.type,
+        label: l.label || (Object.hasOwn(CONTACT_LINK_TYPES, l.type) ? CONTACT_LINK_TYPES[l.type].label : l.type),
+        url: l.url,
+        position: l.position
+    };
+}
+
+// Links for several contacts at once, keyed by contact id, in display order
+async function getLinksByContact(contactIds) {
+    const byContact = new Map();
+    if (contactIds.length === 0) {
+        return byContact;
+    }
+    const rows = await sql`
+        SELECT * FROM contact_links
+        WHERE contact_id = ANY(${contactIds})
+        ORDER BY position, created_at
+    `;
+    for (const row of rows) {
+        if (!byContact.has(row.contact_id)) byContact.set(row.contact_id, []);
+        byContact.get(row.contact_id).push(formatContactLink(row));
+    }
+    return byContact;
+}
+
+// ==================== CONTACT PHOTO HELPERS ====================
+
+const CONTACT_PHOTO_DIR = path.join(__dirname, 'public', 'photos');
+const CONTACT_PHOTO_MAX_FILE_SIZE = 8 * 1024 * 1024; // 8MB
+const CONTACT_PHOTO_SIZES = { small: 128, medium: 256, large: 512 };
+// vCards and wallet passes don't accept WebP, so a JPEG copy is kept for them
+const CONTACT_PHOTO_JPEG_SIZE = 512;
+
+const contactPhotoUpload = multer({
+    storage: multer.memoryStorage(),
+    limits: {
+        fileSize: CONTACT_PHOTO_MAX_FILE_SIZE
+    },
+    fileFilter: function (req, file, cb) {
+        const allowedTypes = ['image/jpeg', 'image/jpg', 'image/png', 'image/webp', 'image/avif'];
+        if (allowedTypes.includes(file.mimetype)) {
+            cb(null, true);
+        } else {
+            cb(new Error('Invalid file type. Only JPEG, PNG, WebP and AVIF are allowed.'));
+        }
+    }
+});
+
+/**
+ * Public URLs of a stored contact photo
+ * @param {string} photo - Base path stored on the contact, e.g. "/photos/1700000000000-1a2b3c4d"
+ * @returns {{small: string, medium: string, large: string, jpeg: string}|null}
+ */
+function contactPhotoUrls(photo) {
+    if (!photo) {
+        return null;
+    }
+    const urls = {};
+    for (const [name, size] of Object.entries(CONTACT_PHOTO_SIZES)) {
+        urls[name] = `${photo}-${size}.webp`;
+    }
+    urls.jpeg = `${photo}-${CONTACT_PHOTO_JPEG_SIZE}.jpg`;
+    return urls;
+}
+
+/**
+ * Crop an uploaded image to a square around its most interesting region, resize it
+ * to every photo size and write WebP files plus one JPEG. EXIF orientation is applied
+ * first; all metadata (EXIF, GPS, ICC comments) is dropped from the output.
+ * @param {Buffer} buffer - Uploaded image
+ * @returns {Promise<string>} Base path to store on the contact
+ */
+async function saveContactPhoto(buffer) {
+    const metadata = await sharp(buffer).metadata();
+    if (!metadata.width || !metadata.height) {
+        throw new Error('Not a readable image');
+    }
+    
+    await fs.promises.mkdir(CONTACT_PHOTO_DIR, { recursive: true });
+    const name = `${Date.now()}-${uuidv4().slice(0, 8)}`;
+    const square = size => sharp(buffer)
+        .rotate()
+        .resize(size, size, { fit: 'cover', position: sharp.strategy.attention });
+    
+    const outputs = Object.values(CONTACT_PHOTO_SIZES).map(size =>
+        square(size).webp({ quality: 82 }).toFile(path.join(CONTACT_PHOTO_DIR, `${name}-${size}.webp`)));
+    outputs.push(square(CONTACT_PHOTO_JPEG_SIZE)
+        .flatten({ background: '#ffffff' })
+        .jpeg({ quality: 85, mozjpeg: true })
+        .toFile(path.join(CONTACT_PHOTO_DIR, `${name}-${CONTACT_PHOTO_JPEG_SIZE}.jpg`)));
+    
+    await Promise.all(outputs);
+    return `/photos/${name}`;
+}
+
+// Remove a contact photo's files (missing files are ignored)
+async function deleteContactPhoto(photo) {
+    const urls = contactPhotoUrls(photo);
+    if (!urls) {
+        return;
+    }
+    await Promise.all(Object.values(urls).map(url =>
+        fs.promises.unlink(path.join(__dirname, 'public', url)).catch(() => {})));
+}
+
+// ==================== CONTACT SLUG HELPERS ====================
+
+const CONTACT_SLUG_PATTERN = /^[a-z0-9]+(?:-[a-z0-9]+)*$/;
+const CONTACT_SLUG_MAX_LENGTH = 80;
+
+// Arabic letters and digits to Latin, so Arabic-only names still get a readable slug
+const ARABIC_TRANSLITERATION = {
+    'ا': 'a', 'أ': 'a', 'إ': 'i', 'آ': 'a', 'ٱ': 'a', 'ب': 'b', 'ت': 't', 'ث': 'th',
+    'ج': 'j', 'ح': 'h', 'خ': 'kh', 'د': 'd', 'ذ': 'dh', 'ر': 'r', 'ز': 'z', 'س': 's',
+    'ش': 'sh', 'ص': 's', 'ض': 'd', 'ط': 't', 'ظ': 'z', 'ع': 'a', 'غ': 'gh', 'ف': 'f',
+    'ق': 'q', 'ك': 'k', 'ل': 'l', 'م': 'm', 'ن': 'n', 'ه': 'h', 'ة': 'a', 'و': 'w',
+    'ؤ': 'w', 'ي': 'y', 'ى': 'a', 'ئ': 'y', 'ء': '', 'پ': 'p', 'چ': 'ch', 'گ': 'g', 'ک': 'k', 'ی': 'y',
+    '٠': '0', '١': '1', '٢': '2', '٣': '3', '٤': '4', '٥': '5', '٦': '6', '٧': '7', '٨': '8', '٩': '9'
+};
+
+// Latin letters that NFKD doesn't split into a base letter and an accent
+const LATIN_TRANSLITERATION = { 'ß': 'ss', 'æ': 'ae', 'œ': 'oe', 'ø': 'o', 'đ': 'd', 'ð': 'd', 'ł': 'l', 'þ': 'th', 'ı': 'i' };
+
+/**
+ * Turn a name into a URL slug: accents are dropped, Arabic is transliterated
+ * and every run of other characters becomes a single hyphen
+ * @param {string} text
+ * @param {number} [maxLength=60]
+ * @returns {string} Possibly empty
+ */
+function slugify(text, maxLength = 60) {
+    return String(text || '')
+        .replace(/[\u064B-\u065F\u0670\u0640]/g, '') // harakat and tatweel
+        .replace(/[\u0600-\u06FF]/g, c => ARABIC_TRANSLITERATION[c] ?? '-')
+        .toLowerCase()
+        .replace(/[ßæœøđðłþı]/g, c => LATIN_TRANSLITERATION[c])
+        .normalize('NFKD')
+        .replace(/[\u0300-\u036F]/g, '')
+        .replace(/[^a-z0-9]+/g, '-')
+        .replace(/^-+/, '')
+        .slice(0, maxLength)
+        .replace(/-+$/, '');
+}
+
+// Slug to start from for a new contact
+function contactSlugBase({ nameEn, nameAr }) {
+    return slugify(nameEn) || slugify(nameAr) || 'contact';
+}
+
+function validateContactSlug(slug) {
+    if (!CONTACT_SLUG_PATTERN.test(slug) || slug.length > CONTACT_SLUG_MAX_LENGTH) {
+        return `slug must be lowercase letters, digits and single hyphens (max ${CONTACT_SLUG_MAX_LENGTH} characters)`;
+    }
+    return null;
+}
+
+/**
+ * Whether a slug is used by another contact: as its slug, its id or one of its old slugs
+ * (old slugs stay reserved so printed QR codes and NFC tags never change owner)
+ * @param {string} slug
+ * @param {string} [contactId] - Contact that may reuse its own current or old slugs
+ */
+async function isContactSlugTaken(slug, contactId = null) {
+    const result = await sql`
+        SELECT 1 FROM contacts WHERE (slug = ${slug} OR id = ${slug}) AND id IS DISTINCT FROM ${contactId}
+        UNION ALL
+        SELECT 1 FROM contact_slug_redirects WHERE slug = ${slug} AND contact_id IS DISTINCT FROM ${contactId}
+        LIMIT 1
+    `;
+    return result.length > 0;
+}
+
+/**
+ * Every slug, id and old slug that equals one of the bases or extends it with "-..."
+ * @param {string[]} bases
+ * @returns {Promise<Set<string>>}
+ */
+async function loadTakenSlugs(bases) {
+    const patterns = [...new Set(bases)]
+        .map(base => base.replace(/[\\%_]/g, '\\$&')) // ids given in imports may contain LIKE wildcards
+        .flatMap(base => [base, `${base}-%`]);
+    if (patterns.length === 0) {
+        return new Set();
+    }
+    const rows = await sql`
+        SELECT slug as taken FROM contacts WHERE slug LIKE ANY(${patterns}::text[])
+        UNION
+        SELECT id FROM contacts WHERE id LIKE ANY(${patterns}::text[])
+        UNION
+        SELECT slug FROM contact_slug_redirects WHERE slug LIKE ANY(${patterns}::text[])
+    `;
+    return new Set(rows.map(row => row.taken));
+}
+
+/**
+ * Pick the first free slug: "name", then "name-company", then "name-2", "name-3", ...
+ * @param {string} base - From contactSlugBase
+ * @param {string} companySlug - slugify(company name), may be empty
+ * @param {Set<string>} taken - From loadTakenSlugs (plus slugs picked earlier in the same batch)
+ */
+function pickContactSlug(base, companySlug, taken) {
+    const candidates = companySlug && companySlug !== base ? [base, `${base}-${companySlug}`] : [base];
+    for (const candidate of candidates) {
+        if (!taken.has(candidate)) {
+            return candidate;
+        }
+    }
+    for (let n = 2; ; n++) {
+        if (!taken.has(`${base}-${n}`)) {
+            return `${base}-${n}`;
+        }
+    }
+}
+
+/**
+ * Find the contact a public URL key points at: its slug, its id or a slug it used before
+ * @param {string} key - From /c/:id, /qr/:id or the public API
+ * @returns {Promise<{id: string, slug: string, status: string, replacement_contact_id: string}|null>}
+ */
+async function resolveContactKey(key) {
+    const result = await sql`
+        SELECT id, slug, status, replacement_contact_id, 0 as rank FROM contacts
+        WHERE slug = ${key} AND deleted_at IS NULL
+        UNION ALL
+        SELECT id, slug, status, replacement_contact_id, 1 FROM contacts
+        WHERE id = ${key} AND deleted_at IS NULL
+        UNION ALL
+        SELECT c.id, c.slug, c.status, c.replacement_contact_id, 2 FROM contact_slug_redirects r
+        JOIN contacts c ON c.id = r.contact_id
+        WHERE r.slug = ${key} AND c.deleted_at IS NULL
+        ORDER BY rank
+        LIMIT 1
+    `;
+    if (result.length === 0) {
+        return null;
+    }
+    const { rank, ...contact } = result[0];
+    return contact;
+}
+
+/**
+ * Send a 301 to the same route with the contact's current slug when the request
+ * used an old slug or the id. Returns true when a redirect was sent.
+ * @param {Object} req - Request whose route has an :id parameter
+ * @param {Object} res
+ * @param {{slug: string}} contact - From resolveContactKey
+ */
+function redirectToCurrentSlug(req, res, contact) {
+    if (contact.slug === req.params.id) {
+        return false;
+    }
+    const queryIndex = req.originalUrl.indexOf('?');
+    const query = queryIndex >= 0 ? req.originalUrl.slice(queryIndex) : '';
+    res.redirect(301, req.route.path.replace(':id', encodeURIComponent(contact.slug)) + query);
+    return true;
+}
+
+// ==================== CONTACT LIFECYCLE HELPERS ====================
+
+const CONTACT_STATUSES = ['active', 'suspended', 'departed'];
+// A departed contact can forward to another departed contact; chains longer than this are ignored
+const CONTACT_FORWARD_MAX_HOPS = 5;
+const DEFAULT_DEPARTED_MESSAGE = 'This person is no longer with the company.';
+const SUSPENDED_CONTACT_MESSAGE = 'This card is temporarily unavailable.';
+
+/**
+ * Follow a departed contact's replacement chain to the active contact its card forwards to
+ * @param {Object} contact - contacts row
+ * @returns {Promise<{id: string, slug: string, name_en: string}|null>} null when there's no one to forward to
+ */
+async function findForwardingContact(contact) {
+    if (contact.status !== 'departed') {
+        return null;
+    }
+    
+    const seen = new Set([contact.id]);
+    let nextId = contact.replacement_contact_id;
+    
+    for (let hop = 0; nextId && hop < CONTACT_FORWARD_MAX_HOPS && !seen.has(nextId); hop++) {
+        seen.add(nextId);
+        const result = await sql`
+            SELECT id, slug, name_en, status, replacement_contact_id FROM contacts
+            WHERE id = ${nextId} AND deleted_at IS NULL
+        `;
+        if (result.length === 0) {
+            return null;
+        }
+        if (result[0].status === 'active') {
+            return result[0];
+        }
+        nextId = result[0].status === 'departed' ? result[0].replacement_contact_id : null;
+    }
+    return null;
+}
+
+/**
+ * The public view of a contact that isn't active: the notice to show and who to
+ * contact instead, without the person's details
+ * @param {Object} c - contacts row joined with company_name, company_logo and departed_contact_message
+ * @param {Object|null} forwardTo - From findForwardingContact
+ */
+function formatInactiveContact(c, forwardTo) {
+    return {
+        id: c.id,
+        slug: c.slug,
+        status: c.status,
+        message: c.status === 'departed'
+            ? (c.departure_message || c.departed_contact_message || DEFAULT_DEPARTED_MESSAGE)
+            : SUSPENDED_CONTACT_MESSAGE,
+        replacement: forwardTo ? { slug: forwardTo.slug, nameEn: forwardTo.name_en } : null,
+        companyName: c.company_name,
+        companyLogo: c.company_logo
+    };
+}
+
+/**
+ * Check a contact that leads are being moved to (or a card forwards to)
+ * @param {string} targetId
+ * @param {Object} contact - The contact the leads or card come from
+ * @returns {Promise<{error: string}|{target: Object}>}
+ */
+async function findContactHandoverTarget(targetId, contact) {
+    if (targetId === contact.id) {
+        return { error: 'A contact cannot hand over to itself' };
+    }
+    const result = await sql`SELECT * FROM contacts WHERE id = ${targetId} AND deleted_at IS NULL`;
+    if (result.length === 0 || result[0].company_id !== contact.company_id) {
+        return { error: 'Handover contact must be another contact in the same company' };
+    }
+    if (result[0].status !== 'active') {
+        return { error: 'Handover contact must be active' };
+    }
+    return { target: result[0] };
+}
+
+// Move every lead of one contact to another, remembering where each came from
+function reassignLeadsQuery(fromContactId, toContactId) {
+    return sql`
+        UPDATE leads
+        SET contact_id = ${toContactId},
+            reassigned_from_contact_id = ${fromContactId},
+            reassigned_at = CURRENT_TIMESTAMP
+        WHERE contact_id = ${fromContactId}
+        RETURNING id
+    `;
+}
+
+// ==================== TRASH HELPERS ====================
+
+// Deleted companies, contacts and leads can be restored for this long, then they are purged
+const TRASH_RETENTION_DAYS = parseInt(process.env.TRASH_RETENTION_DAYS) || 30;
+const TRASH_RETENTION_MS = TRASH_RETENTION_DAYS * 24 * 60 * 60 * 1000;
+
+// When a record deleted at deletedAt is purged automatically
+function trashPurgeAt(deletedAt) {
+    return deletedAt ? new Date(new Date(deletedAt).getTime() + TRASH_RETENTION_MS) : null;
+}
+
+/*
+ * Trashing a company or contact takes its contacts and leads with it. They all get the
+ * same deleted_at (CURRENT_TIMESTAMP is fixed for the transaction), which is how a
+ * restore brings back exactly what was trashed together and not what was deleted earlier.
+ */
+
+function trashContactQueries(id) {
+    return [
+        sql`UPDATE leads SET deleted_at = CURRENT_TIMESTAMP WHERE contact_id = ${id} AND deleted_at IS NULL`,
+        sql`UPDATE contacts SET deleted_at = CURRENT_TIMESTAMP WHERE id = ${id} AND deleted_at IS NULL RETURNING *`
+    ];
+}
+
+function restoreContactQueries(id) {
+    return [
+        sql`
+            UPDATE leads SET deleted_at = NULL
+            WHERE contact_id = ${id} AND deleted_at = (SELECT deleted_at FROM contacts WHERE id = ${id})
+        `,
+        sql`UPDATE contacts SET deleted_at = NULL WHERE id = ${id} AND deleted_at IS NOT NULL RETURNING *`
+    ];
+}
+
+function trashCompanyQueries(id) {
+    return [
+        sql`UPDATE leads SET deleted_at = CURRENT_TIMESTAMP WHERE company_id = ${id} AND deleted_at IS NULL`,
+        sql`UPDATE contacts SET deleted_at = CURRENT_TIMESTAMP WHERE company_id = ${id} AND deleted_at IS NULL`,
+        sql`DELETE FROM sessions WHERE company_id = ${id}`,
+        sql`UPDATE companies SET deleted_at = CURRENT_TIMESTAMP WHERE id = ${id} AND deleted_at IS NULL RETURNING *`
+    ];
+}
+
+function restoreCompanyQueries(id) {
+    return [
+        sql`
+            UPDATE leads SET deleted_at = NULL
+            WHERE company_id = ${id} AND deleted_at = (SELECT deleted_at FROM companies WHERE id = ${id})
+        `,
+        sql`
+            UPDATE contacts SET deleted_at = NULL
+            WHERE company_id = ${id} AND deleted_at = (SELECT deleted_at FROM companies WHERE id = ${id})
+        `,
+        sql`UPDATE companies SET deleted_at = NULL WHERE id = ${id} AND deleted_at IS NOT NULL RETURNING *`
+    ];
+}
+
+/**
+ * Permanently delete everything that has been in the trash longer than the retention window
+ * @returns {Promise<{companies: number, contacts: number, leads: number}>}
+ */
+async function purgeExpiredTrash() {
+    const cutoff = new Date(Date.now() - TRASH_RETENTION_MS);
+    
+    // Contacts before companies, so the cascade doesn't take contacts whose photos we still need to remove
+    const leads = await sql`DELETE FROM leads WHERE deleted_at <= ${cutoff} RETURNING id`;
+    const contacts = await sql`DELETE FROM contacts WHERE deleted_at <= ${cutoff} RETURNING id, photo`;
+    const companies = await sql`DELETE FROM companies WHERE deleted_at <= ${cutoff} RETURNING id`;
+    await Promise.all(contacts.map(c => deleteContactPhoto(c.photo)));
+    
+    return { companies: companies.length, contacts: contacts.length, leads: leads.length };
+}
+
+// ==================== CONTACT VERSION HELPERS ====================
+
+// Contact columns kept in every version (and put back by a rollback), with their API names.
+// Slug, photo and status have their own routes and history.
+const CONTACT_VERSION_FIELDS = {
+    name_en: 'nameEn',
+    name_ar: 'nameAr',
+    position_en: 'positionEn',
+    position_ar: 'positionAr',
+    location: 'location',
+    phone: 'phone',
+    telephone: 'telephone',
+    email: 'email',
+    website: 'website',
+    custom_fields: 'customFields'
+};
+
+/**
+ * Query that stores a contact's current fields as its next version, unless they are the
+ * same as the latest version. Run it in the same transaction as, and after, the write.
+ * @param {Object} req - Express request (author comes from req.session)
+ * @param {string} contactId
+ * @param {string} changeType - create, update, import or rollback
+ * @param {number|null} [restoredFromVersion] - The version a rollback went back to
+ */
+function contactVersionQuery(req, contactId, changeType, restoredFromVersion = null) {
+    const session = req.session || {};
+    return sql`
+        INSERT INTO contact_versions (contact_id, version, data, change_type, restored_from_version,
+                                      author_email, author_role, author_user_id)
+        SELECT c.id, COALESCE(latest.version, 0) + 1, snapshot.data, ${changeType}, ${restoredFromVersion},
+               ${session.email || null}, ${auditActorRole(session)}, ${session.userId || null}
+        FROM contacts c
+        CROSS JOIN LATERAL (
+            SELECT jsonb_build_object(
+                'name_en', c.name_en, 'name_ar', c.name_ar,
+                'position_en', c.position_en, 'position_ar', c.position_ar,
+                'location', c.location, 'phone', c.phone, 'telephone', c.telephone,
+                'email', c.email, 'website', c.website, 'custom_fields', c.custom_fields
+            ) as data
+        ) snapshot
+        LEFT JOIN LATERAL (
+            SELECT version, data FROM contact_versions
+            WHERE contact_id = c.id
+            ORDER BY version DESC
+            LIMIT 1
+        ) latest ON TRUE
+        WHERE c.id = ${contactId} AND latest.data IS DISTINCT FROM snapshot.data
+    `;
+}
+
+// A version's fields under their API names, custom fields flattened to customFields.<key>
+// so that a diff shows which custom field changed
+function flattenContactVersion(data) {
+    const fields = {};
+    for (const [column, field] of Object.entries(CONTACT_VERSION_FIELDS)) {
+        if (column === 'custom_fields') {
+            for (const [key, value] of Object.entries((data && data.custom_fields) || {})) {
+                fields[`${field}.${key}`] = value;
+            }
+        } else {
+            fields[field] = data ? data[column] : null;
+        }
+    }
+    return fields;
+}
+
+/**
+ * Format versions (oldest first) for the API, newest first, each with its diff from the one before
+ * @param {Array<Object>} versions - contact_versions rows ordered by version
+ */
+function formatContactVersions(versions) {
+    return versions.map((v, i) => ({
+        version: v.version,
+        changeType: v.change_type,
+        restoredFromVersion: v.restored_from_version,
+        author: v.author_email ? { email: v.author_email, role: v.author_role } : null,
+        createdAt: v.created_at,
+        fields: flattenContactVersion(v.data),
+        changes: diffRecords(
+            i > 0 ? flattenContactVersion(versions[i - 1].data) : null,
+            flattenContactVersion(v.data)
+        )
+    })).reverse();
+}
+
+// ==================== ANALYTICS HELPERS ====================
+
+// Identifies the visitor's latest card view, so saving the contact, adding a wallet
+// pass or sending a lead afterwards is credited to that view
+const VIEW_COOKIE = 'bc_view';
+const VIEW_ATTRIBUTION_MS = 24 * 60 * 60 * 1000;
+// Reloading the same card within this window is not a new view
+const VIEW_DEDUPE_MS = 30 * 60 * 1000;
+const VIEW_SOURCES = ['nfc', 'qr', 'link'];
+const ANALYTICS_INTERVALS = ['day', 'week', 'month'];
+const ANALYTICS_DEFAULT_DAYS = 30;
+const ANALYTICS_MAX_DAYS = 366;
+const UUID_PATTERN = /^[0-9a-f]{8}-[0-9a-f]{4}-[0-9a-f]{4}-[0-9a-f]{4}-[0-9a-f]{12}$/i;
+
+// How the visitor reached the card: ?src=nfc|qr|link (NFC tags and printed QR codes carry it)
+function viewSource(req, fallback = 'link') {
+    const source = String(req.query.src || '').toLowerCase();
+    return VIEW_SOURCES.includes(source) ? source : fallback;
+}
+
+// mobile, tablet, desktop, or bot for crawlers and link previews (which aren't recorded)
+function deviceClass(ua) {
+    if (!ua || /bot|crawl|spider|slurp|preview|facebookexternalhit|WhatsApp|TelegramBot|Slackbot|Discordbot|curl|wget|HeadlessChrome/i.test(ua)) {
+        return 'bot';
+    }
+    if (/iPad|Tablet|Android(?!.*Mobile)/i.test(ua)) {
+        return 'tablet';
+    }
+    return /Mobi|iPhone|iPod|Android/i.test(ua) ? 'mobile' : 'desktop';
+}
+
+// Coarse location from the geo headers Vercel or Cloudflare add
+function requestLocation(req) {
+    const header = name => {
+        const value = req.headers[name];
+        if (!value) {
+            return null;
+        }
+        try {
+            return decodeURIComponent(String(value)).slice(0, 100);
+        } catch {
+            return String(value).slice(0, 100);
+        }
+    };
+    const country = (header('x-vercel-ip-country') || header('cf-ipcountry') || '').toUpperCase();
+    return {
+        // Cloudflare uses XX for unknown and T1 for Tor
+        country: /^[A-Z]{2}$/.test(country) && country !== 'XX' && country !== 'T1' ? country : null,
+        region: header('x-vercel-ip-country-region') || header('cf-region'),
+        city: header('x-vercel-ip-city') || header('cf-ipcity')
+    };
+}
+
+function getViewCookie(req) {
+    const viewId = req.cookies && req.cookies[VIEW_COOKIE];
+    return viewId && UUID_PATTERN.test(viewId) ? viewId : null;
+}
+
+/**
+ * Record a public view of a contact's card. Never throws: analytics must not break the card.
+ * @param {Object} req
+ * @param {Object} res - Gets the view cookie
+ * @param {string} contactId
+ * @param {string} source - nfc, qr or link
+ */
+async function recordContactView(req, res, contactId, source) {
+    try {
+        const device = deviceClass(req.headers['user-agent']);
+        if (device === 'bot') {
+            return;
+        }
+        
+        const previousId = getViewCookie(req);
+        if (previousId) {
+            const previous = await sql`
+                SELECT id FROM contact_views
+                WHERE id = ${previousId} AND contact_id = ${contactId}
+                  AND viewed_at > ${new Date(Date.now() - VIEW_DEDUPE_MS)}
+            `;
+            if (previous.length > 0) {
+                return;
+            }
+        }
+        
+        const { country, region, city } = requestLocation(req);
+        const result = await sql`
+            INSERT INTO contact_views (contact_id, company_id, source, device, country, region, city)
+            SELECT id, company_id, ${source}, ${device}, ${country}, ${region}, ${city}
+            FROM contacts WHERE id = ${contactId}
+            RETURNING id
+        `;
+        
+        if (result.length > 0) {
+            res.cookie(VIEW_COOKIE, result[0].id, {
+                httpOnly: true,
+                secure: process.env.NODE_ENV === 'production' || process.env.VERCEL === '1',
+                sameSite: 'lax',
+                path: '/',
+                maxAge: VIEW_ATTRIBUTION_MS
+            });
+        }
+    } catch (error) {
+        console.error('Record contact view error:', error);
+    }
+}
+
+/**
+ * Credit the visitor's latest view of a contact with a save, wallet pass or lead.
+ * Each is counted once per view. Never throws.
+ * @param {Object} req
+ * @param {string} contactId
+ * @param {string} conversion - save, wallet or lead
+ */
+async function recordViewConversion(req, contactId, conversion) {
+    const viewId = getViewCookie(req);
+    if (!viewId) {
+        return;
+    }
+    
+    try {
+        await sql`
+            UPDATE contact_views
+            SET saved_contact_at = CASE WHEN ${conversion} = 'save' THEN COALESCE(saved_contact_at, CURRENT_TIMESTAMP) ELSE saved_contact_at END,
+                wallet_pass_at = CASE WHEN ${conversion} = 'wallet' THEN COALESCE(wallet_pass_at, CURRENT_TIMESTAMP) ELSE wallet_pass_at END,
+                lead_submitted_at = CASE WHEN ${conversion} = 'lead' THEN COALESCE(lead_submitted_at, CURRENT_TIMESTAMP) ELSE lead_submitted_at END
+            WHERE id = ${viewId} AND contact_id = ${contactId}
+        `;
+    } catch (error) {
+        console.error('Record view conversion error:', error);
+    }
+}
+
+/**
+ * Read ?from, ?to (ISO dates) and ?interval (day, week or month) for the analytics routes.
+ * Defaults to daily figures for the last 30 days.
+ * @returns {{error: string}|{from: Date, to: Date, interval: string}}
+ */
+function parseAnalyticsRange(query) {
+    const to = query.to ? new Date(query.to) : new Date();
+    const from = query.from ? new Date(query.from) : new Date(to.getTime() - ANALYTICS_DEFAULT_DAYS * 24 * 60 * 60 * 1000);
+    const interval = query.interval || 'day';
+    
+    if (isNaN(from) || isNaN(to) || from >= to) {
+        return { error: 'Invalid date range' };
+    }
+    if (to - from > ANALYTICS_MAX_DAYS * 24 * 60 * 60 * 1000) {
+        return { error: `Date range can be at most ${ANALYTICS_MAX_DAYS} days` };
+    }
+    if (!ANALYTICS_INTERVALS.includes(interval)) {
+        return { error: `Interval must be one of: ${ANALYTICS_INTERVALS.join(', ')}` };
+    }
+    return { from, to, interval };
+}
+
+/**
+ * View time series and breakdowns for one contact, one company or (with neither) everything
+ * @param {{contactId?: string, companyId?: string, from: Date, to: Date, interval: string}} options
+ */
+async function getViewAnalytics({ contactId = null, companyId = null, from, to, interval }) {
+    // Every period in the range is listed, including those without views
+    const series = await sql`
+        SELECT p.period,
+               COUNT(v.id)::int as views,
+               COUNT(v.id) FILTER (WHERE v.source = 'nfc')::int as nfc,
+               COUNT(v.id) FILTER (WHERE v.source = 'qr')::int as qr,
+               COUNT(v.id) FILTER (WHERE v.source = 'link')::int as link,
+               COUNT(v.saved_contact_at)::int as saves,
+               COUNT(v.wallet_pass_at)::int as wallet_passes,
+               COUNT(v.lead_submitted_at)::int as leads
+        FROM generate_series(
+            date_trunc(${interval}, ${from}::timestamp),
+            ${to}::timestamp - interval '1 microsecond',
+            ('1 ' || ${interval})::interval
+        ) as p(period)
+        LEFT JOIN contact_views v
+          ON date_trunc(${interval}, v.viewed_at) = p.period
+         AND v.viewed_at >= ${from} AND v.viewed_at < ${to}
+         AND (${contactId}::text IS NULL OR v.contact_id = ${contactId})
+         AND (${companyId}::uuid IS NULL OR v.company_id = ${companyId})
+        GROUP BY p.period
+        ORDER BY p.period
+    `;
+    
+    const breakdowns = await sql`
+        SELECT 'device' as dimension, device as value, COUNT(*)::int as views
+        FROM contact_views
+        WHERE viewed_at >= ${from} AND viewed_at < ${to}
+          AND (${contactId}::text IS NULL OR contact_id = ${contactId})
+          AND (${companyId}::uuid IS NULL OR company_id = ${companyId})
+        GROUP BY device
+        UNION ALL
+        SELECT 'country', country, COUNT(*)::int
+        FROM contact_views
+        WHERE viewed_at >= ${from} AND viewed_at < ${to} AND country IS NOT NULL
+          AND (${contactId}::text IS NULL OR contact_id = ${contactId})
+          AND (${companyId}::uuid IS NULL OR company_id = ${companyId})
+        GROUP BY country
+        ORDER BY views DESC
+    `;
+    
+    const totals = { views: 0, nfc: 0, qr: 0, link: 0, saves: 0, walletPasses: 0, leads: 0 };
+    const points = series.map(p => {
+        const point = {
+            period: p.period,
+            views: p.views,
+            nfc: p.nfc,
+            qr: p.qr,
+            link: p.link,
+            saves: p.saves,
+            walletPasses: p.wallet_passes,
+            leads: p.leads
+        };
+        for (const key of Object.keys(totals)) {
+            totals[key] += point[key];
+        }
+        return point;
+    });
+    
+    const breakdown = dimension => breakdowns
+        .filter(b => b.dimension === dimension)
+        .map(b => ({ [dimension]: b.value, views: b.views }));
+    
+    return {
+        from,
+        to,
+        interval,
+        totals,
+        series: points,
+        devices: breakdown('device'),
+        countries: breakdown('country').slice(0, 10)
+    };
+}
+
+// ==================== QR CODE HELPERS ====================
+
+const QR_FORMATS = { svg: 'image/svg+xml', png: 'image/png' };
+const QR_ERROR_CORRECTION_LEVELS = ['L', 'M', 'Q', 'H'];
+const QR_SIZE = { default: 512, min: 64, max: 2048 };  // pixels
+const QR_MARGIN = { default: 4, max: 16 };              // quiet zone, in modules
+const QR_DEFAULT_COLOR = '#000000';
+const QR_DEFAULT_BACKGROUND = '#FFFFFF';
+// Width of the centre logo box as a share of the code; Q and H correction recover 25-30%
+const QR_LOGO_SCALE = 0.22;
+const QR_LOGO_PIXELS = 256;
+const HEX_COLOR_PATTERN = /^#?[0-9a-f]{6}$/i;
+
+// Encode URLs as UTF-8 rather than the library's default of one byte per character
+qrcode.stringToBytes = qrcode.stringToBytesFuncs['UTF-8'];
+
+// "22c55e" or "#22C55E" -> "#22C55E"; null when it isn't a 6-digit hex color
+function normalizeHexColor(value) {
+    const text = String(value || '').trim();
+    return HEX_COLOR_PATTERN.test(text) ? `#${text.replace('#', '').toUpperCase()}` : null;
+}
+
+/**
+ * Read QR rendering options from a query string. Colors default to the company's
+ * brand colors and the logo to whether the company has one.
+ * @param {Object} query - size, margin, ecc (L|M|Q|H), color, background, logo (true|false)
+ * @param {Object} company - companies row (logo, brand_color, brand_background)
+ * @returns {{size: number, margin: number, ecc: string, color: string, background: string, logo: boolean}|{error: string}}
+ */
+function parseQrOptions(query, company) {
+    const size = query.size === undefined ? QR_SIZE.default : Number(query.size);
+    const margin = query.margin === undefined ? QR_MARGIN.default : Number(query.margin);
+    const logo = Boolean(company.logo) && !['0', 'false'].includes(String(query.logo));
+    const ecc = query.ecc === undefined ? (logo ? 'H' : 'M') : String(query.ecc).toUpperCase();
+    const color = normalizeHexColor(query.color ?? company.brand_color ?? QR_DEFAULT_COLOR);
+    const background = normalizeHexColor(query.background ?? company.brand_background ?? QR_DEFAULT_BACKGROUND);
+    
+    if (!Number.isInteger(size) || size < QR_SIZE.min || size > QR_SIZE.max) {
+        return { error: `size must be a whole number of pixels from ${QR_SIZE.min} to ${QR_SIZE.max}` };
+    }
+    if (!Number.isInteger(margin) || margin < 0 || margin > QR_MARGIN.max) {
+        return { error: `margin must be a whole number of modules from 0 to ${QR_MARGIN.max}` };
+    }
+    if (!QR_ERROR_CORRECTION_LEVELS.includes(ecc)) {
+        return { error: `ecc must be one of: ${QR_ERROR_CORRECTION_LEVELS.join(', ')}` };
+    }
+    if (logo && !['Q', 'H'].includes(ecc)) {
+        return { error: 'A centre logo needs ecc Q or H (or logo=false)' };
+    }
+    if (!color || !background) {
+        return { error: 'color and background must be hex colors, e.g. 22C55E' };
+    }
+    
+    return { size, margin, ecc, color, background, logo };
+}
+
+/**
+ * Read an image stored on a company (logo, card design) without fetching anything:
+ * files under public/ and data: URIs only, so rendering never waits on (or leaks to)
+ * another host
+ * @param {string} image - e.g. "/logos/123.png" or "data:image/png;base64,..."
+ * @returns {Promise<Buffer|null>}
+ */
+async function readStoredImage(image) {
+    if (!image || /^https?:\/\//.test(image)) {
+        return null;
+    }
+    
+    const dataUri = image.match(/^data:image\/[a-z+.-]+;base64,([A-Za-z0-9+/=]+)$/);
+    if (dataUri) {
+        return Buffer.from(dataUri[1], 'base64');
+    }
+    
+    const publicDir = path.join(__dirname, 'public');
+    const filePath = path.resolve(publicDir, '.' + path.posix.normalize('/' + image));
+    if (!filePath.startsWith(publicDir + path.sep)) {
+        return null;
+    }
+    return fs.promises.readFile(filePath).catch(() => null);
+}
+
+// Load a company logo as a PNG data URI for the centre of a QR code
+async function loadQrLogo(logo) {
+    const buffer = await readStoredImage(logo);
+    
+    try {
+        const png = buffer && await sharp(buffer)
+            .resize(QR_LOGO_PIXELS, QR_LOGO_PIXELS, { fit: 'inside' })
+            .png()
+            .toBuffer();
+        return png ? `data:image/png;base64,${png.toString('base64')}` : null;
+    } catch (error) {
+        return null; // not an image sharp can read
+    }
+}
+
+// Encode text as a QR code (the smallest version that fits) with the given error correction
+function createQrCode(text, ecc) {
+    const qr = qrcode(0, ecc);
+    qr.addData(text);
+    qr.make();
+    return qr;
+}
+
+/**
+ * Render a QR code as SVG. Dark modules are drawn as one path in module units, so the
+ * code scales cleanly; the logo sits on a background-colored box with the modules
+ * under it left out.
+ * @param {string} text
+ * @param {Object} options - from parseQrOptions
+ * @param {string|null} logo - PNG data URI from loadQrLogo
+ * @returns {string}
+ */
+function renderQrSvg(text, options, logo = null) {
+    const qr = createQrCode(text, options.ecc);
+    const count = qr.getModuleCount();
+    const total = count + options.margin * 2;
+    
+    // Logo box in modules, odd like the module count so it stays centred on the grid
+    let box = logo ? Math.round(count * QR_LOGO_SCALE) : 0;
+    if (box % 2 === 0 && box > 0) {
+        box += 1;
+    }
+    const boxStart = (count - box) / 2;
+    const inBox = (row, col) => box > 0 &&
+        row >= boxStart && row < boxStart + box && col >= boxStart && col < boxStart + box;
+    
+    // One subpath per horizontal run of dark modules
+    let d = '';
+    for (let row = 0; row < count; row++) {
+        for (let col = 0; col < count; col++) {
+            if (!qr.isDark(row, col) || inBox(row, col)) {
+                continue;
+            }
+            let run = 1;
+            while (col + run < count && qr.isDark(row, col + run) && !inBox(row, col + run)) {
+                run++;
+            }
+            d += `M${col + options.margin} ${row + options.margin}h${run}v1h-${run}z`;
+            col += run - 1;
+        }
+    }
+    
+    const logoMarkup = box > 0 ? `
+    <rect x="${boxStart + options.margin}" y="${boxStart + options.margin}" width="${box}" height="${box}" fill="${options.background}"/>
+    <image x="${boxStart + options.margin + 0.5}" y="${boxStart + options.margin + 0.5}" width="${box - 1}" height="${box - 1}" preserveAspectRatio="xMidYMid meet" xlink:href="${logo}"/>` : '';
+    
+    return `<?xml version="1.0" encoding="UTF-8"?>
+<svg xmlns="http://www.w3.org/2000/svg" xmlns:xlink="http://www.w3.org/1999/xlink" width="${options.size}" height="${options.size}" viewBox="0 0 ${total} ${total}" shape-rendering="crispEdges">
+    <rect width="${total}" height="${total}" fill="${options.background}"/>
+    <path fill="${options.color}" d="${d}"/>${logoMarkup}
+</svg>
+`;
+}
+
+/**
+ * Render a QR code in the requested format
+ * @param {string} text
+ * @param {string} format - 'svg' or 'png'
+ * @param {Object} options - from parseQrOptions
+ * @param {string|null} logo - PNG data URI from loadQrLogo
+ * @returns {Promise<Buffer>}
+ */
+async function renderQrCode(text, format, options, logo = null) {
+    const svg = Buffer.from(renderQrSvg(text, options, logo));
+    return format === 'png' ? sharp(svg).png().toBuffer() : svg;
+}
+
+// What a contact's QR code opens: their card, marked as a QR scan for analytics
+function contactQrTarget(slug) {
+    return `${contactPublicUrls(slug).cardUrl}?src=qr`;
+}
+
+// ==================== PRINT HELPERS ====================
+
+const MM = 72 / 25.4; // PDF points per millimetre
+
+// Card trim sizes in mm
+const PRINT_CARD_SIZES = {
+    cr80: { width: 85.6, height: 53.98 }, // ISO/IEC 7810 ID-1, the size of PVC NFC cards
+    eu: { width: 85, height: 55 },
+    us: { width: 88.9, height: 50.8 }     // 3.5 x 2 in
+};
+const PRINT_SHEET_SIZES = {
+    a4: { width: 210, height: 297 },
+    letter: { width: 215.9, height: 279.4 },
+    sra3: { width: 320, height: 450 }
+};
+const PRINT_BLEED = { default: 3, max: 5 };                           // mm past the trim on every side
+const PRINT_CROP_MARK = { offset: 2, length: 5, lineWidth: 0.25 };    // mm outside the bleed, mm, pt
+const PRINT_SHEET_MARGIN = 5;                                         // mm between marks and sheet edge
+const PRINT_IMAGE_DPI = 300;
+const PRINT_MAX_CONTACTS = 500;
+const PRINT_REGISTRATION = [100, 100, 100, 100]; // crop marks show on every plate
+
+// Where each field goes on the card, in mm from the top-left trim corner. size is the font
+// size in pt (for the QR code, its side in mm); text wider than width is scaled down to fit.
+// Companies override any of these (or hide a field) in companies.print_layout.
+const DEFAULT_PRINT_LAYOUT = {
+    nameEn: { side: 'front', x: 5, y: 6, width: 50, size: 10, bold: true, align: 'left', color: '#000000' },
+    positionEn: { side: 'front', x: 5, y: 11.5, width: 50, size: 7, bold: false, align: 'left', color: '#000000' },
+    nameAr: { side: 'front', x: 5, y: 17, width: 75, size: 10, bold: true, align: 'right', color: '#000000' },
+    positionAr: { side: 'front', x: 5, y: 22.5, width: 75, size: 7, bold: false, align: 'right', color: '#000000' },
+    phone: { side: 'front', x: 5, y: 38, width: 50, size: 7, bold: false, align: 'left', color: '#000000' },
+    email: { side: 'front', x: 5, y: 42.5, width: 50, size: 7, bold: false, align: 'left', color: '#000000' },
+    qr: { side: 'back', x: 30.8, y: 15, size: 24 }
+};
+const PRINT_LAYOUT_SIZE_LIMITS = { text: [4, 36], qr: [10, 50] };
+
+// Text is drawn as outlines, so the PDF embeds no fonts and prints the same everywhere
+const PRINT_FONT_FILES = {
+    latin: require.resolve('@fontsource/inter/files/inter-latin-400-normal.woff'),
+    latinBold: require.resolve('@fontsource/inter/files/inter-latin-700-normal.woff'),
+    arabic: require.resolve('@fontsource/noto-sans-arabic/files/noto-sans-arabic-arabic-400-normal.woff'),
+    arabicBold: require.resolve('@fontsource/noto-sans-arabic/files/noto-sans-arabic-arabic-700-normal.woff')
+};
+const printFonts = {};
+
+function printFont(name) {
+    if (!printFonts[name]) {
+        printFonts[name] = fontkit.openSync(PRINT_FONT_FILES[name]);
+    }
+    return printFonts[name];
+}
+
+/**
+ * Read print options from a query string
+ * @param {Object} query - size (cr80|eu|us), bleed (mm), sheet (a4|letter|sra3), cropMarks (true|false)
+ * @returns {{card: Object, bleed: number, sheet: Object, cropMarks: boolean}|{error: string}}
+ */
+function parsePrintOptions(query) {
+    const size = query.size || 'cr80';
+    const sheet = query.sheet || 'a4';
+    const bleed = query.bleed === undefined ? PRINT_BLEED.default : Number(query.bleed);
+    
+    if (!PRINT_CARD_SIZES[size]) {
+        return { error: `size must be one of: ${Object.keys(PRINT_CARD_SIZES).join(', ')}` };
+    }
+    if (!PRINT_SHEET_SIZES[sheet]) {
+        return { error: `sheet must be one of: ${Object.keys(PRINT_SHEET_SIZES).join(', ')}` };
+    }
+    if (!Number.isFinite(bleed) || bleed < 0 || bleed > PRINT_BLEED.max) {
+        return { error: `bleed must be from 0 to ${PRINT_BLEED.max} mm` };
+    }
+    
+    return {
+        card: PRINT_CARD_SIZES[size],
+        sheet: PRINT_SHEET_SIZES[sheet],
+        bleed,
+        cropMarks: !['0', 'false'].includes(String(query.cropMarks))
+    };
+}
+
+// Check a company's layout overrides; returns a list of problems (empty when valid)
+function validatePrintLayout(layout) {
+    if (!layout || typeof layout !== 'object' || Array.isArray(layout)) {
+        return ['layout must be an object keyed by field'];
+    }
+    
+    const errors = [];
+    for (const [field, spec] of Object.entries(layout)) {
+        if (!DEFAULT_PRINT_LAYOUT[field]) {
+            errors.push(`Unknown field: ${field}`);
+            continue;
+        }
+        if (!spec || typeof spec !== 'object' || Array.isArray(spec)) {
+            errors.push(`${field} must be an object`);
+            continue;
+        }
+        
+        const [minSize, maxSize] = PRINT_LAYOUT_SIZE_LIMITS[field === 'qr' ? 'qr' : 'text'];
+        for (const [key, value] of Object.entries(spec)) {
+            if (key === 'side') {
+                if (!['front', 'back'].includes(value)) errors.push(`${field}.side must be front or back`);
+            } else if (['x', 'y', 'width'].includes(key) && !(field === 'qr' && key === 'width')) {
+                if (typeof value !== 'number' || value < 0 || value > 100) errors.push(`${field}.${key} must be from 0 to 100 mm`);
+            } else if (key === 'size') {
+                if (typeof value !== 'number' || value < minSize || value > maxSize) errors.push(`${field}.size must be from ${minSize} to ${maxSize}`);
+            } else if (key === 'align' && field !== 'qr') {
+                if (!['left', 'center', 'right'].includes(value)) errors.push(`${field}.align must be left, center or right`);
+            } else if (key === 'color') {
+                if (!normalizeHexColor(value)) errors.push(`${field}.color must be a hex color, e.g. #22C55E`);
+            } else if (key === 'hidden' || (key === 'bold' && field !== 'qr')) {
+                if (typeof value !== 'boolean') errors.push(`${field}.${key} must be true or false`);
+            } else {
+                errors.push(`Unknown setting: ${field}.${key}`);
+            }
+        }
+    }
+    return errors;
+}
+
+// The default layout with a company's overrides applied
+function resolvePrintLayout(overrides) {
+    return Object.fromEntries(Object.entries(DEFAULT_PRINT_LAYOUT)
+        .map(([field, spec]) => [field, { ...spec, ...(overrides || {})[field] }]));
+}
+
+// RGB hex -> CMYK percentages for vector fills; black becomes pure K rather than a four-color mix
+function hexToCmyk(hex) {
+    const [r, g, b] = [1, 3, 5].map(i => parseInt(normalizeHexColor(hex).slice(i, i + 2), 16) / 255);
+    const k = 1 - Math.max(r, g, b);
+    if (k === 1) {
+        return [0, 0, 0, 100];
+    }
+    return [r, g, b].map(v => Math.round((1 - v - k) / (1 - k) * 100)).concat(Math.round(k * 100));
+}
+
+// Draw one line of text as outlines. Arabic is shaped and ordered by fontkit.
+function drawPrintText(doc, text, spec, left, top) {
+    const font = printFont((/[؀-ۿ]/.test(text) ? 'arabic' : 'latin') + (spec.bold ? 'Bold' : ''));
+    const run = font.layout(String(text));
+    const width = spec.width * MM;
+    const nominalScale = spec.size / font.unitsPerEm;
+    const scale = Math.min(nominalScale, run.advanceWidth > 0 ? width / run.advanceWidth : nominalScale);
+    const textWidth = run.advanceWidth * scale;
+    
+    let x = left + spec.x * MM;
+    if (spec.align === 'right') {
+        x += width - textWidth;
+    } else if (spec.align === 'center') {
+        x += (width - textWidth) / 2;
+    }
+    // The baseline stays put when text is scaled down, so shrunk lines still align
+    const baseline = top + spec.y * MM + font.ascent * nominalScale;
+    
+    let d = '';
+    run.glyphs.forEach((glyph, i) => {
+        const position = run.positions[i];
+        d += glyph.path
+            .scale(scale, -scale)
+            .translate(x + position.xOffset * scale, baseline - position.yOffset * scale)
+            .toSVG();
+        x += position.xAdvance * scale;
+    });
+    if (d) {
+        doc.path(d).fill(hexToCmyk(spec.color || '#000000'));
+    }
+}
+
+// Draw a QR code as vector modules on a background square with a 2-module quiet zone
+function drawPrintQr(doc, text, spec, colors, left, top) {
+    const qr = createQrCode(text, 'M');
+    const count = qr.getModuleCount();
+    const side = spec.size * MM;
+    const module = side / (count + 4);
+    const x0 = left + spec.x * MM + module * 2;
+    const y0 = top + spec.y * MM + module * 2;
+    
+    doc.rect(left + spec.x * MM, top + spec.y * MM, side, side).fill(hexToCmyk(colors.background));
+    
+    let d = '';
+    for (let row = 0; row < count; row++) {
+        for (let col = 0; col < count; col++) {
+            if (!qr.isDark(row, col)) {
+                continue;
+            }
+            let run = 1;
+            while (col + run < count && qr.isDark(row, col + run)) {
+                run++;
+            }
+            d += `M${x0 + col * module} ${y0 + row * module}h${run * module}v${module}h${-run * module}z`;
+            col += run - 1;
+        }
+    }
+    doc.path(d).fill(hexToCmyk(spec.color || colors.color));
+}
+
+/**
+ * Prepare a card design for print: cropped to cover the card and its bleed at 300 dpi,
+ * flattened onto white and converted to a CMYK JPEG
+ * @returns {Promise<Object|null>} pdfkit image, embedded once however many cards use it
+ */
+async function loadPrintImage(doc, image, options) {
+    const buffer = await readStoredImage(image);
+    if (!buffer) {
+        return null;
+    }
+    
+    const pixels = mm => Math.round(mm / 25.4 * PRINT_IMAGE_DPI);
+    try {
+        const jpeg = await sharp(buffer)
+            .flatten({ background: '#ffffff' })
+            .resize(pixels(options.card.width + options.bleed * 2), pixels(options.card.height + options.bleed * 2), { fit: 'cover' })
+            .toColourspace('cmyk')
+            .jpeg({ quality: 92 })
+            .toBuffer();
+        return doc.openImage(jpeg);
+    } catch (error) {
+        return null; // not an image sharp can read
+    }
+}
+
+// Draw one side of a contact's card with its top-left trim corner at (left, top) in pt
+function drawCardSide(doc, side, contact, design, left, top) {
+    const { options, layout, images, colors } = design;
+    const bleed = options.bleed * MM;
+    
+    if (images[side]) {
+        doc.image(images[side], left - bleed, top - bleed, {
+            width: options.card.width * MM + bleed * 2,
+            height: options.card.height * MM + bleed * 2
+        });
+    }
+    
+    for (const [field, spec] of Object.entries(layout)) {
+        if (spec.hidden || spec.side !== side) {
+            continue;
+        }
+        if (field === 'qr') {
+            drawPrintQr(doc, contactQrTarget(contact.slug), spec, colors, left, top);
+        } else if (contact[field]) {
+            drawPrintText(doc, contact[field], spec, left, top);
+        }
+    }
+}
+
+// Corner crop marks for a trim box (in pt), starting outside the bleed
+function drawCropMarks(doc, left, top, width, height, bleed) {
+    const start = (bleed + PRINT_CROP_MARK.offset) * MM;
+    const end = start + PRINT_CROP_MARK.length * MM;
+    
+    doc.save().lineWidth(PRINT_CROP_MARK.lineWidth).strokeColor(PRINT_REGISTRATION);
+    for (const [x, dx] of [[left, -1], [left + width, 1]]) {
+        for (const [y, dy] of [[top, -1], [top + height, 1]]) {
+            doc.moveTo(x + dx * start, y).lineTo(x + dx * end, y);
+            doc.moveTo(x, y + dy * start).lineTo(x, y + dy * end);
+        }
+    }
+    doc.stroke().restore();
+}
+
+/**
+ * How many cards (with bleed, edge to edge) fit on a sheet, trying both orientations
+ * @returns {{width: number, height: number, columns: number, rows: number}} sheet size in mm
+ */
+function printSheetGrid(options) {
+    const margin = PRINT_SHEET_MARGIN + (options.cropMarks ? PRINT_CROP_MARK.offset + PRINT_CROP_MARK.length : 0);
+    const cellWidth = options.card.width + options.bleed * 2;
+    const cellHeight = options.card.height + options.bleed * 2;
+    
+    const layouts = [options.sheet, { width: options.sheet.height, height: options.sheet.width }].map(sheet => ({
+        ...sheet,
+        columns: Math.floor((sheet.width - margin * 2) / cellWidth),
+        rows: Math.floor((sheet.height - margin * 2) / cellHeight)
+    }));
+    return layouts.reduce((best, grid) => grid.columns * grid.rows > best.columns * best.rows ? grid : best);
+}
+
+/**
+ * Build a print-ready PDF of contacts' cards, each front followed by its back (when the
+ * company has a back design or puts fields on it). Without imposition every card side is
+ * its own page of card + bleed + crop marks, with TrimBox and BleedBox set. Imposed, the
+ * cards are laid out multi-up on sheets with crop marks along every cut line, and each
+ * back sheet is mirrored so it lines up when printed long-edge duplex.
+ * All colors are CMYK and nothing is transparent.
+ * @param {Object} company - companies row
+ * @param {Object[]} contacts - camelCase contacts (slug, nameEn, nameAr, positionEn, positionAr, phone, email)
+ * @param {Object} options - from parsePrintOptions
+ * @param {boolean} [imposed=false]
+ * @returns {Promise<Buffer>}
+ */
+async function renderCardsPdf(company, contacts, options, imposed = false) {
+    const doc = new PDFDocument({
+        autoFirstPage: false,
+        info: { Title: `${company.name} business cards`, Creator: 'FeedbackNFC' }
+    });
+    const chunks = [];
+    doc.on('data', chunk => chunks.push(chunk));
+    const done = new Promise(resolve => doc.on('end', resolve));
+    
+    const layout = resolvePrintLayout(company.print_layout);
+    const design = {
+        options,
+        layout,
+        colors: {
+            color: company.brand_color || QR_DEFAULT_COLOR,
+            background: company.brand_background || QR_DEFAULT_BACKGROUND
+        },
+        images: {
+            front: await loadPrintImage(doc, company.card_front, options),
+            back: await loadPrintImage(doc, company.card_back, options)
+        }
+    };
+    const sides = ['front'];
+    if (design.images.back || Object.values(layout).some(spec => spec.side === 'back' && !spec.hidden)) {
+        sides.push('back');
+    }
+    
+    const card = { width: options.card.width * MM, height: options.card.height * MM };
+    const bleed = options.bleed * MM;
+    
+    if (!imposed) {
+        const slug = options.cropMarks ? bleed + (PRINT_CROP_MARK.offset + PRINT_CROP_MARK.length + 1) * MM : bleed;
+        for (const contact of contacts) {
+            for (const side of sides) {
+                doc.addPage({ size: [card.width + slug * 2, card.height + slug * 2], margin: 0 });
+                doc.page.dictionary.data.TrimBox = [slug, slug, slug + card.width, slug + card.height];
+                doc.page.dictionary.data.BleedBox = [slug - bleed, slug - bleed, slug + card.width + bleed, slug + card.height + bleed];
+                drawCardSide(doc, side, contact, design, slug, slug);
+                if (options.cropMarks) {
+                    drawCropMarks(doc, slug, slug, card.width, card.height, options.bleed);
+                }
+            }
+        }
+    } else {
+        const grid = printSheetGrid(options);
+        const cellWidth = card.width + bleed * 2;
+        const cellHeight = card.height + bleed * 2;
+        const gridLeft = (grid.width * MM - grid.columns * cellWidth) / 2;
+        const gridTop = (grid.height * MM - grid.rows * cellHeight) / 2;
+        const perSheet = grid.columns * grid.rows;
+        
+        for (let first = 0; first < contacts.length; first += perSheet) {
+            for (const side of sides) {
+                doc.addPage({ size: [grid.width * MM, grid.height * MM], margin: 0 });
+                contacts.slice(first, first + perSheet).forEach((contact, i) => {
+                    const row = Math.floor(i / grid.columns);
+                    const column = side === 'back' ? grid.columns - 1 - (i % grid.columns) : i % grid.columns;
+                    drawCardSide(doc, side, contact, design,
+                        gridLeft + column * cellWidth + bleed, gridTop + row * cellHeight + bleed);
+                });
+                if (options.cropMarks) {
+                    drawSheetCropMarks(doc, grid, gridLeft, gridTop, cellWidth, cellHeight, bleed);
+                }
+            }
+        }
+    }
+    
+    doc.end();
+    await done;
+    return Buffer.concat(chunks);
+}
+
+// Crop marks in the sheet margin, in line with every cut of a multi-up grid (all in pt)
+function drawSheetCropMarks(doc, grid, gridLeft, gridTop, cellWidth, cellHeight, bleed) {
+    const gridRight = gridLeft + grid.columns * cellWidth;
+    const gridBottom = gridTop + grid.rows * cellHeight;
+    const start = PRINT_CROP_MARK.offset * MM;
+    const end = start + PRINT_CROP_MARK.length * MM;
+    
+    doc.save().lineWidth(PRINT_CROP_MARK.lineWidth).strokeColor(PRINT_REGISTRATION);
+    for (let column = 0; column < grid.columns; column++) {
+        for (const x of [gridLeft + column * cellWidth + bleed, gridLeft + (column + 1) * cellWidth - bleed]) {
+            doc.moveTo(x, gridTop - start).lineTo(x, gridTop - end);
+            doc.moveTo(x, gridBottom + start).lineTo(x, gridBottom + end);
+        }
+    }
+    for (let row = 0; row < grid.rows; row++) {
+        for (const y of [gridTop + row * cellHeight + bleed, gridTop + (row + 1) * cellHeight - bleed]) {
+            doc.moveTo(gridLeft - start, y).lineTo(gridLeft - end, y);
+            doc.moveTo(gridRight + start, y).lineTo(gridRight + end, y);
+        }
+    }
+    doc.stroke().restore();
+}
+
+// Contact row -> the fields a printed card can show
+function formatPrintContact(c) {
+    return {
+        id: c.id,
+        slug: c.slug,
+        nameEn: c.name_en,
+        nameAr: c.name_ar,
+        positionEn: c.position_en,
+        positionAr: c.position_ar,
+        phone: c.phone,
+        email: c.email
+    };
+}
+
+// ==================== NFC TAG HELPERS ====================
+
+// Tags are written with /t/<code> rather than a contact URL, so a tag can be handed
+// to someone else without re-encoding it. Codes leave out characters that are easy
+// to misread when printed on the card (0/o, 1/l/i).
+const NFC_TAG_CODE_ALPHABET = '23456789abcdefghjkmnpqrstuvwxyz';
+const NFC_TAG_CODE_LENGTH = 8;
+const NFC_TAG_UID_PATTERN = /^(?:[0-9A-F]{2}){4,10}$/; // 4, 7 or 10 byte chip UIDs
+const NFC_TAG_LABEL_MAX_LENGTH = 100;
+const NFC_TAG_MANIFEST_MAX_ROWS = 2000;
+
+// Manifest columns, with the headers recognised for each (compared as in the contact import)
+const NFC_TAG_MANIFEST_COLUMNS = {
+    uid: ['uid', 'taguid', 'chipuid', 'serial', 'serialnumber'],
+    label: ['label', 'name', 'tagname'],
+    contact: ['contact', 'contactid', 'slug', 'email', 'assignto']
+};
+
+function generateTagCode() {
+    let code = '';
+    for (let i = 0; i < NFC_TAG_CODE_LENGTH; i++) {
+        code += NFC_TAG_CODE_ALPHABET[crypto.randomInt(NFC_TAG_CODE_ALPHABET.length)];
+    }
+    return code;
+}
+
+// "04:a2:3b:..." or "04-A2-3B-..." -> "04A23B..."; null when it isn't a chip UID
+function normalizeTagUid(uid) {
+    const normalized = String(uid || '').replace(/[\s:-]/g, '').toUpperCase();
+    return NFC_TAG_UID_PATTERN.test(normalized) ? normalized : null;
+}
+
+function nfcTagUrl(code) {
+    return `${BASE_URL}/t/${code}`;
+}
+
+// API shape of an nfc_tags row joined with its contact (contact_slug, contact_name)
+function formatNfcTag(t) {
+    return {
+        id: t.id,
+        uid: t.uid,
+        code: t.code,
+        url: nfcTagUrl(t.code),
+        label: t.label,
+        batch: t.batch,
+        contact: t.contact_id ? { id: t.contact_id, slug: t.contact_slug, nameEn: t.contact_name } : null,
+        assignedAt: t.assigned_at,
+        createdAt: t.created_at
+    };
+}
+
+/**
+ * Find the contact a tag is being assigned to, by id, slug or email, within the tag's company
+ * @returns {Promise<Object|null>} - { id, slug, name_en }
+ */
+async function findTagContact(companyId, key) {
+    const value = String(key || '').trim();
+    const result = await sql`
+        SELECT id, slug, name_en FROM contacts
+        WHERE company_id = ${companyId} AND deleted_at IS NULL
+          AND (id = ${value} OR slug = ${value} OR LOWER(email) = LOWER(${value}))
+        ORDER BY (id = ${value}) DESC
+        LIMIT 1
+    `;
+    return result[0] || null;
+}
+
+/**
+ * Queries that point a tag at a contact, or at nobody when contact is null. The open
+ * history entry is closed and, for a contact, a new one is opened; the contact's name
+ * is kept so the history still reads after the contact is purged.
+ */
+function assignNfcTagQueries(req, tagId, contact) {
+    const assignedBy = req.session.email || null;
+    return [
+        sql`
+            UPDATE nfc_tag_assignments SET unassigned_at = CURRENT_TIMESTAMP
+            WHERE tag_id = ${tagId} AND unassigned_at IS NULL
+        `,
+        ...(contact ? [sql`
+            INSERT INTO nfc_tag_assignments (tag_id, contact_id, contact_name, assigned_by)
+            VALUES (${tagId}, ${contact.id}, ${contact.name_en}, ${assignedBy})
+        `] : []),
+        sql`
+            UPDATE nfc_tags
+            SET contact_id = ${contact ? contact.id : null},
+                assigned_at = CASE WHEN ${contact ? contact.id : null}::text IS NULL THEN NULL ELSE CURRENT_TIMESTAMP END
+            WHERE id = ${tagId}
+        `
+    ];
+}
+
+// ==================== NDEF HELPERS ====================
+
+// URI identifier codes from the NFC Forum URI Record Type Definition, indexed by code.
+// The record stores the one-byte code instead of the prefix it stands for.
+const NDEF_URI_PREFIXES = [
+    '', 'http://www.', 'https://www.', 'http://', 'https://', 'tel:', 'mailto:',
+    'ftp://anonymous:anonymous@', 'ftp://ftp.', 'ftps://', 'sftp://', 'smb://', 'nfs://',
+    'ftp://', 'dav://', 'news:', 'telnet://', 'imap:', 'rtsp://', 'urn:', 'pop:', 'sip:',
+    'sips:', 'tftp:', 'btspp://', 'btl2cap://', 'btgoep://', 'tcpobex://', 'irdaobex://',
+    'file://', 'urn:epc:id:', 'urn:epc:tag:', 'urn:epc:pat:', 'urn:epc:raw:', 'urn:epc:', 'urn:nfc:'
+];
+const NDEF_TNF = { wellKnown: 0x01, mime: 0x02, external: 0x04 };
+const NDEF_FORMATS = { bin: 'application/octet-stream', hex: 'text/plain', json: 'application/json' };
+
+// Bytes of user memory each chip has for the NDEF TLV
+const NDEF_CHIP_CAPACITIES = { NTAG213: 144, NTAG215: 504, NTAG216: 888 };
+const ANDROID_PACKAGE_PATTERN = /^[a-zA-Z][a-zA-Z0-9_]*(\.[a-zA-Z][a-zA-Z0-9_]*)+$/;
+const NDEF_ANDROID_PACKAGE = process.env.NDEF_ANDROID_PACKAGE || null;
+
+/**
+ * Read NDEF options from a query string
+ * @param {Object} query - vcard (true|false), aar (an Android package name, or true for
+ *   NDEF_ANDROID_PACKAGE), chip (fail unless the message fits this chip)
+ * @returns {{vcard: boolean, androidPackage: string|null, chip: string|null}|{error: string}}
+ */
+function parseNdefOptions(query) {
+    const vcard = query.vcard === 'true' || query.vcard === '1';
+    const aar = query.aar && !['false', '0'].includes(query.aar) ? String(query.aar) : null;
+    const androidPackage = aar === 'true' || aar === '1' ? NDEF_ANDROID_PACKAGE : aar;
+    const chip = query.chip ? String(query.chip).toUpperCase() : null;
+    
+    if (aar && !androidPackage) {
+        return { error: 'aar=true needs NDEF_ANDROID_PACKAGE to be set; pass a package name instead' };
+    }
+    if (androidPackage && !ANDROID_PACKAGE_PATTERN.test(androidPackage)) {
+        return { error: 'aar must be an Android package name, e.g. com.example.app' };
+    }
+    if (chip && !NDEF_CHIP_CAPACITIES[chip]) {
+        return { error: `chip must be one of: ${Object.keys(NDEF_CHIP_CAPACITIES).join(', ')}` };
+    }
+    
+    return { vcard, androidPackage, chip };
+}
+
+// URI record, with the longest matching prefix replaced by its identifier code
+function ndefUriRecord(uri) {
+    let code = 0;
+    NDEF_URI_PREFIXES.forEach((prefix, i) => {
+        if (uri.startsWith(prefix) && prefix.length > NDEF_URI_PREFIXES[code].length) {
+            code = i;
+        }
+    });
+    return {
+        tnf: 'wellKnown',
+        type: 'U',
+        payload: Buffer.concat([Buffer.from([code]), Buffer.from(uri.slice(NDEF_URI_PREFIXES[code].length), 'utf8')]),
+        value: uri,
+        prefixCode: code
+    };
+}
+
+function ndefVCardRecord(vcard) {
+    return { tnf: 'mime', type: 'text/vcard', payload: Buffer.from(vcard, 'utf8'), value: vcard };
+}
+
+// Android Application Record: Android opens (or offers to install) this app for the tag
+function ndefAndroidAppRecord(packageName) {
+    return { tnf: 'external', type: 'android.com:pkg', payload: Buffer.from(packageName, 'ascii'), value: packageName };
+}
+
+// Serialize records into one NDEF message, using short records where the payload allows
+function encodeNdefMessage(records) {
+    return Buffer.concat(records.map((record, i) => {
+        const type = Buffer.from(record.type, 'ascii');
+        const short = record.payload.length < 256;
+        const header = NDEF_TNF[record.tnf]
+            | (i === 0 ? 0x80 : 0)                  // MB: message begin
+            | (i === records.length - 1 ? 0x40 : 0) // ME: message end
+            | (short ? 0x10 : 0);                   // SR: one-byte payload length
+        const length = Buffer.alloc(short ? 1 : 4);
+        if (short) {
+            length.writeUInt8(record.payload.length);
+        } else {
+            length.writeUInt32BE(record.payload.length);
+        }
+        return Buffer.concat([Buffer.from([header, type.length]), length, type, record.payload]);
+    }));
+}
+
+/**
+ * Whether a message fits each chip. On the tag it is wrapped in an NDEF TLV (type byte,
+ * a 1-byte length or 0xFF and a 2-byte length) followed by a terminator TLV.
+ * @returns {Array<{chip: string, capacity: number, required: number, fits: boolean}>}
+ */
+function ndefChipFit(messageLength) {
+    const required = 1 + (messageLength < 0xFF ? 1 : 3) + messageLength + 1;
+    return Object.entries(NDEF_CHIP_CAPACITIES)
+        .map(([chip, capacity]) => ({ chip, capacity, required, fits: required <= capacity }));
+}
+
+/**
+ * Build the NDEF message for a tag: the URI record first (phones act on the first
+ * record), then the optional vCard and Android Application Record
+ * @param {string} uri
+ * @param {Object} [options]
+ * @param {string} [options.vcard] - vCard text to include as a text/vcard record
+ * @param {string} [options.androidPackage]
+ * @returns {{message: Buffer, records: Object[], chips: Object[]}}
+ */
+function buildNdefMessage(uri, { vcard = null, androidPackage = null } = {}) {
+    const records = [ndefUriRecord(uri)];
+    if (vcard) {
+        records.push(ndefVCardRecord(vcard));
+    }
+    if (androidPackage) {
+        records.push(ndefAndroidAppRecord(androidPackage));
+    }
+    const message = encodeNdefMessage(records);
+    return { message, records, chips: ndefChipFit(message.length) };
+}
+
+// JSON description of a built message
+function describeNdefMessage({ message, records, chips }) {
+    return {
+        bytes: message.length,
+        hex: message.toString('hex').toUpperCase(),
+        records: records.map(record => ({
+            tnf: record.tnf,
+            type: record.type,
+            payloadLength: record.payload.length,
+            ...(record.tnf === 'wellKnown' ? { uri: record.value, prefix: NDEF_URI_PREFIXES[record.prefixCode], prefixCode: record.prefixCode } : {}),
+            ...(record.tnf === 'mime' ? { vcard: record.value } : {}),
+            ...(record.tnf === 'external' ? { packageName: record.value } : {})
+        })),
+        chips,
+        smallestChip: (chips.find(c => c.fits) || {}).chip || null
+    };
+}
+
+/**
+ * Send a message as ?format bin, hex or json, or a 422 when options.chip is too small
+ */
+function sendNdefMessage(res, ndef, format, options, filename) {
+    const fit = options.chip && ndef.chips.find(c => c.chip === options.chip);
+    if (fit && !fit.fits) {
+        return res.status(422).json({
+            error: `The message needs ${fit.required} bytes but ${fit.chip} holds ${fit.capacity}`,
+            ...describeNdefMessage(ndef)
+        });
+    }
+    
+    if (format === 'json') {
+        return res.json(describeNdefMessage(ndef));
+    }
+    res.setHeader('Content-Disposition', `attachment; filename="${filename}.${format === 'bin' ? 'ndef' : 'txt'}"`);
+    res.type(NDEF_FORMATS[format]);
+    res.send(format === 'bin' ? ndef.message : ndef.message.toString('hex').toUpperCase());
+}
+
+// Public vCards for contacts, by id, small enough to go on a tag: 3.0 and no photo
+async function loadNdefVCards(contactIds) {
+    if (contactIds.length === 0) {
+        return new Map();
+    }
+    const contacts = await sql`
+        SELECT c.*, comp.name as company_name
+        FROM contacts c
+        LEFT JOIN companies comp ON comp.id = c.company_id
+        WHERE c.id = ANY(${contactIds}) AND c.deleted_at IS NULL
+    `;
+    const customFields = await getCustomFieldsByCompany(contacts.map(c => c.company_id));
+    return new Map(contacts.map(c => [
+        c.id,
+        buildVCard(formatContactExport(c, customFields.get(c.company_id), { publicOnly: true }))
+    ]));
+}
+
+// ==================== CONTACT EXPORT HELPERS ====================
+
+const CONTACT_EXPORT_FORMATS = ['csv', 'json', 'vcf'];
+
+// Columns in CSV exports, in order
+const CONTACT_EXPORT_COLUMNS = [
+    ['id', 'ID'],
+    ['slug', 'Slug'],
+    ['companyName', 'Company'],
+    ['nameEn', 'Name (EN)'],
+    ['nameAr', 'Name (AR)'],
+    ['positionEn', 'Position (EN)'],
+    ['positionAr', 'Position (AR)'],
+    ['location', 'Location'],
+    ['phone', 'Phone'],
+    ['telephone', 'Telephone'],
+    ['email', 'Email'],
+    ['website', 'Website'],
+    ['photoUrl', 'Photo URL'],
+    ['cardUrl', 'Card URL'],
+    ['qrUrl', 'QR URL'],
+    ['createdAt', 'Created At']
+];
+
+// Public card and QR page URLs for a contact
+function contactPublicUrls(slug) {
+    const id = encodeURIComponent(slug);
+    return {
+        cardUrl: `${BASE_URL}/c/${id}`,
+        qrUrl: `${BASE_URL}/qr/${id}`
+    };
+}
+
+/**
+ * Format a contact for export and vCards
+ * @param {Object} c - contacts row joined with company_name
+ * @param {Object[]} [customFieldDefinitions] - The company's custom fields (values are left out without them)
+ * @param {Object} [options] - Passed to formatCustomFieldValues
+ */
+function formatContactExport(c, customFieldDefinitions = [], options = {}) {
+    return {
+        id: c.id,
+        slug: c.slug,
+        companyId: c.company_id,
+        companyName: c.company_name,
+        nameEn: c.name_en,
+        nameAr: c.name_ar,
+        positionEn: c.position_en,
+        positionAr: c.position_ar,
+        location: c.location,
+        phone: c.phone,
+        telephone: c.telephone,
+        email: c.email,
+        website: c.website,
+        photoUrl: c.photo ? `${BASE_URL}${contactPhotoUrls(c.photo).jpeg}` : null,
+        customFields: formatCustomFieldValues(customFieldDefinitions, c.custom_fields, options),
+        ...contactPublicUrls(c.slug || c.id),
+        createdAt: c.created_at
+    };
+}
+
+// Quote a CSV value; values that spreadsheets would run as formulas are prefixed with '
+function csvValue(value) {
+    if (value === null || value === undefined) {
+        return '';
+    }
+    let text = value instanceof Date ? value.toISOString() : String(value);
+    if (/^[=@\t\r]/.test(text) || /^[+-][^\d\s(]/.test(text)) {
+        text = `'${text}`;
+    }
+    return /[",\r\n]/.test(text) ? `"${text.replace(/"/g, '""')}"` : text;
+}
+
+/**
+ * Build a CSV document (with a UTF-8 BOM so Excel reads Arabic correctly)
+ * @param {Array<[string, string]>} columns - [key, header] pairs
+ * @param {Object[]} rows
+ * @returns {string}
+ */
+function toCsv(columns, rows) {
+    const lines = [columns.map(([, header]) => csvValue(header)).join(',')];
+    for (const row of rows) {
+        lines.push(columns.map(([key]) => csvValue(row[key])).join(','));
+    }
+    return '\uFEFF' + lines.join('\r\n') + '\r\n';
+}
+
+// ==================== VCARD HELPERS ====================
+
+const VCARD_VERSIONS = ['3.0', '4.0'];
+const VCARD_PRODID = '-//FeedbackNFC//Business Cards//EN';
+const VCARD_PHOTO_MAX_BYTES = 512 * 1024; // larger images are linked instead of embedded
+const VCARD_PHOTO_TYPES = { '.png': 'image/png', '.jpg': 'image/jpeg', '.jpeg': 'image/jpeg', '.gif': 'image/gif' };
+
+// Escape a text value (RFC 6350 3.4): backslash, newline, comma and semicolon
+function escapeVCardValue(value) {
+    return String(value || '')
+        .replace(/\\/g, '\\\\')
+        .replace(/\r?\n/g, '\\n')
+        .replace(/([,;])/g, '\\$1');
+}
+
+// Quote a parameter value (RFC 6868 caret encoding for newlines and quotes)
+function quoteVCardParam(value) {
+    return `"${String(value).replace(/\^/g, '^^').replace(/\r?\n/g, '^n').replace(/"/g, '^\'')}"`;
+}
+
+// Fold lines longer than 75 octets (RFC 6350 3.2) without splitting UTF-8 characters
+function foldVCardLine(line) {
+    if (Buffer.byteLength(line) <= 75) {
+        return line;
+    }
+    
+    // Fast path for long ASCII values such as embedded photos
+    if (/^[\x20-\x7e]*$/.test(line)) {
+        const parts = [line.slice(0, 75)];
+        for (let i = 75; i < line.length; i += 74) {
+            parts.push(line.slice(i, i + 74));
+        }
+        return parts.join('\r\n ');
+    }
+    
+    const parts = [];
+    let current = '';
+    for (const char of line) {
+        const limit = parts.length === 0 ? 75 : 74; // continuation lines start with a space
+        if (Buffer.byteLength(current + char) > limit) {
+            parts.push(current);
+            current = '';
+        }
+        current += char;
+    }
+    parts.push(current);
+    return parts.join('\r\n ');
+}
+
+// Structured N value from a full name: family;given;additional;prefix;suffix
+function vCardStructuredName(fullName) {
+    const words = String(fullName || '').trim().split(/\s+/).filter(Boolean);
+    const family = words.length > 1 ? words.pop() : '';
+    return `${escapeVCardValue(family)};${escapeVCardValue(words.join(' '))};;;`;
+}
+
+/**
+ * Load an image for embedding as a vCard PHOTO. Local files under public/ and
+ * data: URIs are embedded; remote URLs (and images too large to embed) are linked.
+ * @param {string} image - e.g. "/logos/123.png", "data:image/png;base64,..." or "https://..."
+ * @returns {Promise<{mediaType: string, data: string}|{uri: string}|null>}
+ */
+async function loadVCardPhoto(image) {
+    if (!image) {
+        return null;
+    }
+    
+    const dataUri = image.match(/^data:(image\/(?:png|jpeg|gif));base64,([A-Za-z0-9+/=]+)$/);
+    if (dataUri) {
+        return { mediaType: dataUri[1], data: dataUri[2] };
+    }
+    
+    if (/^https?:\/\//.test(image)) {
+        return { uri: image };
+    }
+    
+    const mediaType = VCARD_PHOTO_TYPES[path.extname(image).toLowerCase()];
+    if (!mediaType) {
+        return null; // SVG and WebP aren't understood by most address books
+    }
+    
+    const publicDir = path.join(__dirname, 'public');
+    const filePath = path.resolve(publicDir, '.' + path.posix.normalize('/' + image));
+    if (!filePath.startsWith(publicDir + path.sep)) {
+        return null;
+    }
+    
+    try {
+        const stats = await fs.promises.stat(filePath);
+        if (stats.size > VCARD_PHOTO_MAX_BYTES) {
+            return { uri: `${BASE_URL}${image}` };
+        }
+        const data = await fs.promises.readFile(filePath);
+        return { mediaType, data: data.toString('base64') };
+    } catch (error) {
+        return { uri: `${BASE_URL}${image}` };
+    }
+}
+
+/**
+ * Build a vCard entry for a contact.
+ * Version 4.0 carries the Arabic name and title as ALTID/LANGUAGE alternates;
+ * 3.0 has no alternates, so the Arabic name goes in NICKNAME and the title is
+ * repeated with LANGUAGE=ar. The free-text location is an address label rather
+ * than being forced into the street component of ADR.
+ * @param {Object} contact - Formatted contact (camelCase, with companyName, cardUrl and public customFields)
+ * @param {Object} [options]
+ * @param {string} [options.version='3.0'] - '3.0' or '4.0'
+ * @param {Object} [options.photo] - Result of loadVCardPhoto
+ * @returns {string}
+ */
+function buildVCard(contact, { version = '3.0', photo = null } = {}) {
+    const v4 = version === '4.0';
+    const lines = ['BEGIN:VCARD', `VERSION:${version}`, `PRODID:${VCARD_PRODID}`];
+    
+    if (v4) {
+        lines.push('KIND:individual');
+        if (contact.nameAr) {
+            lines.push(`FN;ALTID=1;LANGUAGE=en:${escapeVCardValue(contact.nameEn)}`);
+            lines.push(`FN;ALTID=1;LANGUAGE=ar:${escapeVCardValue(contact.nameAr)}`);
+            lines.push(`N;ALTID=1;LANGUAGE=en:${vCardStructuredName(contact.nameEn)}`);
+            lines.push(`N;ALTID=1;LANGUAGE=ar:${vCardStructuredName(contact.nameAr)}`);
+        } else {
+            lines.push(`FN:${escapeVCardValue(contact.nameEn)}`);
+            lines.push(`N:${vCardStructuredName(contact.nameEn)}`);
+        }
+        
+        if (contact.positionAr) {
+            lines.push(`TITLE;ALTID=2;LANGUAGE=en:${escapeVCardValue(contact.positionEn)}`);
+            lines.push(`TITLE;ALTID=2;LANGUAGE=ar:${escapeVCardValue(contact.positionAr)}`);
+        } else if (contact.positionEn) {
+            lines.push(`TITLE:${escapeVCardValue(contact.positionEn)}`);
+        }
+    } else {
+        lines.push(`FN:${escapeVCardValue(contact.nameEn)}`);
+        lines.push(`N:${vCardStructuredName(contact.nameEn)}`);
+        if (contact.nameAr) {
+            lines.push(`NICKNAME;LANGUAGE=ar:${escapeVCardValue(contact.nameAr)}`);
+        }
+        if (contact.positionEn) {
+            lines.push(`TITLE:${escapeVCardValue(contact.positionEn)}`);
+        }
+        if (contact.positionAr) {
+            lines.push(`TITLE;LANGUAGE=ar:${escapeVCardValue(contact.positionAr)}`);
+        }
+    }
+    
+    if (contact.companyName) {
+        lines.push(`ORG:${escapeVCardValue(contact.companyName)}`);
+    }
+    
+    const phones = [[contact.phone, v4 ? 'cell' : 'CELL,VOICE'], [contact.telephone, v4 ? 'work,voice' : 'WORK,VOICE']];
+    for (const [number, type] of phones) {
+        if (!number) continue;
+        lines.push(v4
+            ? `TEL;VALUE=uri;TYPE=${quoteVCardParam(type)}:tel:${String(number).replace(/[^\d+]/g, '')}`
+            : `TEL;TYPE=${type}:${escapeVCardValue(number)}`);
+    }
+    
+    if (contact.email) {
+        lines.push(`EMAIL;TYPE=${v4 ? 'work' : 'INTERNET,WORK'}:${escapeVCardValue(contact.email)}`);
+    }
+    
+    if (contact.location) {
+        lines.push(v4
+            ? `ADR;TYPE=work;LABEL=${quoteVCardParam(contact.location)}:;;;;;;`
+            : `LABEL;TYPE=WORK:${escapeVCardValue(contact.location)}`);
+    }
+    
+    if (contact.website) {
+        const url = contact.website.startsWith('http') ? contact.website : `https://${contact.website}`;
+        lines.push(`URL:${url}`);
+    }
+    
+    if (contact.cardUrl) {
+        lines.push(`URL:${contact.cardUrl}`);
+        lines.push(`UID:${contact.cardUrl}`);
+    }
+    
+    // Typed custom fields get an item group with X-ABLabel so address books show
+    // the company's label; plain text fields are collected into one NOTE
+    const notes = [];
+    let item = 0;
+    for (const field of contact.customFields || []) {
+        const label = `item${++item}.X-ABLabel:${escapeVCardValue(field.labelEn)}`;
+        if (field.type === 'phone') {
+            lines.push(v4
+                ? `item${item}.TEL;VALUE=uri:tel:${String(field.value).replace(/[^\d+]/g, '')}`
+                : `item${item}.TEL:${escapeVCardValue(field.value)}`, label);
+        } else if (field.type === 'email') {
+            lines.push(`item${item}.EMAIL:${escapeVCardValue(field.value)}`, label);
+        } else if (field.type === 'url') {
+            lines.push(`item${item}.URL:${/^https?:\/\//i.test(field.value) ? field.value : `https://${field.value}`}`, label);
+        } else if (field.type === 'address') {
+            lines.push(v4
+                ? `item${item}.ADR;LABEL=${quoteVCardParam(field.value)}:;;;;;;`
+                : `item${item}.LABEL:${escapeVCardValue(field.value)}`, label);
+        } else {
+            item--;
+            notes.push(`${field.labelEn}: ${field.value}`);
+        }
+    }
+    if (notes.length > 0) {
+        lines.push(`NOTE:${escapeVCardValue(notes.join('\n'))}`);
+    }
+    
+    if (photo && photo.data) {
+        lines.push(v4
+            ? `PHOTO:data:${photo.mediaType};base64,${photo.data}`
+            : `PHOTO;ENCODING=b;TYPE=${photo.mediaType.split('/')[1].toUpperCase()}:${photo.data}`);
+    } else if (photo && photo.uri) {
+        lines.push(v4 ? `PHOTO:${photo.uri}` : `PHOTO;VALUE=uri:${photo.uri}`);
+    }
+    
+    lines.push('END:VCARD');
+    
+    return lines.map(foldVCardLine).join('\r\n') + '\r\n';
+}
+
+// ==================== AUDIT LOG HELPERS ====================
+
+// Columns never written to the audit log in clear text
+const AUDIT_REDACTED_FIELDS = ['password', 'invite_token_hash', 'csrf_token', 'totp_secret', 'totp_pending_secret', 'client_secret'];
+
+// Role recorded for whoever made a change; API keys act as themselves
+function auditActorRole(session) {
+    return session.apiKeyId ? 'api_key' : (session.companyRole || session.role || null);
+}
+
+function normalizeAuditValue(value) {
+    if (value instanceof Date) {
+        return value.toISOString();
+    }
+    return value === undefined ? null : value;
+}
+
+/**
+ * Field-level diff between two rows: { field: { before, after } } for changed fields only
+ * @param {Object|null} before - Row before the change (null on create)
+ * @param {Object|null} after - Row after the change (null on delete)
+ * @returns {Object}
+ */
+function diffRecords(before, after) {
+    const changes = {};
+    const keys = new Set([...Object.keys(before || {}), ...Object.keys(after || {})]);
+    
+    for (const key of keys) {
+        const oldValue = normalizeAuditValue(before ? before[key] : null);
+        const newValue = normalizeAuditValue(after ? after[key] : null);
+        
+        if (JSON.stringify(oldValue) === JSON.stringify(newValue)) {
+            continue;
+        }
+        
+        changes[key] = AUDIT_REDACTED_FIELDS.includes(key)
+            ? { before: oldValue === null ? null : '[redacted]', after: newValue === null ? null : '[redacted]' }
+            : { before: oldValue, after: newValue };
+    }
+    return changes;
+}
+
+/**
+ * Append an entry to the audit log. Failures are logged, never thrown, so an
+ * audit problem can't undo a mutation that has already been committed.
+ * @param {Object} req - Express request (actor comes from req.session)
+ * @param {Object} entry - { action, entityType, entityId, companyId, before, after }
+ */
+async function recordAudit(req, { action, entityType, entityId, companyId = null, before = null, after = null }) {
+    try {
+        const changes = diffRecords(before, after);
+        const session = req.session || {};
+        
+        await sql`
+            INSERT INTO audit_log (actor_email, actor_role, actor_user_id, company_id, action, entity_type, entity_id, changes, ip_address)
+            VALUES (${session.email || null}, ${auditActorRole(session)}, ${session.userId || null},
+                    ${companyId}, ${action}, ${entityType}, ${entityId === undefined || entityId === null ? null : String(entityId)},
+                    ${JSON.stringify(changes)}, ${req.ip || null})
+        `;
+    } catch (error) {
+        console.error('Audit log error:', error);
+    }
+}
+
+// ==================== RATE LIMITING ====================
+
+/**
+ * Rate limit stores share one interface:
+ *   hit(key, windowMs)  -> { count, resetAt, updatedAt }  (fixed window, starts at first hit)
+ *   get(key)            -> { count, resetAt, updatedAt } or null when absent/expired
+ *   reset(key)
+ * The memory store suits a single long-running process; on serverless each
+ * instance has its own memory, so the Postgres store is used there.
+ */
+function createMemoryRateLimitStore() {
+    const entries = new Map();
+    let lastSweep = Date.now();
+    
+    function sweep(now) {
+        if (now - lastSweep < 60 * 1000) {
+            return;
+        }
+        lastSweep = now;
+        for (const [key, entry] of entries) {
+            if (entry.resetAt <= now) {
+                entries.delete(key);
+            }
+        }
+    }
+    
+    return {
+        async hit(key, windowMs) {
+            const now = Date.now();
+            sweep(now);
+            
+            let entry = entries.get(key);
+            if (!entry || entry.resetAt <= now) {
+                entry = { count: 0, resetAt: now + windowMs };
+                entries.set(key, entry);
+            }
+            entry.count += 1;
+            entry.updatedAt = now;
+            return { ...entry };
+        },
+        async get(key) {
+            const entry = entries.get(key);
+            if (!entry || entry.resetAt <= Date.now()) {
+                return null;
+            }
+            return { ...entry };
+        },
+        async reset(key) {
+            entries.delete(key);
+        }
+    };
+}
+
+function createPostgresRateLimitStore(db) {
+    function toEntry(row) {
+        return {
+            count: row.count,
+            resetAt: new Date(row.reset_at).getTime(),
+            updatedAt: new Date(row.updated_at).getTime()
+        };
+    }
+    
+    return {
+        async hit(key, windowMs) {
+            const resetAt = new Date(Date.now() + windowMs);
+            const result = await db`
+                INSERT INTO rate_limits (key, count, reset_at, updated_at)
+                VALUES (${key}, 1, ${resetAt}, NOW())
+                ON CONFLICT (key) DO UPDATE SET
+                    count = CASE WHEN rate_limits.reset_at <= NOW() THEN 1 ELSE rate_limits.count + 1 END,
+                    reset_at = CASE WHEN rate_limits.reset_at <= NOW() THEN EXCLUDED.reset_at ELSE rate_limits.reset_at END,
+                    updated_at = NOW()
+                RETURNING count, reset_at, updated_at
+            `;
+            return toEntry(result[0]);
+        },
+        async get(key) {
+            const result = await db`
+                SELECT count, reset_at, updated_at FROM rate_limits
+                WHERE key = ${key} AND reset_at > NOW()
+            `;
+            return result.length > 0 ? toEntry(result[0]) : null;
+        },
+        async reset(key) {
+            await db`DELETE FROM rate_limits WHERE key = ${key}`;
+        }
+    };
+}
+
+// RATE_LIMIT_STORE=memory|postgres; defaults to Postgres on Vercel
+const rateLimitStore = (process.env.RATE_LIMIT_STORE || (process.env.VERCEL === '1' ? 'postgres' : 'memory')) === 'postgres' && sql
+    ? createPostgresRateLimitStore(sql)
+    : createMemoryRateLimitStore();
+
+// Read a route group's limits, overridable with RATE_LIMIT_<GROUP>_MAX / _WINDOW_SECONDS
+function rateLimitConfig(group, defaults) {
+    const prefix = `RATE_LIMIT_${group.toUpperCase()}`;
+    return {
+        max: parseInt(process.env[`${prefix}_MAX`]) || defaults.max,
+        windowMs: (parseInt(process.env[`${prefix}_WINDOW_SECONDS`]) || defaults.windowSeconds) * 1000
+    };
+}
+
+// Limits per route group
+const RATE_LIMITS = {
+    auth: rateLimitConfig('auth', { max: 20, windowSeconds: 15 * 60 }),        // login and code endpoints, per IP
+    authEmail: rateLimitConfig('auth_email', { max: 5, windowSeconds: 15 * 60 }), // emails sent to one account
+    leads: rateLimitConfig('leads', { max: 10, windowSeconds: 60 * 60 }),       // public lead form, per IP
+    qr: rateLimitConfig('qr', { max: 120, windowSeconds: 60 })                  // public QR code images, per IP
+};
+
+// Progressive lockout for repeated failed logins on one account
+const LOGIN_LOCKOUT = {
+    threshold: 5,                  // failures before the first lockout
+    baseMs: 60 * 1000,             // first lockout lasts 1 minute and doubles with each further failure
+    maxMs: 60 * 60 * 1000,         // lockouts never exceed 1 hour
+    windowMs: 24 * 60 * 60 * 1000  // failures are forgotten after a day
+};
+
+// Wrong guesses allowed before an emailed auth code is discarded
+const AUTH_CODE_MAX_ATTEMPTS = 5;
+
+/**
+ * Rate limiting middleware for a route group
+ * @param {string} group - Key of RATE_LIMITS
+ * @param {Function} [keyFn] - Derives the bucket from the request (defaults to client IP).
+ *   Returning a falsy value skips the limit for that request.
+ */
+function rateLimit(group, keyFn = req => `ip:${req.ip}`) {
+    const { max, windowMs } = RATE_LIMITS[group];
+    
+    return async (req, res, next) => {
+        const subject = keyFn(req);
+        if (!subject) {
+            return next();
+        }
+        
+        let entry;
+        try {
+            entry = await rateLimitStore.hit(`${group}:${subject}`, windowMs);
+        } catch (error) {
+            // Fail open: a store outage shouldn't take down login
+            console.error('Rate limit store error:', error);
+            return next();
+        }
+        
+        const resetSeconds = Math.max(0, Math.ceil((entry.resetAt - Date.now()) / 1000));
+        res.set({
+            'RateLimit-Limit': String(max),
+            'RateLimit-Remaining': String(Math.max(0, max - entry.count)),
+            'RateLimit-Reset': String(resetSeconds)
+        });
+        
+        if (entry.count > max) {
+            console.log(`Rate limit exceeded for ${group}:${subject}`);
+            res.set('Retry-After', String(resetSeconds));
+            return res.status(429).json({ error: 'Too many requests. Please try again later.' });
+        }
+        next();
+    };
+}
+
+// Bucket helper for per-account limits keyed by the email in the request body
+function emailRateLimitKey(req) {
+    const email = req.body && typeof req.body.email === 'string' ? req.body.email.trim().toLowerCase() : '';
+    return email ? `email:${email}` : null;
+}
+
+/**
+ * How long an account is locked out for, in ms (0 when not locked)
+ * @param {string} accountKey - e.g. 'company:user@example.com'
+ */
+async function getLoginLockout(accountKey) {
+    const entry = await rateLimitStore.get(`login-failures:${accountKey}`);
+    if (!entry || entry.count < LOGIN_LOCKOUT.threshold) {
+        return 0;
+    }
+    
+    const lockMs = Math.min(LOGIN_LOCKOUT.baseMs * 2 ** (entry.count - LOGIN_LOCKOUT.threshold), LOGIN_LOCKOUT.maxMs);
+    return Math.max(0, entry.updatedAt + lockMs - Date.now());
+}
+
+async function recordLoginFailure(accountKey) {
+    await rateLimitStore.hit(`login-failures:${accountKey}`, LOGIN_LOCKOUT.windowMs);
+}
+
+async function clearLoginFailures(accountKey) {
+    await rateLimitStore.reset(`login-failures:${accountKey}`);
+}
+
+function sendLockedOut(res, lockoutMs) {
+    const retryAfter = Math.ceil(lockoutMs / 1000);
+    res.set('Retry-After', String(retryAfter));
+    return res.status(429).json({
+        error: `Too many failed attempts. Try again in ${Math.ceil(retryAfter / 60)} minute(s).`
+    });
+}
+
+// ==================== API ROUTES ====================
+
+// Request auth code (super admin login)
+app.post('/api/auth/request-code', rateLimit('auth'), rateLimit('authEmail', emailRateLimitKey), async (req, res) => {
+    try {
+        const { email } = req.body;
+        
+        if (!sql) {
+            return res.status(500).json({ error: 'Database not configured' });
+        }
+        
+        if (!(await isSuperAdmin(email))) {
+            return res.status(401).json({ error: 'Unauthorized email' });
+        }
+        
+        const code = generateAuthCode();
+        const expiresAt = new Date(Date.now() + 10 * 60 * 1000); // 10 minutes
+        
+        // Store auth code in database
+        await sql`
+            INSERT INTO auth_codes (email, code, expires_at)
+            VALUES (${email}, ${code}, ${expiresAt})
+            ON CONFLICT (email) 
+            DO UPDATE SET code = ${code}, expires_at = ${expiresAt}, attempts = 0
+        `;
+        
+        // Log code for development
+        console.log(`\n========================================`);
+        console.log(`Auth Code for ${email}: ${code}`);
+        console.log(`========================================\n`);
+        
+        // Send email via Resend
+        try {
+            if (resend) {
+                await resend.emails.send({
+                    from: process.env.EMAIL_FROM || 'onboarding@resend.dev',
+                    to: email,
+                    subject: 'Your Login Code - FeedbackNFC Admin',
+                    html: `
+                        <div style="font-family: Arial, sans-serif; max-width: 400px; margin: 0 auto; padding: 20px;">
+                            <h2 style="color: #22C55E;">FeedbackNFC Admin</h2>
+                            <p>Your login verification code is:</p>
+                            <div style="background: #F5F3EF; padding: 20px; text-align: center; font-size: 32px; font-weight: bold; letter-spacing: 8px; border-radius: 8px;">
+                                ${code}
+                            </div>
+                            <p style="color: #666; margin-top: 20px;">This code expires in 10 minutes.</p>
+                        </div>
+                    `
+                });
+                console.log('Email sent successfully via Resend');
+            }
+        } catch (err) {
+            console.log('Email sending failed:', err.message);
+        }
+        
+        // Include code in response for debugging (remove in production)
+        const debugMode = process.env.DEBUG_MODE === 'true';
+        res.json({ 
+            success: true, 
+            message: 'Verification code sent to email',
+            ...(debugMode && { code }) // Only include code if DEBUG_MODE is true
+        });
+    } catch (error) {
+        console.error('Request code error:', error);
+        res.status(500).json({ error: 'Server error' });
+    }
+});
+
+// Verify auth code (super admin login)
+app.post('/api/auth/verify-code', rateLimit('auth'), async (req, res) => {
+    try {
+        const { email, code } = req.body;
+        
+        if (!sql) {
+            return res.status(500).json({ error: 'Database not configured' });
+        }
+        
+        // Get auth code from database
+        const result = await sql`
+            SELECT code, expires_at, attempts FROM auth_codes WHERE email = ${email}
+        `;
+        
+        if (result.length === 0) {
+            return res.status(401).json({ error: 'No pending verification' });
+        }
+        
+        const authData = result[0];
+        
+        if (new Date() > new Date(authData.expires_at)) {
+            await sql`DELETE FROM auth_codes WHERE email = ${email}`;
+            return res.status(401).json({ error: 'Code expired' });
+        }
+        
+        if (authData.attempts >= AUTH_CODE_MAX_ATTEMPTS) {
+            await sql`DELETE FROM auth_codes WHERE email = ${email}`;
+            return res.status(401).json({ error: 'Too many incorrect attempts. Please request a new code.' });
+        }
+        
+        if (authData.code !== code) {
+            const updated = await sql`
+                UPDATE auth_codes SET attempts = attempts + 1 WHERE email = ${email} RETURNING attempts
+            `;
+            
+            // Burn the code once the guess budget is spent
+            if (updated.length > 0 && updated[0].attempts >= AUTH_CODE_MAX_ATTEMPTS) {
+                await sql`DELETE FROM auth_codes WHERE email = ${email}`;
+                console.log(`Auth code for ${email} discarded after ${AUTH_CODE_MAX_ATTEMPTS} wrong guesses`);
+                return res.status(401).json({ error: 'Too many incorrect attempts. Please request a new code.' });
+            }
+            return res.status(401).json({ error: 'Invalid code' });
+        }
+        
+        // The admin may have been removed since the code was sent
+        if (!(await isSuperAdmin(email))) {
+            await sql`DELETE FROM auth_codes WHERE email = ${email}`;
+            return res.status(401).json({ error: 'Unauthorized email' });
+        }
+        
+        const { sessionId, csrfToken } = await createSession(req, res, { email, role: 'super_admin' });
+        
+        // Delete used auth code
+        await sql`DELETE FROM auth_codes WHERE email = ${email}`;
+        
+        res.json({ success: true, sessionId, csrfToken, role: 'super_admin' });
+    } catch (error) {
+        console.error('Verify code error:', error);
+        res.status(500).json({ error: 'Server error' });
+    }
+});
+
+// Break-glass super admin login (when the emailed code can't be delivered)
+app.post('/api/auth/break-glass', rateLimit('auth'), async (req, res) => {
+    try {
+        const { email, code, reason } = req.body;
+        
+        if (!sql) {
+            return res.status(500).json({ error: 'Database not configured' });
+        }
+        
+        if (!BREAK_GLASS_CONFIG.isArmed) {
+            return res.status(403).json({ error: 'Break-glass access is not enabled' });
+        }
+        
+        if (!reason || !reason.trim()) {
+            return res.status(400).json({ error: 'A reason is required for break-glass access' });
+        }
+        
+        const accountKey = `break-glass:${(email || '').trim().toLowerCase()}`;
+        const lockoutMs = await getLoginLockout(accountKey);
+        if (lockoutMs > 0) {
+            return sendLockedOut(res, lockoutMs);
+        }
+        
+        const codeMatches = typeof code === 'string' &&
+            hashToken(code) === hashToken(BREAK_GLASS_CONFIG.code);
+        
+        if (!codeMatches || !(await isSuperAdmin(email))) {
+            console.warn(`Failed break-glass attempt for ${email} from ${req.ip}`);
+            await recordLoginFailure(accountKey);
+            return res.status(401).json({ error: 'Invalid credentials' });
+        }
+        
+        await clearLoginFailures(accountKey);
+        
+        const { sessionId, csrfToken } = await createSession(req, res, {
+            email,
+            role: 'super_admin',
+            breakGlass: true
+        });
+        
+        const event = await sql`
+            INSERT INTO break_glass_events (email, reason, ip_address, user_agent)
+            VALUES (${email}, ${reason.trim()}, ${req.ip || null}, ${(req.headers['user-agent'] || '').slice(0, 500)})
+            RETURNING *
+        `;
+        
+        console.warn(`\n🔓 BREAK-GLASS: ${email} signed in from ${req.ip}. Reason: ${reason.trim()}\n`);
+        await notifyBreakGlass(event[0]);
+        
+        res.json({
+            success: true,
+            sessionId,
+            csrfToken,
+            role: 'super_admin',
+            expiresAt: new Date(Date.now() + BREAK_GLASS_CONFIG.sessionTtlMs)
+        });
+    } catch (error) {
+        console.error('Break-glass error:', error);
+        res.status(500).json({ error: 'Server error' });
+    }
+});
+
+// Company login
+app.post('/api/auth/company-login', rateLimit('auth'), async (req, res) => {
+    try {
+        const { email, password } = req.body;
+        
+        if (!sql) {
+            return res.status(500).json({ error: 'Database not configured' });
+        }
+        
+        if (!email || !password) {
+            return res.status(400).json({ error: 'Email and password are required' });
+        }
+        
+        // Debug: Log login attempt
+        console.log(`\nCompany login attempt: ${email}`);
+        
+        const accountKey = `company:${email.trim().toLowerCase()}`;
+        const lockoutMs = await getLoginLockout(accountKey);
+        if (lockoutMs > 0) {
+            console.log(`Company login locked out for: ${email}`);
+            return sendLockedOut(res, lockoutMs);
+        }
+        
+        await migrateLegacyCompanyLogin(email);
+        
+        // Case-insensitive email lookup
+        const result = await sql`
+            SELECT u.id, u.email, u.password, u.role, u.totp_enabled_at,
+                   c.id as company_id, c.name, c.subscription_tier, c.require_2fa
+            FROM company_users u
+            JOIN companies c ON c.id = u.company_id
+            WHERE LOWER(u.email) = LOWER(${email}) AND u.accepted_at IS NOT NULL AND c.deleted_at IS NULL
+        `;
+        
+        if (result.length === 0) {
+            console.log(`No company user found with email: ${email}`);
+            await recordLoginFailure(accountKey);
+            return res.status(401).json({ error: 'Invalid credentials' });
+        }
+        
+        const user = result[0];
+        
+        if (!(await verifyPassword(password, user.password))) {
+            console.log(`Company user found but password mismatch for: ${email}`);
+            await recordLoginFailure(accountKey);
+            return res.status(401).json({ error: 'Invalid credentials' });
+        }
+        
+        // Upgrade legacy plaintext passwords now that we know the cleartext
+        if (!isPasswordHash(user.password)) {
+            const passwordHash = await hashPassword(password);
+            await sql`UPDATE company_users SET password = ${passwordHash} WHERE id = ${user.id}`;
+            console.log(`Upgraded stored password to hash for company user ${user.id}`);
+        }
+        
+        // Second step: the session is only created once the TOTP code checks out. Failures
+        // are kept until then, so wrong codes keep escalating the lockout.
+        if (user.totp_enabled_at) {
+            const challengeToken = await createTwoFactorChallenge(user.id);
+            return res.json({ success: true, twoFactorRequired: true, challengeToken });
+        }
+        
+        await completeCompanyLogin(req, res, user);
+        await clearLoginFailures(accountKey);
+    } catch (error) {
+        console.error('Company login error:', error);
+        res.status(500).json({ error: 'Server error' });
+    }
+});
+
+// Company login, second step: TOTP or recovery code
+app.post('/api/auth/company-login/2fa', rateLimit('auth'), async (req, res) => {
+    try {
+        const { challengeToken, code, recoveryCode } = req.body;
+        
+        if (!sql) {
+            return res.status(500).json({ error: 'Database not configured' });
+        }
+        
+        if (!challengeToken || (!code && !recoveryCode)) {
+            return res.status(400).json({ error: 'Verification code is required' });
+        }
+        
+        const challenges = await sql`
+            SELECT * FROM two_factor_challenges
+            WHERE token_hash = ${hashToken(challengeToken)} AND expires_at > NOW()
+        `;
+        
+        if (challenges.length === 0) {
+            return res.status(401).json({ error: 'Sign-in attempt expired. Please sign in again.' });
+        }
+        
+        const challenge = challenges[0];
+        
+        if (challenge.attempts >= TWO_FACTOR_MAX_ATTEMPTS) {
+            await sql`DELETE FROM two_factor_challenges WHERE token_hash = ${challenge.token_hash}`;
+            return res.status(401).json({ error: 'Too many incorrect codes. Please sign in again.' });
+        }
+        
+        const result = await sql`
+            SELECT u.id, u.email, u.role, u.totp_secret, u.totp_last_used_step, u.totp_enabled_at,
+                   c.id as company_id, c.name, c.subscription_tier, c.require_2fa
+            FROM company_users u
+            JOIN companies c ON c.id = u.company_id
+            WHERE u.id = ${challenge.user_id} AND c.deleted_at IS NULL
+        `;
+        
+        if (result.length === 0) {
+            return res.status(401).json({ error: 'Sign-in attempt expired. Please sign in again.' });
+        }
+        
+        const user = result[0];
+        const accountKey = `company:${user.email.toLowerCase()}`;
+        const lockoutMs = await getLoginLockout(accountKey);
+        if (lockoutMs > 0) {
+            console.log(`Two-factor login locked out for: ${user.email}`);
+            return sendLockedOut(res, lockoutMs);
+        }
+        
+        let verified = false;
+        
+        if (code) {
+            const step = verifyTotp(user.totp_secret, code, user.totp_last_used_step);
+            if (step !== null) {
+                await sql`UPDATE company_users SET totp_last_used_step = ${step} WHERE id = ${user.id}`;
+                verified = true;
+            }
+        } else {
+            const used = await sql`
+                UPDATE company_user_recovery_codes SET used_at = NOW()
+                WHERE user_id = ${user.id} AND code_hash = ${hashRecoveryCode(recoveryCode)} AND used_at IS NULL
+                RETURNING id
+            `;
+            if (used.length > 0) {
+                console.log(`Recovery code used by company user ${user.id}`);
+                verified = true;
+            }
+        }
+        
+        if (!verified) {
+            await sql`UPDATE two_factor_challenges SET attempts = attempts + 1 WHERE token_hash = ${challenge.token_hash}`;
+            await recordLoginFailure(accountKey);
+            return res.status(401).json({ error: 'Invalid verification code' });
+        }
+        
+        await sql`DELETE FROM two_factor_challenges WHERE token_hash = ${challenge.token_hash}`;
+        
+        await completeCompanyLogin(req, res, user);
+        await clearLoginFailures(accountKey);
+    } catch (error) {
+        console.error('Two-factor login error:', error);
+        res.status(500).json({ error: 'Server error' });
+    }
+});
+
+// Create the session for a company user who has passed every login step
+async function completeCompanyLogin(req, res, user) {
+    const { sessionId, csrfToken } = await createSession(req, res, {
+        email: user.email,
+        role: 'company_admin',
+        companyId: user.company_id,
+        userId: user.id
+    });
+    
+    res.json({ 
+        success: true, 
+        sessionId, 
+        csrfToken,
+        role: 'company_admin',
+        email: user.email,
+        companyRole: user.role,
+        twoFactorEnrollmentRequired: !!user.require_2fa && !user.totp_enabled_at,
+        company: {
+            id: user.company_id,
+            name: user.name,
+            subscriptionTier: user.subscription_tier || 'basic'
+        }
+    });
+}
+
+// Logout
+app.post('/api/auth/logout', async (req, res) => {
+    try {
+        const sessionId = getRequestSessionId(req);
+        if (sessionId && sql) {
+            await sql`DELETE FROM sessions WHERE id = ${sessionId}`;
+        }
+        clearSessionCookie(res);
+        res.json({ success: true });
+    } catch (error) {
+        console.error('Logout error:', error);
+        res.status(500).json({ error: 'Server error' });
+    }
+});
+
+// Request a password reset link (company admin)
+app.post('/api/auth/forgot-password', rateLimit('auth'), rateLimit('authEmail', emailRateLimitKey), async (req, res) => {
+    try {
+        const { email } = req.body;
+        
+        if (!sql) {
+            return res.status(500).json({ error: 'Database not configured' });
+        }
+        
+        if (!email) {
+            return res.status(400).json({ error: 'Email is required' });
+        }
+        
+        // Same response whether or not the account exists, so this can't be used to probe emails
+        const genericResponse = { success: true, message: 'If that account exists, a reset link has been sent' };
+        
+        await migrateLegacyCompanyLogin(email);
+        
+        const result = await sql`
+            SELECT u.id, u.email, u.company_id, c.name
+            FROM company_users u
+            JOIN companies c ON c.id = u.company_id
+            WHERE LOWER(u.email) = LOWER(${email}) AND u.accepted_at IS NOT NULL AND c.deleted_at IS NULL
+        `;
+        
+        if (result.length === 0) {
+            console.log(`Password reset requested for unknown email: ${email}`);
+            return res.json(genericResponse);
+        }
+        
+        const user = result[0];
+        const token = crypto.randomBytes(32).toString('hex');
+        const expiresAt = new Date(Date.now() + PASSWORD_RESET_TTL_MS);
+        
+        // Only the most recent link is valid
+        await sql`DELETE FROM password_reset_tokens WHERE user_id = ${user.id} AND used_at IS NULL`;
+        await sql`
+            INSERT INTO password_reset_tokens (token_hash, company_id, user_id, expires_at)
+            VALUES (${hashToken(token)}, ${user.company_id}, ${user.id}, ${expiresAt})
+        `;
+        
+        const resetUrl = `${BASE_URL}/company/reset-password?token=${token}`;
+        
+        try {
+            if (resend) {
+                await resend.emails.send({
+                    from: process.env.EMAIL_FROM || 'onboarding@resend.dev',
+                    to: user.email,
+                    subject: 'Reset your password - FeedbackNFC',
+                    html: `
+                        <div style="font-family: Arial, sans-serif; max-width: 400px; margin: 0 auto; padding: 20px;">
+                            <h2 style="color: #22C55E;">FeedbackNFC</h2>
+                            <p>We received a request to reset your password for ${escapeHtml(user.name)}.</p>
+                            <p style="text-align: center; margin: 30px 0;">
+                                <a href="${resetUrl}" style="background: #22C55E; color: #FFFFFF; padding: 14px 28px; border-radius: 8px; text-decoration: none; font-weight: bold;">Reset Password</a>
+                            </p>
+                            <p style="color: #666;">This link expires in 1 hour and can only be used once. If you didn't request it, you can ignore this email.</p>
+                        </div>
+                    `
+                });
+                console.log(`Password reset email sent to ${user.email}`);
+            } else {
+                // Log link for development when email isn't configured
+                console.log(`\nPassword reset link for ${user.email}: ${resetUrl}\n`);
+            }
+        } catch (err) {
+            console.log('Password reset email failed:', err.message);
+        }
+        
+        res.json(genericResponse);
+    } catch (error) {
+        console.error('Forgot password error:', error);
+        res.status(500).json({ error: 'Server error' });
+    }
+});
+
+// Complete a password reset with a token from the emailed link
+app.post('/api/auth/reset-password', rateLimit('auth'), async (req, res) => {
+    try {
+        const { token, password } = req.body;
+        
+        if (!sql) {
+            return res.status(500).json({ error: 'Database not configured' });
+        }
+        
+        if (!token) {
+            return res.status(400).json({ error: 'Reset token is required' });
+        }
+        
+        const passwordError = validatePassword(password);
+        if (passwordError) {
+            return res.status(400).json({ error: passwordError });
+        }
+        
+        // Consume the token atomically so it can't be replayed
+        const result = await sql`
+            UPDATE password_reset_tokens
+            SET used_at = NOW()
+            WHERE token_hash = ${hashToken(token)} AND used_at IS NULL AND expires_at > NOW()
+            RETURNING user_id
+        `;
+        
+        if (result.length === 0 || !result[0].user_id) {
+            return res.status(400).json({ error: 'Reset link is invalid or has expired' });
+        }
+        
+        const userId = result[0].user_id;
+        const passwordHash = await hashPassword(password);
+        
+        await sql`UPDATE company_users SET password = ${passwordHash} WHERE id = ${userId}`;
+        
+        // Sign out everywhere so a stolen session can't outlive the reset
+        await sql`DELETE FROM sessions WHERE user_id = ${userId}`;
+        
+        console.log(`Password reset completed for company user ${userId}`);
+        
+        res.json({ success: true });
+    } catch (error) {
+        console.error('Reset password error:', error);
+        res.status(500).json({ error: 'Server error' });
+    }
+});
+
+// ==================== SSO ROUTES ====================
+
+// Start single sign-on: find the company provider for the email's domain and redirect to it
+app.get('/api/auth/oidc/start', rateLimit('auth'), async (req, res) => {
+    const fail = message => res.redirect(`/company/login?sso_error=${encodeURIComponent(message)}`);
+    
+    try {
+        const email = String(req.query.email || '').trim().toLowerCase();
+        
+        if (!sql) {
+            return fail('Single sign-on is not available right now');
+        }
+        
+        if (!email.includes('@')) {
+            return fail('Enter your work email to sign in with SSO');
+        }
+        
+        const providers = await sql`
+            SELECT * FROM company_oidc_providers
+            WHERE enabled = TRUE AND ${emailDomain(email)} = ANY(email_domains)
+              AND company_id IN (SELECT id FROM companies WHERE deleted_at IS NULL)
+        `;
+        
+        if (providers.length === 0) {
+            return fail('Single sign-on is not set up for this email domain');
+        }
+        
+        const provider = providers[0];
+        const { config } = await discoverOidcIssuer(provider.issuer);
+        const client = createOidcClient(provider, config);
+        
+        const state = crypto.randomBytes(32).toString('hex');
+        const nonce = crypto.randomBytes(16).toString('hex');
+        const { codeVerifier, codeChallenge } = await client.generateCodeVerifierAsync();
+        const expiresAt = new Date(Date.now() + OIDC_STATE_TTL_MS);
+        
+        await sql`
+            INSERT INTO oidc_login_states (state_hash, provider_id, nonce, code_verifier, expires_at)
+            VALUES (${hashToken(state)}, ${provider.id}, ${nonce}, ${codeVerifier}, ${expiresAt})
+        `;
+        
+        // Bind the flow to this browser so a callback URL can't be replayed in someone else's
+        res.cookie(OIDC_STATE_COOKIE, state, {
+            httpOnly: true,
+            secure: process.env.NODE_ENV === 'production' || process.env.VERCEL === '1',
+            sameSite: 'lax',
+            path: '/api/auth/oidc',
+            maxAge: OIDC_STATE_TTL_MS
+        });
+        
+        res.redirect(client.generateAuthUrl({
+            scope: OIDC_SCOPES,
+            state,
+            nonce,
+            login_hint: email,
+            code_challenge: codeChallenge,
+            code_challenge_method: 'S256',
+            // Google-only hint that restricts the account chooser to the domain
+            ...(provider.issuer === GOOGLE_ISSUER && provider.email_domains.length === 1 ? { hd: provider.email_domains[0] } : {})
+        }));
+    } catch (error) {
+        console.error('OIDC start error:', error);
+        fail('Could not reach your identity provider. Please try again.');
+    }
+});
+
+// Single sign-on callback: verify the ID token and sign the user in to their company
+app.get('/api/auth/oidc/callback', rateLimit('auth'), async (req, res) => {
+    const fail = message => res.redirect(`/company/login?sso_error=${encodeURIComponent(message)}`);
+    
+    try {
+        const { code, state, error } = req.query;
+        const cookieState = req.cookies && req.cookies[OIDC_STATE_COOKIE];
+        res.clearCookie(OIDC_STATE_COOKIE, { path: '/api/auth/oidc' });
+        
+        if (!sql) {
+            return fail('Single sign-on is not available right now');
+        }
+        
+        if (error) {
+            return fail('Sign-in was cancelled or denied by your identity provider');
+        }
+        
+        if (!code || !state || !cookieState ||
+            !crypto.timingSafeEqual(Buffer.from(hashToken(String(state))), Buffer.from(hashToken(cookieState)))) {
+            return fail('Invalid sign-in response. Please try again.');
+        }
+        
+        const states = await sql`
+            DELETE FROM oidc_login_states
+            WHERE state_hash = ${hashToken(String(state))} AND expires_at > NOW()
+            RETURNING *
+        `;
+        
+        if (states.length === 0) {
+            return fail('Sign-in attempt expired. Please try again.');
+        }
+        
+        const loginState = states[0];
+        const providers = await sql`
+            SELECT * FROM company_oidc_providers
+            WHERE id = ${loginState.provider_id} AND enabled = TRUE
+              AND company_id IN (SELECT id FROM companies WHERE deleted_at IS NULL)
+        `;
+        
+        if (providers.length === 0) {
+            return fail('Single sign-on is no longer set up for this company');
+        }
+        
+        const provider = providers[0];
+        const { config, jwks } = await discoverOidcIssuer(provider.issuer);
+        const client = createOidcClient(provider, config);
+        
+        const { tokens } = await client.getToken({ code: String(code), codeVerifier: loginState.code_verifier });
+        if (!tokens.id_token) {
+            return fail('Your identity provider did not return an ID token');
+        }
+        
+        const { payload } = await jwtVerify(tokens.id_token, jwks, {
+            issuer: config.issuer,
+            audience: provider.client_id
+        });
+        
+        if (payload.nonce !== loginState.nonce) {
+            return fail('Invalid sign-in response. Please try again.');
+        }
+        
+        const email = String(payload.email || '').toLowerCase();
+        const emailVerified = payload.email_verified === true || payload.email_verified === 'true';
+        
+        if (!email || !emailVerified) {
+            return fail('Your identity provider did not return a verified email address');
+        }
+        
+        if (!provider.email_domains.includes(emailDomain(email))) {
+            return fail('This email domain is not linked to the company');
+        }
+        
+        await migrateLegacyCompanyLogin(email);
+        
+        let users = await sql`
+            SELECT u.id, u.email, u.role, u.company_id, u.accepted_at, u.totp_enabled_at,
+                   c.name, c.subscription_tier, c.require_2fa
+            FROM company_users u
+            JOIN companies c ON c.id = u.company_id
+            WHERE LOWER(u.email) = ${email}
+        `;
+        
+        if (users.length > 0 && users[0].company_id !== provider.company_id) {
+            return fail('This account belongs to a different company');
+        }
+        
+        if (users.length === 0) {
+            // Companies can opt in to creating accounts for anyone on their verified domains
+            if (!provider.default_role) {
+                return fail('No account exists for this email. Ask your company owner for an invitation.');
+            }
+            
+            const created = await sql`
+                INSERT INTO company_users (company_id, email, name, role, accepted_at)
+                VALUES (${provider.company_id}, ${email}, ${payload.name || null}, ${provider.default_role}, NOW())
+                RETURNING *
+            `;
+            
+            await recordAudit(req, {
+                action: 'provision',
+                entityType: 'company_user',
+                entityId: created[0].id,
+                companyId: provider.company_id,
+                after: created[0]
+            });
+        } else if (!users[0].accepted_at) {
+            // Signing in through the company's identity provider counts as accepting the invitation
+            await sql`
+                UPDATE company_users
+                SET accepted_at = NOW(), invite_token_hash = NULL, invite_expires_at = NULL
+                WHERE id = ${users[0].id}
+            `;
+        }
+        
+        users = await sql`
+            SELECT u.id, u.email, u.role, u.company_id, u.totp_enabled_at,
+                   c.name, c.subscription_tier, c.require_2fa
+            FROM company_users u
+            JOIN companies c ON c.id = u.company_id
+            WHERE LOWER(u.email) = ${email}
+        `;
+        const user = users[0];
+        
+        if (user.totp_enabled_at) {
+            const challengeToken = await createTwoFactorChallenge(user.id);
+            return res.redirect(`/company/login?challenge=${challengeToken}`);
+        }
+        
+        await createSession(req, res, {
+            email: user.email,
+            role: 'company_admin',
+            companyId: user.company_id,
+            userId: user.id
+        });
+        
+        res.redirect(user.require_2fa ? '/company/two-factor' : '/company/dashboard');
+    } catch (error) {
+        console.error('OIDC callback error:', error);
+        fail('Single sign-on failed. Please try again.');
+    }
+});
+
+function formatOidcProvider(p) {
+    return {
+        issuer: p.issuer,
+        clientId: p.client_id,
+        hasClientSecret: !!p.client_secret,
+        emailDomains: p.email_domains || [],
+        defaultRole: p.default_role,
+        enabled: p.enabled,
+        redirectUri: oidcRedirectUri(),
+        updatedAt: p.updated_at
+    };
+}
+
+// Get a company's single sign-on settings
+app.get('/api/companies/:id/sso', requireAuth, requirePermission('users:manage'), async (req, res) => {
+    try {
+        const { id } = req.params;
+        
+        if (req.session.role === 'company_admin' && req.session.companyId !== id) {
+            return res.status(403).json({ error: 'Forbidden' });
+        }
+        
+        const result = await sql`SELECT * FROM company_oidc_providers WHERE company_id = ${id}`;
+        
+        res.json(result.length > 0 ? formatOidcProvider(result[0]) : null);
+    } catch (error) {
+        console.error('Get SSO settings error:', error);
+        res.status(500).json({ error: 'Server error' });
+    }
+});
+
+// Create or update a company's single sign-on settings
+app.put('/api/companies/:id/sso', requireAuth, requirePermission('users:manage'), async (req, res) => {
+    try {
+        const { id } = req.params;
+        
+        if (req.session.role === 'company_admin' && req.session.companyId !== id) {
+            return res.status(403).json({ error: 'Forbidden' });
+        }
+        
+        if (!Array.isArray(req.body.emailDomains)) {
+            return res.status(400).json({ error: 'emailDomains must be a list of domains, e.g. ["example.com"]' });
+        }
+        
+        const { clientId, clientSecret, defaultRole = null, enabled = true } = req.body;
+        const issuer = String(req.body.issuer || GOOGLE_ISSUER).trim().replace(/\/$/, '');
+        const emailDomains = [...new Set(req.body.emailDomains
+            .map(d => String(d).trim().toLowerCase().replace(/^@/, ''))
+            .filter(Boolean))];
+        
+        if (!isAllowedIssuerUrl(issuer)) {
+            return res.status(400).json({ error: 'Issuer must be an https:// URL' });
+        }
+        
+        if (!clientId) {
+            return res.status(400).json({ error: 'Client ID is required' });
+        }
+        
+        if (emailDomains.length === 0) {
+            return res.status(400).json({ error: 'At least one email domain is required' });
+        }
+        
+        if (defaultRole && !COMPANY_ROLES.includes(defaultRole)) {
+            return res.status(400).json({ error: `Role must be one of: ${COMPANY_ROLES.join(', ')}` });
+        }
+        
+        const company = await sql`SELECT id FROM companies WHERE id = ${id}`;
+        if (company.length === 0) {
+            return res.status(404).json({ error: 'Company not found' });
+        }
+        
+        // A domain can only route to one company
+        const conflicts = await sql`
+            SELECT email_domains FROM company_oidc_providers
+            WHERE company_id != ${id} AND email_domains && ${emailDomains}
+        `;
+        if (conflicts.length > 0) {
+            const taken = emailDomains.filter(d => conflicts.some(c => c.email_domains.includes(d)));
+            return res.status(409).json({ error: `Email domain already linked to another company: ${taken.join(', ')}` });
+        }
+        
+        try {
+            await discoverOidcIssuer(issuer);
+        } catch (discoveryError) {
+            return res.status(400).json({ error: `Could not load OpenID configuration: ${discoveryError.message}` });
+        }
+        
+        const before = await sql`SELECT * FROM company_oidc_providers WHERE company_id = ${id}`;
+        
+        if (before.length === 0 && !clientSecret) {
+            return res.status(400).json({ error: 'Client secret is required' });
+        }
+        
+        // Leaving the secret blank keeps the stored one
+        const result = await sql`
+            INSERT INTO company_oidc_providers (company_id, issuer, client_id, client_secret, email_domains, default_role, enabled)
+            VALUES (${id}, ${issuer}, ${clientId}, ${clientSecret || null}, ${emailDomains}, ${defaultRole}, ${enabled !== false})
+            ON CONFLICT (company_id) DO UPDATE SET
+                issuer = EXCLUDED.issuer,
+                client_id = EXCLUDED.client_id,
+                client_secret = COALESCE(EXCLUDED.client_secret, company_oidc_providers.client_secret),
+                email_domains = EXCLUDED.email_domains,
+                default_role = EXCLUDED.default_role,
+                enabled = EXCLUDED.enabled,
+                updated_at = NOW()
+            RETURNING *
+        `;
+        
+        await recordAudit(req, {
+            action: before.length === 0 ? 'create' : 'update',
+            entityType: 'sso_provider',
+            entityId: result[0].id,
+            companyId: id,
+            before: before[0] || null,
+            after: result[0]
+        });
+        
+        res.json(formatOidcProvider(result[0]));
+    } catch (error) {
+        console.error('Update SSO settings error:', error);
+        res.status(500).json({ error: 'Server error' });
+    }
+});
+
+// Remove a company's single sign-on settings
+app.delete('/api/companies/:id/sso', requireAuth, requirePermission('users:manage'), async (req, res) => {
+    try {
+        const { id } = req.params;
+        
+        if (req.session.role === 'company_admin' && req.session.companyId !== id) {
+            return res.status(403).json({ error: 'Forbidden' });
+        }
+        
+        const result = await sql`DELETE FROM company_oidc_providers WHERE company_id = ${id} RETURNING *`;
+        
+        if (result.length === 0) {
+            return res.status(404).json({ error: 'Single sign-on is not set up' });
+        }
+        
+        await recordAudit(req, { action: 'delete', entityType: 'sso_provider', entityId: result[0].id, companyId: id, before: result[0] });
+        
+        res.json({ success: true });
+    } catch (error) {
+        console.error('Delete SSO settings error:', error);
+        res.status(500).json({ error: 'Server error' });
+    }
+});
+
+// ==================== TWO-FACTOR ROUTES ====================
+
+// Two-factor status for the signed-in company user
+app.get('/api/auth/2fa', requireAuth, async (req, res) => {
+    try {
+        if (!req.session.userId) {
+            return res.status(400).json({ error: 'Two-factor authentication is only available for company users' });
+        }
+        
+        const result = await sql`
+            SELECT u.totp_enabled_at, c.require_2fa,
+                   (SELECT COUNT(*) FROM company_user_recovery_codes r
+                    WHERE r.user_id = u.id AND r.used_at IS NULL) as recovery_codes_remaining
+            FROM company_users u
+            JOIN companies c ON c.id = u.company_id
+            WHERE u.id = ${req.session.userId}
+        `;
+        
+        const status = result[0];
+        res.json({
+            enabled: !!status.totp_enabled_at,
+            enabledAt: status.totp_enabled_at,
+            requiredByCompany: !!status.require_2fa,
+            recoveryCodesRemaining: parseInt(status.recovery_codes_remaining)
+        });
+    } catch (error) {
+        console.error('Get 2FA status error:', error);
+        res.status(500).json({ error: 'Server error' });
+    }
+});
+
+// Start enrollment: generate a secret and provisioning URI for the QR code
+app.post('/api/auth/2fa/setup', requireAuth, async (req, res) => {
+    try {
+        if (!req.session.userId) {
+            return res.status(400).json({ error: 'Two-factor authentication is only available for company users' });
+        }
+        
+        if (req.session.twoFactorEnabled) {
+            return res.status(400).json({ error: 'Two-factor authentication is already enabled' });
+        }
+        
+        const secret = generateTotpSecret();
+        await sql`UPDATE company_users SET totp_pending_secret = ${secret} WHERE id = ${req.session.userId}`;
+        
+        res.json({
+            secret,
+            otpauthUrl: totpProvisioningUri(secret, req.session.email)
+        });
+    } catch (error) {
+        console.error('2FA setup error:', error);
+        res.status(500).json({ error: 'Server error' });
+    }
+});
+
+// Finish enrollment by proving the authenticator app works
+app.post('/api/auth/2fa/enable', requireAuth, async (req, res) => {
+    try {
+        if (!req.session.userId) {
+            return res.status(400).json({ error: 'Two-factor authentication is only available for company users' });
+        }
+        
+        const pending = await sql`SELECT totp_pending_secret FROM company_users WHERE id = ${req.session.userId}`;
+        const secret = pending.length > 0 ? pending[0].totp_pending_secret : null;
+        
+        if (!secret) {
+            return res.status(400).json({ error: 'Start two-factor setup first' });
+        }
+        
+        const step = verifyTotp(secret, req.body.code);
+        if (step === null) {
+            return res.status(400).json({ error: 'Invalid verification code' });
+        }
+        
+        const result = await sql`
+            UPDATE company_users
+            SET totp_secret = ${secret}, totp_pending_secret = NULL,
+                totp_enabled_at = NOW(), totp_last_used_step = ${step}
+            WHERE id = ${req.session.userId}
+            RETURNING company_id
+        `;
+        const recoveryCodes = await replaceRecoveryCodes(req.session.userId);
+        
+        await recordAudit(req, {
+            action: 'enable_2fa',
+            entityType: 'company_user',
+            entityId: req.session.userId,
+            companyId: result[0].company_id,
+            before: { two_factor_enabled: false },
+            after: { two_factor_enabled: true }
+        });
+        
+        res.json({ success: true, recoveryCodes });
+    } catch (error) {
+        console.error('2FA enable error:', error);
+        res.status(500).json({ error: 'Server error' });
+    }
+});
+
+// Turn 2FA off (needs the password and a current code; not allowed when the company enforces it)
+app.post('/api/auth/2fa/disable', requireAuth, async (req, res) => {
+    try {
+        const { password, code } = req.body;
+        
+        if (!req.session.userId) {
+            return res.status(400).json({ error: 'Two-factor authentication is only available for company users' });
+        }
+        
+        const result = await sql`
+            SELECT u.password, u.totp_secret, u.totp_last_used_step, u.company_id, c.require_2fa
+            FROM company_users u
+            JOIN companies c ON c.id = u.company_id
+            WHERE u.id = ${req.session.userId}
+        `;
+        const user = result[0];
+        
+        if (!user.totp_secret) {
+            return res.status(400).json({ error: 'Two-factor authentication is not enabled' });
+        }
+        
+        if (user.require_2fa) {
+            return res.status(403).json({ error: 'Your company requires two-factor authentication' });
+        }
+        
+        if (!(await verifyPassword(password, user.password)) ||
+            verifyTotp(user.totp_secret, code, user.totp_last_used_step) === null) {
+            return res.status(401).json({ error: 'Invalid password or verification code' });
+        }
+        
+        await sql`
+            UPDATE company_users
+            SET totp_secret = NULL, totp_pending_secret = NULL, totp_enabled_at = NULL, totp_last_used_step = NULL
+            WHERE id = ${req.session.userId}
+        `;
+        await sql`DELETE FROM company_user_recovery_codes WHERE user_id = ${req.session.userId}`;
+        
+        await recordAudit(req, {
+            action: 'disable_2fa',
+            entityType: 'company_user',
+            entityId: req.session.userId,
+            companyId: user.company_id,
+            before: { two_factor_enabled: true },
+            after: { two_factor_enabled: false }
+        });
+        
+        res.json({ success: true });
+    } catch (error) {
+        console.error('2FA disable error:', error);
+        res.status(500).json({ error: 'Server error' });
+    }
+});
+
+// Generate a fresh set of recovery codes (invalidates the old ones)
+app.post('/api/auth/2fa/recovery-codes', requireAuth, async (req, res) => {
+    try {
+        if (!req.session.userId) {
+            return res.status(400).json({ error: 'Two-factor authentication is only available for company users' });
+        }
+        
+        const result = await sql`
+            SELECT totp_secret, totp_last_used_step FROM company_users WHERE id = ${req.session.userId}
+        `;
+        const user = result[0];
+        
+        if (!user.totp_secret) {
+            return res.status(400).json({ error: 'Two-factor authentication is not enabled' });
+        }
+        
+        const step = verifyTotp(user.totp_secret, req.body.code, user.totp_last_used_step);
+        if (step === null) {
+            return res.status(401).json({ error: 'Invalid verification code' });
+        }
+        
+        await sql`UPDATE company_users SET totp_last_used_step = ${step} WHERE id = ${req.session.userId}`;
+        const recoveryCodes = await replaceRecoveryCodes(req.session.userId);
+        
+        res.json({ success: true, recoveryCodes });
+    } catch (error) {
+        console.error('Regenerate recovery codes error:', error);
+        res.status(500).json({ error: 'Server error' });
+    }
+});
+
+// Get current session
+app.get('/api/auth/session', requireAuth, async (req, res) => {
+    try {
+        const company = req.session.companyId
+            ? await sql`SELECT name, subscription_tier FROM companies WHERE id = ${req.session.companyId}`
+            : [];
+        
+        res.json({ 
+            email: req.session.email, 
+            role: req.session.role, 
+            companyId: req.session.companyId,
+            companyName: company.length > 0 ? company[0].name : null,
+            userId: req.session.userId,
+            companyRole: req.session.companyRole,
+            subscriptionTier: (company.length > 0 && company[0].subscription_tier) || 'basic',
+            breakGlass: req.session.breakGlass,
+            twoFactorEnabled: req.session.twoFactorEnabled,
+            twoFactorEnrollmentRequired: req.session.twoFactorEnrollmentRequired,
+            csrfToken: req.session.csrfToken
+        });
+    } catch (error) {
+        console.error('Session check error:', error);
+        res.status(500).json({ error: 'Server error' });
+    }
+});
+
+// List the signed-in user's active sessions
+app.get('/api/auth/sessions', requireAuth, async (req, res) => {
+    try {
+        const sessions = await findOwnSessions(req.session);
+        
+        res.json(sessions.map(s => ({
+            id: sessionHandle(s.id),
+            current: s.id === req.session.id,
+            device: describeUserAgent(s.user_agent),
+            userAgent: s.user_agent,
+            ipAddress: s.ip_address,
+            createdAt: s.created_at,
+            lastSeenAt: s.last_seen_at,
+            expiresAt: s.expires_at
+        })));
+    } catch (error) {
+        console.error('List sessions error:', error);
+        res.status(500).json({ error: 'Server error' });
+    }
+});
+
+// Revoke one of the signed-in user's sessions
+app.delete('/api/auth/sessions/:id', requireAuth, async (req, res) => {
+    try {
+        const sessions = await findOwnSessions(req.session);
+        const target = sessions.find(s => sessionHandle(s.id) === req.params.id);
+        
+        if (!target) {
+            return res.status(404).json({ error: 'Session not found' });
+        }
+        
+        await sql`DELETE FROM sessions WHERE id = ${target.id}`;
+        
+        if (target.id === req.session.id) {
+            clearSessionCookie(res);
+        }
+        
+        res.json({ success: true });
+    } catch (error) {
+        console.error('Revoke session error:', error);
+        res.status(500).json({ error: 'Server error' });
+    }
+});
+
+// Revoke all of the signed-in user's other sessions (?scope=all includes this one)
+app.delete('/api/auth/sessions', requireAuth, async (req, res) => {
+    try {
+        const includeCurrent = req.query.scope === 'all';
+        const sessions = await findOwnSessions(req.session);
+        const ids = sessions
+            .filter(s => includeCurrent || s.id !== req.session.id)
+            .map(s => s.id);
+        
+        for (const id of ids) {
+            await sql`DELETE FROM sessions WHERE id = ${id}`;
+        }
+        
+        if (includeCurrent) {
+            clearSessionCookie(res);
+        }
+        
+        res.json({ success: true, revoked: ids.length });
+    } catch (error) {
+        console.error('Revoke sessions error:', error);
+        res.status(500).json({ error: 'Server error' });
+    }
+});
+
+// Active sessions belonging to the same person as the given session
+async function findOwnSessions(session) {
+    if (session.userId) {
+        return sql`
+            SELECT * FROM sessions
+            WHERE user_id = ${session.userId} AND expires_at > NOW()
+            ORDER BY last_seen_at DESC NULLS LAST
+        `;
+    }
+    return sql`
+        SELECT * FROM sessions
+        WHERE LOWER(email) = LOWER(${session.email}) AND role = ${session.role}
+          AND user_id IS NULL AND expires_at > NOW()
+        ORDER BY last_seen_at DESC NULLS LAST
+    `;
+}
+
+// Auth middleware
+async function requireAuth(req, res, next) {
+    try {
+        const apiKey = getRequestApiKey(req);
+        if (apiKey && sql) {
+            return await authenticateApiKey(req, res, next, apiKey);
+        }
+        
+        const headerSessionId = req.headers['x-session-id'];
+        const sessionId = getRequestSessionId(req);
         
         if (!sessionId || !sql) {
             return res.status(401).json({ error: 'Unauthorized' });
         }
         
-        const result = await sql`
-            SELECT email, role FROM sessions 
-            WHERE id = ${sessionId} AND expires_at > NOW()
+        const maxAgeCutoff = new Date(Date.now() - SESSION_MAX_AGE_MS);
+        const result = await sql`
+            SELECT s.id, s.email, s.role, s.company_id, s.user_id, s.csrf_token, s.last_seen_at,
+                   s.break_glass, u.role as company_role, u.totp_enabled_at, c.require_2fa
+            FROM sessions s
+            LEFT JOIN company_users u ON u.id = s.user_id
+            LEFT JOIN companies c ON c.id = s.company_id
+            WHERE s.id = ${sessionId} AND s.expires_at > NOW() AND s.created_at > ${maxAgeCutoff}
+              AND c.deleted_at IS NULL
+        `;
+        
+        if (result.length === 0) {
+            if (!headerSessionId) {
+                clearSessionCookie(res);
+            }
+            return res.status(401).json({ error: 'Session expired' });
+        }
+        
+        const session = result[0];
+        
+        // Cookies are sent automatically by the browser, so state-changing
+        // requests authenticated by cookie must prove they came from our pages
+        if (!headerSessionId && !SAFE_METHODS.includes(req.method) &&
+            !csrfTokenMatches(req.headers['x-csrf-token'], session.csrf_token)) {
+            return res.status(403).json({ error: 'Invalid CSRF token' });
+        }
+        
+        // Companies that enforce 2FA only let unenrolled users reach the enrollment endpoints
+        const twoFactorEnrollmentRequired = session.role === 'company_admin' &&
+            !!session.require_2fa && !session.totp_enabled_at;
+        if (twoFactorEnrollmentRequired && !TWO_FACTOR_ENROLLMENT_PATHS.some(p => req.path.startsWith(p))) {
+            return res.status(403).json({
+                error: 'Two-factor authentication must be set up before continuing',
+                code: '2FA_ENROLLMENT_REQUIRED'
+            });
+        }
+        
+        // Sliding expiry: activity pushes the idle timeout forward (break-glass sessions keep their hard limit)
+        const lastSeen = session.last_seen_at ? new Date(session.last_seen_at).getTime() : 0;
+        if (!session.break_glass && Date.now() - lastSeen > SESSION_RENEW_INTERVAL_MS) {
+            const sessionExpires = new Date(Date.now() + SESSION_IDLE_TTL_MS);
+            await sql`
+                UPDATE sessions
+                SET expires_at = ${sessionExpires}, last_seen_at = NOW(), ip_address = ${req.ip || null}
+                WHERE id = ${session.id}
+            `;
+            if (!headerSessionId) {
+                setSessionCookie(res, session.id);
+            }
+        }
+        
+        req.session = {
+            id: session.id,
+            email: session.email,
+            role: session.role,
+            companyId: session.company_id,
+            userId: session.user_id,
+            companyRole: resolveCompanyRole(session),
+            csrfToken: session.csrf_token,
+            breakGlass: !!session.break_glass,
+            twoFactorEnabled: !!session.totp_enabled_at,
+            twoFactorEnrollmentRequired
+        };
+        next();
+    } catch (error) {
+        console.error('Auth middleware error:', error);
+        res.status(500).json({ error: 'Server error' });
+    }
+}
+
+// Company sessions created before company_users existed have no user; they
+// came from the company's single login, which is now its owner
+function resolveCompanyRole(sessionRow) {
+    if (sessionRow.role !== 'company_admin') {
+        return null;
+    }
+    return sessionRow.company_role || (sessionRow.user_id ? null : 'owner');
+}
+
+// Permission middleware (use after requireAuth)
+function requirePermission(permission) {
+    return (req, res, next) => {
+        if (!hasPermission(req.session, permission)) {
+            return res.status(403).json({ error: 'Forbidden' });
+        }
+        next();
+    };
+}
+
+// ==================== UPLOAD ROUTES ====================
+
+// Upload company logo
+app.post('/api/upload/logo', requireAuth, logoUpload.single('logo'), async (req, res) => {
+    try {
+        if (req.session.role !== 'super_admin') {
+            return res.status(403).json({ error: 'Forbidden' });
+        }
+        
+        if (!req.file) {
+            return res.status(400).json({ error: 'No file uploaded' });
+        }
+        
+        // Return the public URL for the uploaded logo
+        const logoUrl = `/logos/${req.file.filename}`;
+        
+        console.log(`Logo uploaded: ${req.file.filename}`);
+        
+        res.json({ 
+            success: true, 
+            url: logoUrl,
+            filename: req.file.filename
+        });
+        
+    } catch (error) {
+        console.error('Logo upload error:', error);
+        res.status(500).json({ error: error.message || 'Upload failed' });
+    }
+});
+
+// Upload card exterior (front or back) - for company admins
+app.post('/api/upload/card-exterior', requireAuth, requirePermission('company:write'), logoUpload.single('image'), async (req, res) => {
+    try {
+        const { side } = req.body; // 'front' or 'back'
+        
+        if (!req.file) {
+            return res.status(400).json({ error: 'No file uploaded' });
+        }
+        
+        if (!side || (side !== 'front' && side !== 'back')) {
+            return res.status(400).json({ error: 'Invalid side parameter. Use "front" or "back".' });
+        }
+        
+        // Return the public URL for the uploaded image
+        const imageUrl = `/logos/${req.file.filename}`;
+        
+        console.log(`Card ${side} uploaded: ${req.file.filename}`);
+        
+        res.json({ 
+            success: true, 
+            url: imageUrl,
+            side: side,
+            filename: req.file.filename
+        });
+        
+    } catch (error) {
+        console.error('Card exterior upload error:', error);
+        res.status(500).json({ error: error.message || 'Upload failed' });
+    }
+});
+
+// Update company card exteriors, logo and brand colors
+app.put('/api/companies/:id/card-exteriors', requireAuth, requirePermission('company:write'), async (req, res) => {
+    try {
+        const { id } = req.params;
+        const { cardFront, cardBack, logo } = req.body;
+        const brandColor = req.body.brandColor ? normalizeHexColor(req.body.brandColor) : null;
+        const brandBackground = req.body.brandBackground ? normalizeHexColor(req.body.brandBackground) : null;
+        
+        // Company admin can only update their own company
+        if (req.session.role === 'company_admin' && req.session.companyId !== id) {
+            return res.status(403).json({ error: 'Forbidden' });
+        }
+        
+        if ((req.body.brandColor && !brandColor) || (req.body.brandBackground && !brandBackground)) {
+            return res.status(400).json({ error: 'brandColor and brandBackground must be hex colors, e.g. #22C55E' });
+        }
+        
+        const before = await sql`SELECT id, card_front, card_back, logo, brand_color, brand_background FROM companies WHERE id = ${id}`;
+        
+        // Update card exteriors, logo and brand colors
+        const result = await sql`
+            UPDATE companies 
+            SET card_front = COALESCE(${cardFront}, card_front),
+                card_back = COALESCE(${cardBack}, card_back),
+                logo = COALESCE(${logo}, logo),
+                brand_color = COALESCE(${brandColor}, brand_color),
+                brand_background = COALESCE(${brandBackground}, brand_background)
+            WHERE id = ${id}
+            RETURNING id, card_front, card_back, logo, brand_color, brand_background
+        `;
+        
+        if (result.length === 0) {
+            return res.status(404).json({ error: 'Company not found' });
+        }
+        
+        console.log(`Card exteriors updated for company ${id}`);
+        
+        await recordAudit(req, {
+            action: 'update',
+            entityType: 'card_exterior',
+            entityId: id,
+            companyId: id,
+            before: before[0],
+            after: result[0]
+        });
+        
+        res.json({ 
+            success: true, 
+            cardFront: result[0].card_front,
+            cardBack: result[0].card_back,
+            logo: result[0].logo,
+            brandColor: result[0].brand_color,
+            brandBackground: result[0].brand_background
+        });
+        
+    } catch (error) {
+        console.error('Update card exteriors error:', error);
+        res.status(500).json({ error: 'Server error' });
+    }
+});
+
+// Get company card exteriors (for company dashboard)
+app.get('/api/companies/:id/card-exteriors', requireAuth, async (req, res) => {
+    try {
+        const { id } = req.params;
+        
+        // Company admin can only view their own company
+        if (req.session.role === 'company_admin' && req.session.companyId !== id) {
+            return res.status(403).json({ error: 'Forbidden' });
+        }
+        
+        const result = await sql`
+            SELECT card_front, card_back, logo, brand_color, brand_background FROM companies WHERE id = ${id}
+        `;
+        
+        if (result.length === 0) {
+            return res.status(404).json({ error: 'Company not found' });
+        }
+        
+        res.json({ 
+            cardFront: result[0].card_front,
+            cardBack: result[0].card_back,
+            logo: result[0].logo,
+            brandColor: result[0].brand_color,
+            brandBackground: result[0].brand_background
+        });
+        
+    } catch (error) {
+        console.error('Get card exteriors error:', error);
+        res.status(500).json({ error: 'Server error' });
+    }
+});
+
+// Error handler for multer
+app.use((err, req, res, next) => {
+    if (err instanceof multer.MulterError) {
+        if (err.code === 'LIMIT_FILE_SIZE') {
+            return res.status(400).json({ error: 'File too large. Maximum size is 2MB.' });
+        }
+        return res.status(400).json({ error: err.message });
+    }
+    if (err) {
+        return res.status(400).json({ error: err.message });
+    }
+    next();
+});
+
+// ==================== SUPER ADMIN ROUTES ====================
+
+// List platform admins (super admin only)
+app.get('/api/super-admins', requireAuth, async (req, res) => {
+    try {
+        if (req.session.role !== 'super_admin') {
+            return res.status(403).json({ error: 'Forbidden' });
+        }
+        
+        const admins = await sql`SELECT * FROM super_admins ORDER BY created_at ASC`;
+        
+        res.json(admins.map(a => ({
+            id: a.id,
+            email: a.email,
+            name: a.name,
+            addedBy: a.added_by,
+            createdAt: a.created_at
+        })));
+    } catch (error) {
+        console.error('Get super admins error:', error);
+        res.status(500).json({ error: 'Server error' });
+    }
+});
+
+// Add a platform admin (super admin only)
+app.post('/api/super-admins', requireAuth, async (req, res) => {
+    try {
+        if (req.session.role !== 'super_admin') {
+            return res.status(403).json({ error: 'Forbidden' });
+        }
+        
+        const { email, name } = req.body;
+        
+        if (!email) {
+            return res.status(400).json({ error: 'Email is required' });
+        }
+        
+        if (await isSuperAdmin(email)) {
+            return res.status(400).json({ error: 'Email is already a super admin' });
+        }
+        
+        const result = await sql`
+            INSERT INTO super_admins (email, name, added_by)
+            VALUES (${email.trim()}, ${name || null}, ${req.session.email})
+            RETURNING *
+        `;
+        
+        console.log(`Super admin ${email} added by ${req.session.email}`);
+        
+        const admin = result[0];
+        await recordAudit(req, { action: 'create', entityType: 'super_admin', entityId: admin.id, after: admin });
+        res.json({
+            success: true,
+            id: admin.id,
+            email: admin.email,
+            name: admin.name,
+            addedBy: admin.added_by,
+            createdAt: admin.created_at
+        });
+    } catch (error) {
+        console.error('Create super admin error:', error);
+        res.status(500).json({ error: 'Server error' });
+    }
+});
+
+// Remove a platform admin (super admin only)
+app.delete('/api/super-admins/:id', requireAuth, async (req, res) => {
+    try {
+        if (req.session.role !== 'super_admin') {
+            return res.status(403).json({ error: 'Forbidden' });
+        }
+        
+        const count = await sql`SELECT COUNT(*) as count FROM super_admins`;
+        if (parseInt(count[0].count) <= 1) {
+            return res.status(400).json({ error: 'Cannot remove the last super admin' });
+        }
+        
+        const result = await sql`DELETE FROM super_admins WHERE id = ${req.params.id} RETURNING *`;
+        
+        if (result.length === 0) {
+            return res.status(404).json({ error: 'Super admin not found' });
+        }
+        
+        // End the removed admin's sessions straight away
+        await sql`
+            DELETE FROM sessions
+            WHERE role = 'super_admin' AND LOWER(email) = LOWER(${result[0].email})
+        `;
+        
+        console.log(`Super admin ${result[0].email} removed by ${req.session.email}`);
+        
+        await recordAudit(req, { action: 'delete', entityType: 'super_admin', entityId: req.params.id, before: result[0] });
+        
+        res.json({ success: true });
+    } catch (error) {
+        console.error('Delete super admin error:', error);
+        res.status(500).json({ error: 'Server error' });
+    }
+});
+
+// Break-glass login history (super admin only)
+app.get('/api/super-admins/break-glass-events', requireAuth, async (req, res) => {
+    try {
+        if (req.session.role !== 'super_admin') {
+            return res.status(403).json({ error: 'Forbidden' });
+        }
+        
+        const events = await sql`SELECT * FROM break_glass_events ORDER BY created_at DESC LIMIT 100`;
+        
+        res.json({
+            armed: BREAK_GLASS_CONFIG.isArmed,
+            armedUntil: BREAK_GLASS_CONFIG.isArmed ? BREAK_GLASS_CONFIG.expiresAt : null,
+            events: events.map(e => ({
+                id: e.id,
+                email: e.email,
+                reason: e.reason,
+                ipAddress: e.ip_address,
+                userAgent: e.user_agent,
+                createdAt: e.created_at
+            }))
+        });
+    } catch (error) {
+        console.error('Get break-glass events error:', error);
+        res.status(500).json({ error: 'Server error' });
+    }
+});
+
+// ==================== COMPANY ROUTES ====================
+
+// Get all companies (super admin only)
+app.get('/api/companies', requireAuth, async (req, res) => {
+    try {
+        if (req.session.role !== 'super_admin') {
+            return res.status(403).json({ error: 'Forbidden' });
+        }
+        
+        const companies = await sql`
+            SELECT 
+                c.id, c.name, c.email, c.logo, c.brand_color, c.brand_background, c.subscription_tier, c.require_2fa, c.created_at,
+                COUNT(ct.id) as contact_count
+            FROM companies c
+            LEFT JOIN contacts ct ON ct.company_id = c.id AND ct.deleted_at IS NULL
+            WHERE c.deleted_at IS NULL
+            GROUP BY c.id
+            ORDER BY c.created_at DESC
+        `;
+        
+        res.json(companies.map(c => ({
+            id: c.id,
+            name: c.name,
+            email: c.email,
+            logo: c.logo,
+            brandColor: c.brand_color,
+            brandBackground: c.brand_background,
+            subscriptionTier: c.subscription_tier || 'basic',
+            require2fa: !!c.require_2fa,
+            contactCount: parseInt(c.contact_count),
+            createdAt: c.created_at
+        })));
+    } catch (error) {
+        console.error('Get companies error:', error);
+        res.status(500).json({ error: 'Server error' });
+    }
+});
+
+// Create company (super admin only)
+app.post('/api/companies', requireAuth, async (req, res) => {
+    try {
+        if (req.session.role !== 'super_admin') {
+            return res.status(403).json({ error: 'Forbidden' });
+        }
+        
+        const { name, email, password, logo, subscriptionTier } = req.body;
+        const brandColor = req.body.brandColor ? normalizeHexColor(req.body.brandColor) : null;
+        const brandBackground = req.body.brandBackground ? normalizeHexColor(req.body.brandBackground) : null;
+        
+        // Validate subscription tier if provided
+        const validTiers = ['basic', 'premium', 'super'];
+        const tier = subscriptionTier && validTiers.includes(subscriptionTier) ? subscriptionTier : 'basic';
+        
+        if ((req.body.brandColor && !brandColor) || (req.body.brandBackground && !brandBackground)) {
+            return res.status(400).json({ error: 'brandColor and brandBackground must be hex colors, e.g. #22C55E' });
+        }
+        
+        const passwordError = validatePassword(password);
+        if (passwordError) {
+            return res.status(400).json({ error: passwordError });
+        }
+        
+        // Check if email already exists (as a company or as any company user)
+        const existing = await sql`
+            SELECT id FROM companies WHERE LOWER(email) = LOWER(${email})
+            UNION ALL
+            SELECT id FROM company_users WHERE LOWER(email) = LOWER(${email})
+        `;
+        if (existing.length > 0) {
+            return res.status(400).json({ error: 'Email already exists' });
+        }
+        
+        const passwordHash = await hashPassword(password);
+        
+        // Company and its owner login are created in one statement
+        const result = await sql`
+            WITH new_company AS (
+                INSERT INTO companies (name, email, logo, brand_color, brand_background, subscription_tier)
+                VALUES (${name}, ${email}, ${logo || ''}, ${brandColor}, ${brandBackground}, ${tier})
+                RETURNING id, name, email, logo, brand_color, brand_background, subscription_tier, created_at
+            ), owner AS (
+                INSERT INTO company_users (company_id, email, password, role, accepted_at)
+                SELECT id, email, ${passwordHash}, 'owner', NOW() FROM new_company
+            )
+            SELECT * FROM new_company
+        `;
+        
+        const company = result[0];
+        
+        await recordAudit(req, { action: 'create', entityType: 'company', entityId: company.id, companyId: company.id, after: company });
+        res.json({ 
+            success: true, 
+            id: company.id,
+            name: company.name,
+            email: company.email,
+            logo: company.logo,
+            brandColor: company.brand_color,
+            brandBackground: company.brand_background,
+            subscriptionTier: company.subscription_tier,
+            createdAt: company.created_at
+        });
+    } catch (error) {
+        console.error('Create company error:', error);
+        res.status(500).json({ error: 'Server error' });
+    }
+});
+
+// Update company (super admin only)
+app.put('/api/companies/:id', requireAuth, async (req, res) => {
+    try {
+        if (req.session.role !== 'super_admin') {
+            return res.status(403).json({ error: 'Forbidden' });
+        }
+        
+        const { id } = req.params;
+        const { name, email, password, logo, subscriptionTier } = req.body;
+        const brandColor = req.body.brandColor ? normalizeHexColor(req.body.brandColor) : null;
+        const brandBackground = req.body.brandBackground ? normalizeHexColor(req.body.brandBackground) : null;
+        
+        // Validate subscription tier if provided
+        const validTiers = ['basic', 'premium', 'super'];
+        if (subscriptionTier && !validTiers.includes(subscriptionTier)) {
+            return res.status(400).json({ error: 'Invalid subscription tier. Must be: basic, premium, or super' });
+        }
+        
+        if ((req.body.brandColor && !brandColor) || (req.body.brandBackground && !brandBackground)) {
+            return res.status(400).json({ error: 'brandColor and brandBackground must be hex colors, e.g. #22C55E' });
+        }
+        
+        let passwordHash = null;
+        if (password) {
+            const passwordError = validatePassword(password);
+            if (passwordError) {
+                return res.status(400).json({ error: passwordError });
+            }
+            passwordHash = await hashPassword(password);
+        }
+        
+        const current = await sql`SELECT * FROM companies WHERE id = ${id} AND deleted_at IS NULL`;
+        
+        if (current.length === 0) {
+            return res.status(404).json({ error: 'Company not found' });
+        }
+        
+        if (email || passwordHash) {
+            await migrateLegacyCompanyLogin(current[0].email);
+        }
+        
+        const result = await sql`
+            UPDATE companies 
+            SET name = COALESCE(${name}, name),
+                email = COALESCE(${email}, email),
+                logo = COALESCE(${logo}, logo),
+                brand_color = COALESCE(${brandColor}, brand_color),
+                brand_background = COALESCE(${brandBackground}, brand_background),
+                subscription_tier = COALESCE(${subscriptionTier}, subscription_tier)
+            WHERE id = ${id}
+            RETURNING id, name, email, logo, brand_color, brand_background, subscription_tier
+        `;
+        
+        if (result.length === 0) {
+            return res.status(404).json({ error: 'Company not found' });
+        }
+        
+        // The company email and password belong to its primary owner login
+        if (email || passwordHash) {
+            await sql`
+                UPDATE company_users
+                SET email = COALESCE(${email}, email),
+                    password = COALESCE(${passwordHash}, password)
+                WHERE company_id = ${id} AND LOWER(email) = LOWER(${current[0].email})
+            `;
+        }
+        
+        await recordAudit(req, {
+            action: 'update',
+            entityType: 'company',
+            entityId: id,
+            companyId: id,
+            before: current[0],
+            after: { ...current[0], ...result[0], ...(passwordHash && { owner_password: '[changed]' }) }
+        });
+        
+        res.json({
+            success: true,
+            ...result[0],
+            brandColor: result[0].brand_color,
+            brandBackground: result[0].brand_background,
+            subscriptionTier: result[0].subscription_tier
+        });
+    } catch (error) {
+        console.error('Update company error:', error);
+        res.status(500).json({ error: 'Server error' });
+    }
+});
+
+// Delete company (super admin only). The company, its contacts and leads move to the
+// trash and its users are signed out; nothing is removed until the trash is purged.
+app.delete('/api/companies/:id', requireAuth, async (req, res) => {
+    try {
+        if (req.session.role !== 'super_admin') {
+            return res.status(403).json({ error: 'Forbidden' });
+        }
+        
+        const { id } = req.params;
+        
+        const results = await sql.transaction(trashCompanyQueries(id));
+        const result = results[results.length - 1];
+        
+        if (result.length === 0) {
+            return res.status(404).json({ error: 'Company not found' });
+        }
+        
+        await recordAudit(req, {
+            action: 'delete',
+            entityType: 'company',
+            entityId: id,
+            companyId: id,
+            before: { ...result[0], deleted_at: null },
+            after: result[0]
+        });
+        
+        res.json({ success: true, deletedAt: result[0].deleted_at, purgeAt: trashPurgeAt(result[0].deleted_at) });
+    } catch (error) {
+        console.error('Delete company error:', error);
+        res.status(500).json({ error: 'Server error' });
+    }
+});
+
+// Get the notice shown on departed contacts' cards
+app.get('/api/companies/:id/departed-message', requireAuth, requirePermission('contacts:read'), async (req, res) => {
+    try {
+        const { id } = req.params;
+        
+        if (req.session.role === 'company_admin' && req.session.companyId !== id) {
+            return res.status(403).json({ error: 'Forbidden' });
+        }
+        
+        const result = await sql`SELECT departed_contact_message FROM companies WHERE id = ${id}`;
+        if (result.length === 0) {
+            return res.status(404).json({ error: 'Company not found' });
+        }
+        
+        res.json({
+            departedContactMessage: result[0].departed_contact_message,
+            defaultMessage: DEFAULT_DEPARTED_MESSAGE
+        });
+    } catch (error) {
+        console.error('Get departed message error:', error);
+        res.status(500).json({ error: 'Server error' });
+    }
+});
+
+// Set the notice shown on departed contacts' cards when they have no message of their own
+app.put('/api/companies/:id/departed-message', requireAuth, requirePermission('company:write'), async (req, res) => {
+    try {
+        const { id } = req.params;
+        
+        // Company admin can only update their own company
+        if (req.session.role === 'company_admin' && req.session.companyId !== id) {
+            return res.status(403).json({ error: 'Forbidden' });
+        }
+        
+        const message = req.body.message ? String(req.body.message).trim().slice(0, 500) : null;
+        
+        const before = await sql`SELECT id, departed_contact_message FROM companies WHERE id = ${id}`;
+        if (before.length === 0) {
+            return res.status(404).json({ error: 'Company not found' });
+        }
+        
+        const result = await sql`
+            UPDATE companies SET departed_contact_message = ${message}
+            WHERE id = ${id}
+            RETURNING id, departed_contact_message
+        `;
+        
+        await recordAudit(req, {
+            action: 'update',
+            entityType: 'company',
+            entityId: id,
+            companyId: id,
+            before: before[0],
+            after: result[0]
+        });
+        
+        res.json({
+            success: true,
+            departedContactMessage: result[0].departed_contact_message,
+            defaultMessage: DEFAULT_DEPARTED_MESSAGE
+        });
+    } catch (error) {
+        console.error('Update departed message error:', error);
+        res.status(500).json({ error: 'Server error' });
+    }
+});
+
+// ==================== COMPANY USER ROUTES ====================
+
+function formatCompanyUser(u) {
+    return {
+        id: u.id,
+        companyId: u.company_id,
+        email: u.email,
+        name: u.name,
+        role: u.role,
+        status: u.accepted_at ? 'active' : 'invited',
+        twoFactorEnabled: !!u.totp_enabled_at,
+        invitedBy: u.invited_by,
+        inviteExpiresAt: u.accepted_at ? null : u.invite_expires_at,
+        acceptedAt: u.accepted_at,
+        createdAt: u.created_at
+    };
+}
+
+// List users of a company (owners and super admin)
+app.get('/api/companies/:id/users', requireAuth, requirePermission('users:manage'), async (req, res) => {
+    try {
+        const { id } = req.params;
+        
+        if (req.session.role === 'company_admin' && req.session.companyId !== id) {
+            return res.status(403).json({ error: 'Forbidden' });
+        }
+        
+        const users = await sql`
+            SELECT * FROM company_users WHERE company_id = ${id}
+            ORDER BY created_at ASC
+        `;
+        
+        res.json(users.map(formatCompanyUser));
+    } catch (error) {
+        console.error('Get company users error:', error);
+        res.status(500).json({ error: 'Server error' });
+    }
+});
+
+// Invite a user to a company
+app.post('/api/companies/:id/users', requireAuth, requirePermission('users:manage'), async (req, res) => {
+    try {
+        const { id } = req.params;
+        const { email, name, role } = req.body;
+        
+        if (req.session.role === 'company_admin' && req.session.companyId !== id) {
+            return res.status(403).json({ error: 'Forbidden' });
+        }
+        
+        if (!email) {
+            return res.status(400).json({ error: 'Email is required' });
+        }
+        
+        if (!COMPANY_ROLES.includes(role)) {
+            return res.status(400).json({ error: `Invalid role. Must be: ${COMPANY_ROLES.join(', ')}` });
+        }
+        
+        const company = await sql`SELECT name FROM companies WHERE id = ${id}`;
+        if (company.length === 0) {
+            return res.status(404).json({ error: 'Company not found' });
+        }
+        
+        const existing = await sql`SELECT id FROM company_users WHERE LOWER(email) = LOWER(${email})`;
+        if (existing.length > 0) {
+            return res.status(400).json({ error: 'A user with this email already exists' });
+        }
+        
+        const token = crypto.randomBytes(32).toString('hex');
+        const expiresAt = new Date(Date.now() + INVITE_TTL_MS);
+        
+        const result = await sql`
+            INSERT INTO company_users (company_id, email, name, role, invited_by, invite_token_hash, invite_expires_at)
+            VALUES (${id}, ${email}, ${name || null}, ${role}, ${req.session.email}, ${hashToken(token)}, ${expiresAt})
+            RETURNING *
+        `;
+        
+        await sendInviteEmail(result[0], company[0].name, token);
+        
+        await recordAudit(req, { action: 'create', entityType: 'company_user', entityId: result[0].id, companyId: id, after: result[0] });
+        
+        res.json({ success: true, user: formatCompanyUser(result[0]) });
+    } catch (error) {
+        console.error('Invite company user error:', error);
+        res.status(500).json({ error: 'Server error' });
+    }
+});
+
+// Re-send an invitation with a fresh link
+app.post('/api/companies/:id/users/:userId/resend-invite', requireAuth, requirePermission('users:manage'), async (req, res) => {
+    try {
+        const { id, userId } = req.params;
+        
+        if (req.session.role === 'company_admin' && req.session.companyId !== id) {
+            return res.status(403).json({ error: 'Forbidden' });
+        }
+        
+        const token = crypto.randomBytes(32).toString('hex');
+        const expiresAt = new Date(Date.now() + INVITE_TTL_MS);
+        
+        const result = await sql`
+            UPDATE company_users
+            SET invite_token_hash = ${hashToken(token)}, invite_expires_at = ${expiresAt}
+            WHERE id = ${userId} AND company_id = ${id} AND accepted_at IS NULL
+            RETURNING *
+        `;
+        
+        if (result.length === 0) {
+            return res.status(404).json({ error: 'Pending invitation not found' });
+        }
+        
+        const company = await sql`SELECT name FROM companies WHERE id = ${id}`;
+        await sendInviteEmail(result[0], company[0].name, token);
+        
+        res.json({ success: true, user: formatCompanyUser(result[0]) });
+    } catch (error) {
+        console.error('Resend invite error:', error);
+        res.status(500).json({ error: 'Server error' });
+    }
+});
+
+// Change a company user's role or name
+app.put('/api/companies/:id/users/:userId', requireAuth, requirePermission('users:manage'), async (req, res) => {
+    try {
+        const { id, userId } = req.params;
+        const { name, role } = req.body;
+        
+        if (req.session.role === 'company_admin' && req.session.companyId !== id) {
+            return res.status(403).json({ error: 'Forbidden' });
+        }
+        
+        if (role && !COMPANY_ROLES.includes(role)) {
+            return res.status(400).json({ error: `Invalid role. Must be: ${COMPANY_ROLES.join(', ')}` });
+        }
+        
+        const current = await sql`SELECT * FROM company_users WHERE id = ${userId} AND company_id = ${id}`;
+        if (current.length === 0) {
+            return res.status(404).json({ error: 'User not found' });
+        }
+        
+        // A company must always keep at least one owner
+        if (current[0].role === 'owner' && role && role !== 'owner') {
+            const owners = await sql`
+                SELECT COUNT(*) as count FROM company_users
+                WHERE company_id = ${id} AND role = 'owner' AND accepted_at IS NOT NULL
+            `;
+            if (parseInt(owners[0].count) <= 1) {
+                return res.status(400).json({ error: 'Cannot change the role of the last owner' });
+            }
+        }
+        
+        const result = await sql`
+            UPDATE company_users
+            SET name = COALESCE(${name}, name),
+                role = COALESCE(${role}, role)
+            WHERE id = ${userId} AND company_id = ${id}
+            RETURNING *
+        `;
+        
+        await recordAudit(req, { action: 'update', entityType: 'company_user', entityId: userId, companyId: id, before: current[0], after: result[0] });
+        
+        res.json({ success: true, user: formatCompanyUser(result[0]) });
+    } catch (error) {
+        console.error('Update company user error:', error);
+        res.status(500).json({ error: 'Server error' });
+    }
+});
+
+// Remove a company user (or revoke a pending invitation)
+app.delete('/api/companies/:id/users/:userId', requireAuth, requirePermission('users:manage'), async (req, res) => {
+    try {
+        const { id, userId } = req.params;
+        
+        if (req.session.role === 'company_admin' && req.session.companyId !== id) {
+            return res.status(403).json({ error: 'Forbidden' });
+        }
+        
+        const current = await sql`SELECT role FROM company_users WHERE id = ${userId} AND company_id = ${id}`;
+        if (current.length === 0) {
+            return res.status(404).json({ error: 'User not found' });
+        }
+        
+        if (current[0].role === 'owner') {
+            const owners = await sql`
+                SELECT COUNT(*) as count FROM company_users
+                WHERE company_id = ${id} AND role = 'owner' AND accepted_at IS NOT NULL
+            `;
+            if (parseInt(owners[0].count) <= 1) {
+                return res.status(400).json({ error: 'Cannot remove the last owner' });
+            }
+        }
+        
+        // Sessions are removed with the user (ON DELETE CASCADE)
+        const deleted = await sql`DELETE FROM company_users WHERE id = ${userId} AND company_id = ${id} RETURNING *`;
+        
+        await recordAudit(req, { action: 'delete', entityType: 'company_user', entityId: userId, companyId: id, before: deleted[0] });
+        
+        res.json({ success: true });
+    } catch (error) {
+        console.error('Delete company user error:', error);
+        res.status(500).json({ error: 'Server error' });
+    }
+});
+
+// Require (or stop requiring) 2FA for every user of a company
+app.put('/api/companies/:id/security', requireAuth, requirePermission('users:manage'), async (req, res) => {
+    try {
+        const { id } = req.params;
+        const { require2fa } = req.body;
+        
+        if (req.session.role === 'company_admin' && req.session.companyId !== id) {
+            return res.status(403).json({ error: 'Forbidden' });
+        }
+        
+        if (typeof require2fa !== 'boolean') {
+            return res.status(400).json({ error: 'require2fa must be true or false' });
+        }
+        
+        const before = await sql`SELECT id, require_2fa FROM companies WHERE id = ${id}`;
+        if (before.length === 0) {
+            return res.status(404).json({ error: 'Company not found' });
+        }
+        
+        const result = await sql`
+            UPDATE companies SET require_2fa = ${require2fa} WHERE id = ${id}
+            RETURNING id, require_2fa
+        `;
+        
+        await recordAudit(req, { action: 'update', entityType: 'company', entityId: id, companyId: id, before: before[0], after: result[0] });
+        
+        res.json({ success: true, require2fa: result[0].require_2fa });
+    } catch (error) {
+        console.error('Update company security error:', error);
+        res.status(500).json({ error: 'Server error' });
+    }
+});
+
+// Reset a locked-out user's 2FA (super admin only); they re-enroll on next login if required
+app.post('/api/companies/:id/users/:userId/reset-2fa', requireAuth, async (req, res) => {
+    try {
+        if (req.session.role !== 'super_admin') {
+            return res.status(403).json({ error: 'Forbidden' });
+        }
+        
+        const { id, userId } = req.params;
+        
+        const result = await sql`
+            UPDATE company_users
+            SET totp_secret = NULL, totp_pending_secret = NULL, totp_enabled_at = NULL, totp_last_used_step = NULL
+            WHERE id = ${userId} AND company_id = ${id}
+            RETURNING email
+        `;
+        
+        if (result.length === 0) {
+            return res.status(404).json({ error: 'User not found' });
+        }
+        
+        await sql`DELETE FROM company_user_recovery_codes WHERE user_id = ${userId}`;
+        await sql`DELETE FROM two_factor_challenges WHERE user_id = ${userId}`;
+        await sql`DELETE FROM sessions WHERE user_id = ${userId}`;
+        
+        console.log(`2FA reset for ${result[0].email} by ${req.session.email}`);
+        
+        await recordAudit(req, {
+            action: 'reset_2fa',
+            entityType: 'company_user',
+            entityId: userId,
+            companyId: id,
+            before: { two_factor_enabled: true },
+            after: { two_factor_enabled: false }
+        });
+        
+        res.json({ success: true });
+    } catch (error) {
+        console.error('Reset 2FA error:', error);
+        res.status(500).json({ error: 'Server error' });
+    }
+});
+
+// Look up a pending invitation (public - for the accept invite page)
+app.get('/api/auth/invite', rateLimit('auth'), async (req, res) => {
+    try {
+        const { token } = req.query;
+        
+        if (!token || !sql) {
+            return res.status(400).json({ error: 'Invitation is invalid or has expired' });
+        }
+        
+        const result = await sql`
+            SELECT u.email, u.name, u.role, c.name as company_name
+            FROM company_users u
+            JOIN companies c ON c.id = u.company_id
+            WHERE u.invite_token_hash = ${hashToken(token)}
+              AND u.accepted_at IS NULL AND u.invite_expires_at > NOW() AND c.deleted_at IS NULL
+        `;
+        
+        if (result.length === 0) {
+            return res.status(400).json({ error: 'Invitation is invalid or has expired' });
+        }
+        
+        const invite = result[0];
+        res.json({
+            email: invite.email,
+            name: invite.name,
+            role: invite.role,
+            companyName: invite.company_name
+        });
+    } catch (error) {
+        console.error('Get invite error:', error);
+        res.status(500).json({ error: 'Server error' });
+    }
+});
+
+// Accept an invitation and set a password (public)
+app.post('/api/auth/accept-invite', rateLimit('auth'), async (req, res) => {
+    try {
+        const { token, name, password } = req.body;
+        
+        if (!sql) {
+            return res.status(500).json({ error: 'Database not configured' });
+        }
+        
+        if (!token) {
+            return res.status(400).json({ error: 'Invitation token is required' });
+        }
+        
+        const passwordError = validatePassword(password);
+        if (passwordError) {
+            return res.status(400).json({ error: passwordError });
+        }
+        
+        const passwordHash = await hashPassword(password);
+        
+        const result = await sql`
+            UPDATE company_users
+            SET password = ${passwordHash},
+                name = COALESCE(${name || null}, name),
+                accepted_at = NOW(),
+                invite_token_hash = NULL,
+                invite_expires_at = NULL
+            WHERE invite_token_hash = ${hashToken(token)}
+              AND accepted_at IS NULL AND invite_expires_at > NOW()
+            RETURNING id, email
+        `;
+        
+        if (result.length === 0) {
+            return res.status(400).json({ error: 'Invitation is invalid or has expired' });
+        }
+        
+        console.log(`Invitation accepted by ${result[0].email}`);
+        
+        res.json({ success: true, email: result[0].email });
+    } catch (error) {
+        console.error('Accept invite error:', error);
+        res.status(500).json({ error: 'Server error' });
+    }
+});
+
+// ==================== API KEY ROUTES ====================
+
+function formatApiKey(k) {
+    return {
+        id: k.id,
+        name: k.name,
+        prefix: k.key_prefix,
+        scopes: k.scopes || [],
+        createdBy: k.created_by,
+        createdAt: k.created_at,
+        lastUsedAt: k.last_used_at,
+        lastUsedIp: k.last_used_ip,
+        revokedAt: k.revoked_at
+    };
+}
+
+// List a company's API keys
+app.get('/api/companies/:id/api-keys', requireAuth, requirePermission('api_keys:manage'), async (req, res) => {
+    try {
+        const { id } = req.params;
+        
+        if (req.session.role === 'company_admin' && req.session.companyId !== id) {
+            return res.status(403).json({ error: 'Forbidden' });
+        }
+        
+        const keys = await sql`
+            SELECT * FROM api_keys WHERE company_id = ${id}
+            ORDER BY revoked_at IS NOT NULL, created_at DESC
+        `;
+        
+        res.json(keys.map(formatApiKey));
+    } catch (error) {
+        console.error('Get API keys error:', error);
+        res.status(500).json({ error: 'Server error' });
+    }
+});
+
+// Create an API key (the key itself is only returned here)
+app.post('/api/companies/:id/api-keys', requireAuth, requirePermission('api_keys:manage'), async (req, res) => {
+    try {
+        const { id } = req.params;
+        const { name, scopes } = req.body;
+        
+        if (req.session.role === 'company_admin' && req.session.companyId !== id) {
+            return res.status(403).json({ error: 'Forbidden' });
+        }
+        
+        if (!name || !name.trim()) {
+            return res.status(400).json({ error: 'Name is required' });
+        }
+        
+        if (!Array.isArray(scopes) || scopes.length === 0) {
+            return res.status(400).json({ error: 'At least one scope is required' });
+        }
+        
+        const invalidScopes = scopes.filter(scope => !API_KEY_SCOPES.includes(scope));
+        if (invalidScopes.length > 0) {
+            return res.status(400).json({ error: `Invalid scopes: ${invalidScopes.join(', ')}. Allowed: ${API_KEY_SCOPES.join(', ')}` });
+        }
+        
+        const company = await sql`SELECT id FROM companies WHERE id = ${id}`;
+        if (company.length === 0) {
+            return res.status(404).json({ error: 'Company not found' });
+        }
+        
+        const key = generateApiKey();
+        const result = await sql`
+            INSERT INTO api_keys (company_id, name, key_prefix, key_hash, scopes, created_by)
+            VALUES (${id}, ${name.trim()}, ${apiKeyDisplayPrefix(key)}, ${hashToken(key)}, ${[...new Set(scopes)]}, ${req.session.email})
+            RETURNING *
+        `;
+        
+        await recordAudit(req, {
+            action: 'create',
+            entityType: 'api_key',
+            entityId: result[0].id,
+            companyId: id,
+            after: { name: result[0].name, key_prefix: result[0].key_prefix, scopes: result[0].scopes }
+        });
+        
+        res.json({ ...formatApiKey(result[0]), key });
+    } catch (error) {
+        console.error('Create API key error:', error);
+        res.status(500).json({ error: 'Server error' });
+    }
+});
+
+// Revoke an API key
+app.delete('/api/companies/:id/api-keys/:keyId', requireAuth, requirePermission('api_keys:manage'), async (req, res) => {
+    try {
+        const { id, keyId } = req.params;
+        
+        if (req.session.role === 'company_admin' && req.session.companyId !== id) {
+            return res.status(403).json({ error: 'Forbidden' });
+        }
+        
+        const result = await sql`
+            UPDATE api_keys SET revoked_at = NOW()
+            WHERE id = ${keyId} AND company_id = ${id} AND revoked_at IS NULL
+            RETURNING *
+        `;
+        
+        if (result.length === 0) {
+            return res.status(404).json({ error: 'API key not found' });
+        }
+        
+        await recordAudit(req, {
+            action: 'revoke',
+            entityType: 'api_key',
+            entityId: keyId,
+            companyId: id,
+            before: { revoked_at: null },
+            after: { revoked_at: result[0].revoked_at }
+        });
+        
+        res.json({ success: true });
+    } catch (error) {
+        console.error('Revoke API key error:', error);
+        res.status(500).json({ error: 'Server error' });
+    }
+});
+
+// ==================== CUSTOM FIELD ROUTES ====================
+
+// List a company's custom contact fields
+app.get('/api/companies/:id/contact-fields', requireAuth, requirePermission('contacts:read'), async (req, res) => {
+    try {
+        const { id } = req.params;
+        
+        if (req.session.role === 'company_admin' && req.session.companyId !== id) {
+            return res.status(403).json({ error: 'Forbidden' });
+        }
+        
+        const fields = await getCompanyCustomFields(id);
+        res.json(fields.map(formatCustomFieldDefinition));
+    } catch (error) {
+        console.error('Get contact fields error:', error);
+        res.status(500).json({ error: 'Server error' });
+    }
+});
+
+// Define a custom contact field
+app.post('/api/companies/:id/contact-fields', requireAuth, requirePermission('company:write'), async (req, res) => {
+    try {
+        const { id } = req.params;
+        const { key, labelEn, labelAr, type = 'text', isPublic = true, sortOrder } = req.body;
+        
+        if (req.session.role === 'company_admin' && req.session.companyId !== id) {
+            return res.status(403).json({ error: 'Forbidden' });
+        }
+        
+        const errors = validateCustomFieldDefinition(req.body, false);
+        if (errors.length > 0) {
+            return res.status(400).json({ error: errors.join('; ') });
+        }
+        
+        const existing = await getCompanyCustomFields(id);
+        if (existing.some(f => f.key === key)) {
+            return res.status(409).json({ error: `A field with key "${key}" already exists` });
+        }
+        if (existing.length >= CUSTOM_FIELD_MAX_PER_COMPANY) {
+            return res.status(400).json({ error: `A company can have at most ${CUSTOM_FIELD_MAX_PER_COMPANY} custom fields` });
+        }
+        
+        const result = await sql`
+            INSERT INTO company_contact_fields (company_id, key, label_en, label_ar, type, is_public, sort_order)
+            VALUES (${id}, ${key}, ${String(labelEn).trim()}, ${labelAr ? String(labelAr).trim() : null}, ${type}, ${isPublic !== false},
+                    ${sortOrder ?? existing.length})
+            RETURNING *
+        `;
+        
+        await recordAudit(req, { action: 'create', entityType: 'contact_field', entityId: result[0].id, companyId: id, after: result[0] });
+        
+        res.json({ success: true, field: formatCustomFieldDefinition(result[0]) });
+    } catch (error) {
+        console.error('Create contact field error:', error);
+        res.status(500).json({ error: 'Server error' });
+    }
+});
+
+// Update a custom contact field's label, type, visibility or order (the key is fixed
+// because contacts store their values under it)
+app.put('/api/companies/:id/contact-fields/:fieldId', requireAuth, requirePermission('company:write'), async (req, res) => {
+    try {
+        const { id, fieldId } = req.params;
+        const { labelEn, labelAr, type, isPublic, sortOrder } = req.body;
+        
+        if (req.session.role === 'company_admin' && req.session.companyId !== id) {
+            return res.status(403).json({ error: 'Forbidden' });
+        }
+        
+        const before = await sql`SELECT * FROM company_contact_fields WHERE id = ${fieldId} AND company_id = ${id}`;
+        if (before.length === 0) {
+            return res.status(404).json({ error: 'Field not found' });
+        }
+        
+        if (req.body.key !== undefined && req.body.key !== before[0].key) {
+            return res.status(400).json({ error: 'key cannot be changed; delete the field and create a new one' });
+        }
+        
+        const errors = validateCustomFieldDefinition(req.body, true);
+        if (errors.length > 0) {
+            return res.status(400).json({ error: errors.join('; ') });
+        }
+        
+        const result = await sql`
+            UPDATE company_contact_fields
+            SET label_en = COALESCE(${labelEn ? String(labelEn).trim() : null}, label_en),
+                label_ar = ${labelAr === undefined ? before[0].label_ar : (labelAr ? String(labelAr).trim() : null)},
+                type = COALESCE(${type ?? null}, type),
+                is_public = COALESCE(${typeof isPublic === 'boolean' ? isPublic : null}, is_public),
+                sort_order = COALESCE(${sortOrder ?? null}, sort_order),
+                updated_at = CURRENT_TIMESTAMP
+            WHERE id = ${fieldId}
+            RETURNING *
+        `;
+        
+        await recordAudit(req, { action: 'update', entityType: 'contact_field', entityId: fieldId, companyId: id, before: before[0], after: result[0] });
+        
+        res.json({ success: true, field: formatCustomFieldDefinition(result[0]) });
+    } catch (error) {
+        console.error('Update contact field error:', error);
+        res.status(500).json({ error: 'Server error' });
+    }
+});
+
+// Delete a custom contact field and its values on every contact
+app.delete('/api/companies/:id/contact-fields/:fieldId', requireAuth, requirePermission('company:write'), async (req, res) => {
+    try {
+        const { id, fieldId } = req.params;
+        
+        if (req.session.role === 'company_admin' && req.session.companyId !== id) {
+            return res.status(403).json({ error: 'Forbidden' });
+        }
+        
+        const field = await sql`SELECT * FROM company_contact_fields WHERE id = ${fieldId} AND company_id = ${id}`;
+        if (field.length === 0) {
+            return res.status(404).json({ error: 'Field not found' });
+        }
+        
+        await sql.transaction([
+            sql`DELETE FROM company_contact_fields WHERE id = ${fieldId}`,
+            sql`
+                UPDATE contacts SET custom_fields = custom_fields - ${field[0].key}::text
+                WHERE company_id = ${id} AND custom_fields ? ${field[0].key}::text
+            `
+        ]);
+        
+        await recordAudit(req, { action: 'delete', entityType: 'contact_field', entityId: fieldId, companyId: id, before: field[0] });
+        
+        res.json({ success: true });
+    } catch (error) {
+        console.error('Delete contact field error:', error);
+        res.status(500).json({ error: 'Server error' });
+    }
+});
+
+// ==================== CONTACT ROUTES ====================
+
+// Get contacts (filtered by company for company admin)
+app.get('/api/contacts', requireAuth, requirePermission('contacts:read'), async (req, res) => {
+    try {
+        let contacts;
+        
+        if (req.session.role === 'company_admin') {
+            contacts = await sql`
+                SELECT * FROM contacts WHERE company_id = ${req.session.companyId} AND deleted_at IS NULL
+                ORDER BY created_at DESC
+            `;
+        } else if (req.query.companyId) {
+            contacts = await sql`
+                SELECT * FROM contacts WHERE company_id = ${req.query.companyId} AND deleted_at IS NULL
+                ORDER BY created_at DESC
+            `;
+        } else {
+            contacts = await sql`SELECT * FROM contacts WHERE deleted_at IS NULL ORDER BY created_at DESC`;
+        }
+        
+        const customFields = await getCustomFieldsByCompany(contacts.map(c => c.company_id));
+        const links = await getLinksByContact(contacts.map(c => c.id));
+        
+        res.json(contacts.map(c => ({
+            id: c.id,
+            slug: c.slug,
+            status: c.status,
+            statusChangedAt: c.status_changed_at,
+            replacementContactId: c.replacement_contact_id,
+            departureMessage: c.departure_message,
+            companyId: c.company_id,
+            nameEn: c.name_en,
+            nameAr: c.name_ar,
+            positionEn: c.position_en,
+            positionAr: c.position_ar,
+            location: c.location,
+            phone: c.phone,
+            telephone: c.telephone,
+            email: c.email,
+            website: c.website,
+            photo: contactPhotoUrls(c.photo),
+            customFields: formatCustomFieldValues(customFields.get(c.company_id) || [], c.custom_fields),
+            links: links.get(c.id) || [],
+            createdAt: c.created_at
+        })));
+    } catch (error) {
+        console.error('Get contacts error:', error);
+        res.status(500).json({ error: 'Server error' });
+    }
+});
+
+// Export contacts as CSV, JSON or a single multi-contact .vcf (same scoping as the list)
+app.get('/api/contacts/export', requireAuth, requirePermission('contacts:read'), async (req, res) => {
+    try {
+        const format = String(req.query.format || 'csv').toLowerCase();
+        
+        if (!CONTACT_EXPORT_FORMATS.includes(format)) {
+            return res.status(400).json({ error: `Format must be one of: ${CONTACT_EXPORT_FORMATS.join(', ')}` });
+        }
+        
+        const companyId = req.session.role === 'company_admin'
+            ? req.session.companyId
+            : (req.query.companyId || null);
+        
+        const contacts = await sql`
+            SELECT c.*, comp.name as company_name
+            FROM contacts c
+            LEFT JOIN companies comp ON comp.id = c.company_id
+            WHERE (${companyId}::uuid IS NULL OR c.company_id = ${companyId}) AND c.deleted_at IS NULL
+            ORDER BY comp.name, c.name_en
+        `;
+        
+        const customFields = await getCustomFieldsByCompany(contacts.map(c => c.company_id));
+        // vCards are handed out, so they only carry public custom fields
+        const rows = contacts.map(c => formatContactExport(c, customFields.get(c.company_id), { publicOnly: format === 'vcf' }));
+        
+        const companyName = companyId && rows.length > 0 ? rows[0].companyName : 'all-companies';
+        const slug = String(companyName || 'contacts').toLowerCase().replace(/[^a-z0-9]+/g, '-').replace(/^-|-$/g, '') || 'company';
+        const filename = `${slug}-contacts-${new Date().toISOString().slice(0, 10)}.${format}`;
+        res.setHeader('Content-Disposition', `attachment; filename="${filename}"`);
+        
+        if (format === 'json') {
+            return res.json(rows);
+        }
+        
+        if (format === 'vcf') {
+            res.type('text/vcard; charset=utf-8');
+            return res.send(rows.map(row => buildVCard(row, { photo: row.photoUrl ? { uri: row.photoUrl } : null })).join(''));
+        }
+        
+        // One extra column per custom field key, after the fixed columns
+        const customColumns = new Map();
+        for (const definitions of customFields.values()) {
+            definitions.forEach(f => customColumns.has(f.key) || customColumns.set(f.key, f.label_en));
+        }
+        const columns = [
+            ...CONTACT_EXPORT_COLUMNS,
+            ...[...customColumns].map(([key, label]) => [`custom.${key}`, label])
+        ];
+        const csvRows = rows.map(row => ({
+            ...row,
+            ...Object.fromEntries(row.customFields.map(f => [`custom.${f.key}`, f.value]))
+        }));
+        
+        res.type('text/csv; charset=utf-8');
+        res.send(toCsv(columns, csvRows));
+    } catch (error) {
+        console.error('Export contacts error:', error);
+        res.status(500).json({ error: 'Server error' });
+    }
+});
+
+// Download a contact as a vCard (public, so NFC tags and QR codes can link straight to it).
+// ?version=4.0 for vCard 4.0; defaults to 3.0, which every address book understands.
+async function sendContactVCard(req, res) {
+    try {
+        if (!sql) {
+            return res.status(500).json({ error: 'Database not configured' });
+        }
+        
+        const version = String(req.query.version || '3.0').replace(/^(\d)$/, '$1.0');
+        if (!VCARD_VERSIONS.includes(version)) {
+            return res.status(400).json({ error: `Version must be one of: ${VCARD_VERSIONS.join(', ')}` });
+        }
+        
+        const resolved = await resolveContactKey(req.params.id);
+        if (!resolved) {
+            return res.status(404).json({ error: 'Contact not found' });
+        }
+        if (redirectToCurrentSlug(req, res, resolved)) {
+            return;
+        }
+        
+        // A departed contact's vCard is their replacement's
+        if (resolved.status !== 'active') {
+            const forwardTo = await findForwardingContact(resolved);
+            if (!forwardTo) {
+                return res.status(410).json({ error: 'This contact is no longer available' });
+            }
+            const queryIndex = req.originalUrl.indexOf('?');
+            const query = queryIndex >= 0 ? req.originalUrl.slice(queryIndex) : '';
+            return res.redirect(302, req.route.path.replace(':id', encodeURIComponent(forwardTo.slug)) + query);
+        }
+        
+        const result = await sql`
+            SELECT c.*, comp.name as company_name, comp.logo as company_logo
+            FROM contacts c
+            LEFT JOIN companies comp ON comp.id = c.company_id
+            WHERE c.id = ${resolved.id}
+        `;
+        
+        const customFields = await getCompanyCustomFields(result[0].company_id);
+        const contact = formatContactExport(result[0], customFields, { publicOnly: true });
+        // The contact's own photo, falling back to the company logo
+        const photo = await loadVCardPhoto(result[0].photo ? contactPhotoUrls(result[0].photo).jpeg : result[0].company_logo);
+        
+        await recordViewConversion(req, resolved.id, 'save');
+        
+        res.attachment(`${contact.nameEn.replace(/\s+/g, '_')}.vcf`);
+        res.type('text/vcard; charset=utf-8');
+        res.send(buildVCard(contact, { version, photo }));
+    } catch (error) {
+        console.error('Get vCard error:', error);
+        res.status(500).json({ error: 'Server error' });
+    }
+}
+
+app.get('/api/contacts/:id/vcard', sendContactVCard);
+
+// Get single contact (public). Looked up by slug; the id or an old slug redirects to the current slug.
+app.get('/api/contacts/:id', async (req, res) => {
+    try {
+        if (!sql) {
+            return res.status(500).json({ error: 'Database not configured' });
+        }
+        
+        const resolved = await resolveContactKey(req.params.id);
+        if (!resolved) {
+            return res.status(404).json({ error: 'Contact not found' });
+        }
+        if (redirectToCurrentSlug(req, res, resolved)) {
+            return;
+        }
+        
+        const result = await sql`
+            SELECT c.*, comp.name as company_name, comp.logo as company_logo,
+                   comp.departed_contact_message
+            FROM contacts c
+            LEFT JOIN companies comp ON comp.id = c.company_id
+            WHERE c.id = ${resolved.id}
+        `;
+        
+        const c = result[0];
+        if (c.status !== 'active') {
+            return res.json(formatInactiveContact(c, await findForwardingContact(c)));
+        }
+        
+        const customFields = await getCompanyCustomFields(c.company_id);
+        const links = await getLinksByContact([c.id]);
+        
+        res.json({ 
+            id: c.id,
+            slug: c.slug,
+            status: c.status,
+            companyId: c.company_id,
+            nameEn: c.name_en,
+            nameAr: c.name_ar,
+            positionEn: c.position_en,
+            positionAr: c.position_ar,
+            location: c.location,
+            phone: c.phone,
+            telephone: c.telephone,
+            email: c.email,
+            website: c.website,
+            photo: contactPhotoUrls(c.photo),
+            customFields: formatCustomFieldValues(customFields, c.custom_fields, { publicOnly: true }),
+            links: links.get(c.id) || [],
+            companyName: c.company_name,
+            companyLogo: c.company_logo
+        });
+    } catch (error) {
+        console.error('Get contact error:', error);
+        res.status(500).json({ error: 'Server error' });
+    }
+});
+
+// Create contact
+app.post('/api/contacts', requireAuth, requirePermission('contacts:write'), async (req, res) => {
+    try {
+        const companyId = req.session.role === 'company_admin' 
+            ? req.session.companyId 
+            : req.body.companyId;
+        
+        if (!companyId) {
+            return res.status(400).json({ error: 'Company ID required' });
+        }
+        
+        const { nameEn, nameAr, positionEn, positionAr, location, phone, telephone, email, website } = req.body;
+        
+        const customFields = await getCompanyCustomFields(companyId);
+        const { errors, values: customValues } = mergeCustomFieldValues(customFields, req.body.customFields);
+        if (errors.length > 0) {
+            return res.status(400).json({ error: errors.join('; ') });
+        }
+        
+        // A new contact's id is its first slug; the id never changes, the slug can.
+        // "id" is still accepted as the requested slug for older API clients.
+        const requestedSlug = req.body.slug || req.body.id;
+        let slug;
+        if (requestedSlug) {
+            slug = String(requestedSlug).trim().toLowerCase();
+            const slugError = validateContactSlug(slug);
+            if (slugError) {
+                return res.status(400).json({ error: slugError });
+            }
+            if (await isContactSlugTaken(slug)) {
+                return res.status(409).json({ error: `The URL "${slug}" is already taken` });
+            }
+        } else {
+            const company = await sql`SELECT name FROM companies WHERE id = ${companyId}`;
+            const base = contactSlugBase({ nameEn, nameAr });
+            slug = pickContactSlug(base, slugify(company[0]?.name, 30), await loadTakenSlugs([base]));
+        }
+        
+        const [result] = await sql.transaction([
+            sql`
+                INSERT INTO contacts (id, slug, company_id, name_en, name_ar, position_en, position_ar, location, phone, telephone, email, website, custom_fields)
+                VALUES (${slug}, ${slug}, ${companyId}, ${nameEn}, ${nameAr || ''}, ${positionEn}, ${positionAr || ''}, ${location}, ${phone}, ${telephone || ''}, ${email}, ${website || ''}, ${JSON.stringify(customValues)}::jsonb)
+                RETURNING *
+            `,
+            contactVersionQuery(req, slug, 'create')
+        ]);
+        
+        const c = result[0];
+        await recordAudit(req, { action: 'create', entityType: 'contact', entityId: c.id, companyId: c.company_id, after: c });
+        
+        res.json({ 
+            success: true,
+            id: c.id,
+            slug: c.slug,
+            companyId: c.company_id,
+            nameEn: c.name_en,
+            nameAr: c.name_ar,
+            positionEn: c.position_en,
+            positionAr: c.position_ar,
+            location: c.location,
+            phone: c.phone,
+            telephone: c.telephone,
+            email: c.email,
+            website: c.website,
+            customFields: formatCustomFieldValues(customFields, c.custom_fields)
+        });
+    } catch (error) {
+        if (error.code === '23505') { // another request took the same slug first
+            return res.status(409).json({ error: 'That URL was just taken, please try again' });
+        }
+        console.error('Create contact error:', error);
+        res.status(500).json({ error: 'Server error' });
+    }
+});
+
+// Update contact
+app.put('/api/contacts/:id', requireAuth, requirePermission('contacts:write'), async (req, res) => {
+    try {
+        const { id } = req.params;
+        
+        const existing = await sql`SELECT * FROM contacts WHERE id = ${id} AND deleted_at IS NULL`;
+        
+        // Check permission for company admin
+        if (req.session.role === 'company_admin' &&
+            (existing.length === 0 || existing[0].company_id !== req.session.companyId)) {
+            return res.status(403).json({ error: 'Forbidden' });
+        }
+        
+        if (existing.length === 0) {
+            return res.status(404).json({ error: 'Contact not found' });
+        }
+        
+        const { nameEn, nameAr, positionEn, positionAr, location, phone, telephone, email, website } = req.body;
+        
+        // Only the custom fields named in the request change; the rest are kept
+        const customFields = await getCompanyCustomFields(existing[0].company_id);
+        const { errors, values: customValues } = mergeCustomFieldValues(customFields, req.body.customFields, existing[0].custom_fields);
+        if (errors.length > 0) {
+            return res.status(400).json({ error: errors.join('; ') });
+        }
+        
+        // Changing the slug keeps the old one as a permanent redirect
+        const slugQueries = [];
+        const slug = req.body.slug === undefined ? existing[0].slug : String(req.body.slug).trim().toLowerCase();
+        if (slug !== existing[0].slug) {
+            const slugError = validateContactSlug(slug);
+            if (slugError) {
+                return res.status(400).json({ error: slugError });
+            }
+            if (await isContactSlugTaken(slug, id)) {
+                return res.status(409).json({ error: `The URL "${slug}" is already taken` });
+            }
+            slugQueries.push(
+                sql`DELETE FROM contact_slug_redirects WHERE slug = ${slug} AND contact_id = ${id}`,
+                sql`
+                    INSERT INTO contact_slug_redirects (slug, contact_id) VALUES (${existing[0].slug}, ${id})
+                    ON CONFLICT (slug) DO NOTHING
+                `
+            );
+        }
+        
+        const results = await sql.transaction([...slugQueries, sql`
+            UPDATE contacts 
+            SET slug = ${slug},
+                name_en = COALESCE(${nameEn}, name_en),
+                name_ar = COALESCE(${nameAr}, name_ar),
+                position_en = COALESCE(${positionEn}, position_en),
+                position_ar = COALESCE(${positionAr}, position_ar),
+                location = COALESCE(${location}, location),
+                phone = COALESCE(${phone}, phone),
+                telephone = COALESCE(${telephone}, telephone),
+                email = COALESCE(${email}, email),
+                website = COALESCE(${website}, website),
+                custom_fields = ${JSON.stringify(customValues)}::jsonb
+            WHERE id = ${id}
+            RETURNING *
+        `, contactVersionQuery(req, id, 'update')]);
+        const result = results[results.length - 2];
+        
+        if (result.length === 0) {
+            return res.status(404).json({ error: 'Contact not found' });
+        }
+        
+        const c = result[0];
+        await recordAudit(req, { action: 'update', entityType: 'contact', entityId: id, companyId: c.company_id, before: existing[0], after: c });
+        
+        res.json({ 
+            success: true,
+            id: c.id,
+            slug: c.slug,
+            nameEn: c.name_en,
+            nameAr: c.name_ar,
+            positionEn: c.position_en,
+            positionAr: c.position_ar,
+            location: c.location,
+            phone: c.phone,
+            telephone: c.telephone,
+            email: c.email,
+            website: c.website,
+            photo: contactPhotoUrls(c.photo),
+            customFields: formatCustomFieldValues(customFields, c.custom_fields)
+        });
+    } catch (error) {
+        if (error.code === '23505') {
+            return res.status(409).json({ error: 'That URL was just taken, please try again' });
+        }
+        console.error('Update contact error:', error);
+        res.status(500).json({ error: 'Server error' });
+    }
+});
+
+// Change a contact's lifecycle status. A departed contact's card can forward to a
+// replacement, and their leads move to reassignLeadsTo (the replacement by default).
+app.put('/api/contacts/:id/status', requireAuth, requirePermission('contacts:write'), async (req, res) => {
+    try {
+        const { id } = req.params;
+        
+        const existing = await sql`SELECT * FROM contacts WHERE id = ${id} AND deleted_at IS NULL`;
+        
+        // Check permission for company admin
+        if (req.session.role === 'company_admin' &&
+            (existing.length === 0 || existing[0].company_id !== req.session.companyId)) {
+            return res.status(403).json({ error: 'Forbidden' });
+        }
+        
+        if (existing.length === 0) {
+            return res.status(404).json({ error: 'Contact not found' });
+        }
+        
+        const { status, message } = req.body;
+        if (!CONTACT_STATUSES.includes(status)) {
+            return res.status(400).json({ error: `Status must be one of: ${CONTACT_STATUSES.join(', ')}` });
+        }
+        
+        // Only a departed contact forwards to a replacement
+        const replacementContactId = status === 'departed' ? (req.body.replacementContactId || null) : null;
+        const reassignLeadsTo = req.body.reassignLeadsTo === undefined
+            ? replacementContactId
+            : (req.body.reassignLeadsTo || null);
+        
+        for (const targetId of new Set([replacementContactId, reassignLeadsTo])) {
+            if (targetId) {
+                const { error } = await findContactHandoverTarget(targetId, existing[0]);
+                if (error) {
+                    return res.status(400).json({ error });
+                }
+            }
+        }
+        
+        const departureMessage = status === 'departed' && message ? String(message).trim().slice(0, 500) : null;
+        
+        const results = await sql.transaction([
+            ...(reassignLeadsTo ? [reassignLeadsQuery(id, reassignLeadsTo)] : []),
+            sql`
+                UPDATE contacts
+                SET status = ${status},
+                    status_changed_at = CASE WHEN status = ${status} THEN status_changed_at ELSE CURRENT_TIMESTAMP END,
+                    replacement_contact_id = ${replacementContactId},
+                    departure_message = ${departureMessage}
+                WHERE id = ${id}
+                RETURNING *
+            `
+        ]);
+        const c = results[results.length - 1][0];
+        const leadsReassigned = reassignLeadsTo ? results[0].length : 0;
+        
+        await recordAudit(req, {
+            action: 'status_change',
+            entityType: 'contact',
+            entityId: id,
+            companyId: c.company_id,
+            before: existing[0],
+            after: { ...c, ...(reassignLeadsTo && { leads_reassigned_to: reassignLeadsTo }) }
+        });
+        
+        res.json({
+            success: true,
+            id: c.id,
+            status: c.status,
+            statusChangedAt: c.status_changed_at,
+            replacementContactId: c.replacement_contact_id,
+            departureMessage: c.departure_message,
+            leadsReassigned
+        });
+    } catch (error) {
+        console.error('Update contact status error:', error);
+        res.status(500).json({ error: 'Server error' });
+    }
+});
+
+// Delete contact: it moves to the trash with its leads. Pass reassignLeadsTo (query or
+// body) to keep the leads by moving them to another contact instead.
+app.delete('/api/contacts/:id', requireAuth, requirePermission('contacts:write'), async (req, res) => {
+    try {
+        const { id } = req.params;
+        
+        const check = await sql`
+            SELECT id, company_id FROM contacts WHERE id = ${id} AND deleted_at IS NULL
+        `;
+        
+        // Check permission for company admin
+        if (req.session.role === 'company_admin' &&
+            (check.length === 0 || check[0].company_id !== req.session.companyId)) {
+            return res.status(403).json({ error: 'Forbidden' });
+        }
+        
+        if (check.length === 0) {
+            return res.status(404).json({ error: 'Contact not found' });
+        }
+        
+        const reassignLeadsTo = req.query.reassignLeadsTo || (req.body && req.body.reassignLeadsTo);
+        if (reassignLeadsTo) {
+            const { error } = await findContactHandoverTarget(reassignLeadsTo, check[0]);
+            if (error) {
+                return res.status(400).json({ error });
+            }
+        }
+        
+        const results = await sql.transaction([
+            ...(reassignLeadsTo ? [reassignLeadsQuery(id, reassignLeadsTo)] : []),
+            ...trashContactQueries(id)
+        ]);
+        const result = results[results.length - 1];
+        
+        if (result.length === 0) {
+            return res.status(404).json({ error: 'Contact not found' });
+        }
+        
+        await recordAudit(req, {
+            action: 'delete',
+            entityType: 'contact',
+            entityId: id,
+            companyId: result[0].company_id,
+            before: { ...result[0], deleted_at: null },
+            after: { ...result[0], ...(reassignLeadsTo && { leads_reassigned_to: reassignLeadsTo }) }
+        });
+        
+        res.json({ success: true, deletedAt: result[0].deleted_at, purgeAt: trashPurgeAt(result[0].deleted_at) });
+    } catch (error) {
+        console.error('Delete contact error:', error);
+        res.status(500).json({ error: 'Server error' });
+    }
+});
+
+// Upload a contact's profile photo (multipart field "photo"). The image is cropped
+// to a square, resized and stored as WebP (plus a JPEG for vCards and wallet passes).
+app.post('/api/contacts/:id/photo', requireAuth, requirePermission('contacts:write'), (req, res, next) => {
+    contactPhotoUpload.single('photo')(req, res, err => {
+        if (err) {
+            const message = err.code === 'LIMIT_FILE_SIZE' ? 'File too large. Maximum size is 8MB.' : err.message;
+            return res.status(400).json({ error: message });
+        }
+        next();
+    });
+}, async (req, res) => {
+    try {
+        const { id } = req.params;
+        
+        const existing = await sql`SELECT id, company_id, photo FROM contacts WHERE id = ${id} AND deleted_at IS NULL`;
+        
+        if (req.session.role === 'company_admin' &&
+            (existing.length === 0 || existing[0].company_id !== req.session.companyId)) {
+            return res.status(403).json({ error: 'Forbidden' });
+        }
+        
+        if (existing.length === 0) {
+            return res.status(404).json({ error: 'Contact not found' });
+        }
+        
+        if (!req.file) {
+            return res.status(400).json({ error: 'No file uploaded' });
+        }
+        
+        let photo;
+        try {
+            photo = await saveContactPhoto(req.file.buffer);
+        } catch (imageError) {
+            return res.status(400).json({ error: `Could not process image: ${imageError.message}` });
+        }
+        
+        const result = await sql`
+            UPDATE contacts SET photo = ${photo} WHERE id = ${id}
+            RETURNING id, company_id, photo
+        `;
+        await deleteContactPhoto(existing[0].photo);
+        
+        await recordAudit(req, {
+            action: 'update',
+            entityType: 'contact_photo',
+            entityId: id,
+            companyId: result[0].company_id,
+            before: { photo: existing[0].photo },
+            after: { photo }
+        });
+        
+        res.json({
+            success: true,
+            photo: contactPhotoUrls(photo)
+        });
+    } catch (error) {
+        console.error('Upload contact photo error:', error);
+        res.status(500).json({ error: 'Server error' });
+    }
+});
+
+// Remove a contact's profile photo
+app.delete('/api/contacts/:id/photo', requireAuth, requirePermission('contacts:write'), async (req, res) => {
+    try {
+        const { id } = req.params;
+        
+        const existing = await sql`SELECT id, company_id, photo FROM contacts WHERE id = ${id} AND deleted_at IS NULL`;
+        
+        if (req.session.role === 'company_admin' &&
+            (existing.length === 0 || existing[0].company_id !== req.session.companyId)) {
+            return res.status(403).json({ error: 'Forbidden' });
+        }
+        
+        if (existing.length === 0) {
+            return res.status(404).json({ error: 'Contact not found' });
+        }
+        
+        if (existing[0].photo) {
+            await sql`UPDATE contacts SET photo = NULL WHERE id = ${id}`;
+            await deleteContactPhoto(existing[0].photo);
+            
+            await recordAudit(req, {
+                action: 'delete',
+                entityType: 'contact_photo',
+                entityId: id,
+                companyId: existing[0].company_id,
+                before: { photo: existing[0].photo }
+            });
+        }
+        
+        res.json({ success: true });
+    } catch (error) {
+        console.error('Delete contact photo error:', error);
+        res.status(500).json({ error: 'Server error' });
+    }
+});
+
+// Import contacts from a CSV or XLSX file (multipart field "file").
+// Body fields: mode ("create" or "upsert"), dryRun ("true" to only validate),
+// mapping (JSON of { "Column header": "contactField" }) and companyId (super admins).
+// Nothing is written unless every row is valid; the whole import is one transaction.
+app.post('/api/contacts/import', requireAuth, requirePermission('contacts:write'), (req, res, next) => {
+    importUpload.single('file')(req, res, err => {
+        if (err) {
+            const message = err.code === 'LIMIT_FILE_SIZE' ? 'File too large. Maximum size is 5MB.' : err.message;
+            return res.status(400).json({ error: message });
+        }
+        next();
+    });
+}, async (req, res) => {
+    try {
+        const companyId = req.session.role === 'company_admin'
+            ? req.session.companyId
+            : req.body.companyId;
+        const mode = req.body.mode || 'create';
+        const dryRun = req.body.dryRun === 'true' || req.body.dryRun === true;
+        
+        if (!companyId) {
+            return res.status(400).json({ error: 'Company ID required' });
+        }
+        
+        if (!req.file) {
+            return res.status(400).json({ error: 'No file uploaded' });
+        }
+        
+        if (!['create', 'upsert'].includes(mode)) {
+            return res.status(400).json({ error: 'Mode must be "create" or "upsert"' });
+        }
+        
+        let mapping = {};
+        try {
+            mapping = typeof req.body.mapping === 'string' ? JSON.parse(req.body.mapping) : (req.body.mapping || {});
+        } catch {
+            return res.status(400).json({ error: 'mapping must be a JSON object of { "Column header": "contactField" }' });
+        }
+        
+        let headers, rows, columns, unmapped;
+        try {
+            ({ headers, rows } = await readSpreadsheet(req.file));
+            ({ columns, unmapped } = resolveImportMapping(headers, mapping));
+        } catch (parseError) {
+            return res.status(400).json({ error: `Could not read file: ${parseError.message}` });
+        }
+        
+        if (rows.length === 0) {
+            return res.status(400).json({ error: 'The file has no data rows' });
+        }
+        
+        if (rows.length > IMPORT_MAX_ROWS) {
+            return res.status(400).json({ error: `Too many rows (maximum ${IMPORT_MAX_ROWS})` });
+        }
+        
+        const missingColumns = Object.keys(CONTACT_IMPORT_FIELDS)
+            .filter(field => CONTACT_IMPORT_FIELDS[field].required && columns[field] === undefined);
+        if (mode === 'create' && missingColumns.length > 0) {
+            return res.status(400).json({ error: `Missing required columns: ${missingColumns.join(', ')}` });
+        }
+        
+        const company = await sql`SELECT id, name FROM companies WHERE id = ${companyId} AND deleted_at IS NULL`;
+        if (company.length === 0) {
+            return res.status(404).json({ error: 'Company not found' });
+        }
+        
+        // Existing contacts that rows may collide with, by id (global) or email (within the company)
+        const fileIds = rows.map(row => columns.id === undefined ? '' : String(row[columns.id] || '').trim()).filter(Boolean);
+        const existingContacts = await sql`
+            SELECT * FROM contacts WHERE company_id = ${companyId} OR id = ANY(${fileIds})
+        `;
+        const existingById = new Map(existingContacts.map(c => [c.id, c]));
+        const existingByEmail = new Map(existingContacts
+            .filter(c => c.company_id === companyId && c.email && !c.deleted_at)
+            .map(c => [c.email.toLowerCase(), c]));
+        
+        const seenIds = new Map();
+        const seenEmails = new Map();
+        const report = [];
+        
+        rows.forEach((row, index) => {
+            const rowNumber = index + 2; // header is row 1
+            const values = {};
+            for (const [field, column] of Object.entries(columns)) {
+                values[field] = String(row[column] || '').trim();
+            }
+            
+            const errors = validateImportRow(values, mode);
+            const email = (values.email || '').toLowerCase();
+            
+            if (values.id && seenIds.has(values.id)) {
+                errors.push(`Duplicate id "${values.id}" (same as row ${seenIds.get(values.id)})`);
+            }
+            if (email && seenEmails.has(email)) {
+                errors.push(`Duplicate email "${values.email}" (same as row ${seenEmails.get(email)})`);
+            }
+            if (values.id) seenIds.set(values.id, rowNumber);
+            if (email) seenEmails.set(email, rowNumber);
+            
+            let existing = null;
+            const byId = values.id ? existingById.get(values.id) : null;
+            const byEmail = email ? existingByEmail.get(email) : null;
+            
+            if (byId && byId.deleted_at) {
+                errors.push(`id "${values.id}" belongs to a contact in the trash (restore or purge it first)`);
+            } else if (byId && byId.company_id !== companyId) {
+                errors.push(`id "${values.id}" is already used by another company`);
+            } else if (byId && byEmail && byId.id !== byEmail.id) {
+                errors.push(`id matches contact "${byId.id}" but email matches contact "${byEmail.id}"`);
+            } else {
+                existing = byId || byEmail;
+            }
+            
+            if (existing && mode === 'create') {
+                errors.push(`Contact already exists (id "${existing.id}")`);
+            }
+            
+            if (!existing && mode === 'upsert') {
+                const missing = Object.keys(CONTACT_IMPORT_FIELDS)
+                    .filter(field => CONTACT_IMPORT_FIELDS[field].required && !values[field]);
+                missing.forEach(field => errors.push(`${field} is required for new contacts`));
+            }
+            
+            report.push({
+                row: rowNumber,
+                action: errors.length > 0 ? 'error' : (existing ? 'update' : 'create'),
+                id: existing ? existing.id : (values.id || null),
+                errors,
+                values,
+                existing
+            });
+        });
+        
+        // New contacts get a generated slug, which is also their id. An id given in the
+        // file becomes the slug (lowercased, like the contact routes), so it must be a valid
+        // slug and not another contact's (old) slug.
+        const newRows = report.filter(r => r.action === 'create');
+        const takenSlugs = await loadTakenSlugs(newRows.map(r => r.values.id ? r.values.id.toLowerCase() : contactSlugBase(r.values)));
+        const companySlug = slugify(company[0].name, 30);
+        for (const r of newRows) {
+            if (!r.values.id) {
+                r.id = pickContactSlug(contactSlugBase(r.values), companySlug, takenSlugs);
+                takenSlugs.add(r.id);
+                continue;
+            }
+            
+            r.id = r.values.id.toLowerCase();
+            const slugError = validateContactSlug(r.id);
+            if (slugError) {
+                r.errors.push(`id "${r.values.id}": ${slugError}`);
+                r.action = 'error';
+            } else if (takenSlugs.has(r.id)) {
+                r.errors.push(`id "${r.values.id}" is already used in another contact's URL`);
+                r.action = 'error';
+            }
+            takenSlugs.add(r.id);
+        }
+        
+        const errorCount = report.filter(r => r.action === 'error').length;
+        const summary = {
+            dryRun,
+            mode,
+            totalRows: rows.length,
+            create: report.filter(r => r.action === 'create').length,
+            update: report.filter(r => r.action === 'update').length,
+            errors: errorCount,
+            mappedColumns: Object.fromEntries(Object.entries(columns).map(([field, column]) => [field, headers[column]])),
+            unmappedColumns: unmapped,
+            rows: report.map(({ row, action, id, errors }) => ({ row, action, id, errors }))
+        };
+        
+        if (dryRun) {
+            return res.json(summary);
+        }
+        
+        if (errorCount > 0) {
+            return res.status(400).json({ error: `${errorCount} row(s) have errors; nothing was imported`, ...summary });
+        }
+        
+        const queries = report.flatMap(r => {
+            const v = r.values;
+            if (r.action === 'update') {
+                // Only columns present in the file are changed
+                return [sql`
+                    UPDATE contacts
+                    SET name_en = COALESCE(${v.nameEn || null}, name_en),
+                        name_ar = COALESCE(${v.nameAr ?? null}, name_ar),
+                        position_en = COALESCE(${v.positionEn || null}, position_en),
+                        position_ar = COALESCE(${v.positionAr ?? null}, position_ar),
+                        location = COALESCE(${v.location ?? null}, location),
+                        phone = COALESCE(${v.phone || null}, phone),
+                        telephone = COALESCE(${v.telephone ?? null}, telephone),
+                        email = COALESCE(${v.email || null}, email),
+                        website = COALESCE(${v.website ?? null}, website)
+                    WHERE id = ${r.id} AND company_id = ${companyId}
+                `, contactVersionQuery(req, r.id, 'import')];
+            }
+            
+            return [sql`
+                INSERT INTO contacts (id, slug, company_id, name_en, name_ar, position_en, position_ar, location, phone, telephone, email, website)
+                VALUES (${r.id}, ${r.id}, ${companyId}, ${v.nameEn}, ${v.nameAr || ''}, ${v.positionEn}, ${v.positionAr || ''}, ${v.location || null}, ${v.phone}, ${v.telephone || ''}, ${v.email}, ${v.website || ''})
+            `, contactVersionQuery(req, r.id, 'import')];
+        });
+        
+        await sql.transaction(queries);
+        
+        await recordAudit(req, {
+            action: 'import',
+            entityType: 'contact',
+            entityId: null,
+            companyId,
+            after: {
+                file: req.file.originalname,
+                mode,
+                created: summary.create,
+                updated: summary.update
+            }
+        });
+        
+        res.json({
+            success: true,
+            ...summary,
+            rows: report.map(({ row, action, id }) => ({ row, action, id, errors: [] }))
+        });
+    } catch (error) {
+        console.error('Import contacts error:', error);
+        res.status(500).json({ error: 'Server error' });
+    }
+});
+
+// ==================== CONTACT LINK ROUTES ====================
+
+// List a contact's action links with their click counts
+app.get('/api/contacts/:id/links', requireAuth, requirePermission('contacts:read'), async (req, res) => {
+    try {
+        const { id } = req.params;
+        
+        const contact = await sql`SELECT id, company_id FROM contacts WHERE id = ${id} AND deleted_at IS NULL`;
+        
+        if (req.session.role === 'company_admin' &&
+            (contact.length === 0 || contact[0].company_id !== req.session.companyId)) {
+            return res.status(403).json({ error: 'Forbidden' });
+        }
+        
+        if (contact.length === 0) {
+            return res.status(404).json({ error: 'Contact not found' });
+        }
+        
+        const links = await sql`
+            SELECT l.*, COUNT(k.id)::int as clicks, MAX(k.clicked_at) as last_clicked_at
+            FROM contact_links l
+            LEFT JOIN contact_link_clicks k ON k.link_id = l.id
+            WHERE l.contact_id = ${id}
+            GROUP BY l.id
+            ORDER BY l.position, l.created_at
+        `;
+        
+        res.json(links.map(l => ({
+            ...formatContactLink(l),
+            clicks: l.clicks,
+            lastClickedAt: l.last_clicked_at
+        })));
+    } catch (error) {
+        console.error('Get contact links error:', error);
+        res.status(500).json({ error: 'Server error' });
+    }
+});
+
+// Replace a contact's links with the given ordered list: { links: [{ id?, type, url, label? }] }.
+// Links sent with their id are updated in place (keeping their click history),
+// links without one are added and links left out are removed.
+app.put('/api/contacts/:id/links', requireAuth, requirePermission('contacts:write'), async (req, res) => {
+    try {
+        const { id } = req.params;
+        
+        const contact = await sql`SELECT id, company_id FROM contacts WHERE id = ${id} AND deleted_at IS NULL`;
+        
+        if (req.session.role === 'company_admin' &&
+            (contact.length === 0 || contact[0].company_id !== req.session.companyId)) {
+            return res.status(403).json({ error: 'Forbidden' });
+        }
+        
+        if (contact.length === 0) {
+            return res.status(404).json({ error: 'Contact not found' });
+        }
+        
+        const { errors, links } = normalizeContactLinks(req.body.links);
+        if (errors.length > 0) {
+            return res.status(400).json({ error: errors.join('; ') });
+        }
+        
+        const existing = await sql`SELECT * FROM contact_links WHERE contact_id = ${id} ORDER BY position, created_at`;
+        const existingIds = new Set(existing.map(l => l.id));
+        const unknown = links.filter(l => l.id && !existingIds.has(l.id));
+        if (unknown.length > 0) {
+            return res.status(400).json({ error: `Unknown link id: ${unknown[0].id}` });
+        }
+        
+        const keptIds = links.filter(l => l.id).map(l => l.id);
+        await sql.transaction([
+            sql`DELETE FROM contact_links WHERE contact_id = ${id} AND NOT (id = ANY(${keptIds}::uuid[]))`,
+            ...links.map(l => l.id
+                ? sql`
+                    UPDATE contact_links
+                    SET type = ${l.type}, url = ${l.url}, label = ${l.label}, position = ${l.position},
+                        updated_at = CURRENT_TIMESTAMP
+                    WHERE id = ${l.id}
+                `
+                : sql`
+                    INSERT INTO contact_links (contact_id, type, url, label, position)
+                    VALUES (${id}, ${l.type}, ${l.url}, ${l.label}, ${l.position})
+                `)
+        ]);
+        
+        const saved = await sql`SELECT * FROM contact_links WHERE contact_id = ${id} ORDER BY position, created_at`;
+        
+        await recordAudit(req, {
+            action: 'update',
+            entityType: 'contact_links',
+            entityId: id,
+            companyId: contact[0].company_id,
+            before: { links: existing.map(formatContactLink) },
+            after: { links: saved.map(formatContactLink) }
+        });
+        
+        res.json({ success: true, links: saved.map(formatContactLink) });
+    } catch (error) {
+        console.error('Update contact links error:', error);
+        res.status(500).json({ error: 'Server error' });
+    }
+});
+
+// Follow a link from the public contact page. The click is counted and the visitor
+// redirected; repeat clicks from one visitor within a minute are counted once.
+app.get('/l/:linkId', async (req, res) => {
+    try {
+        if (!sql || !/^[0-9a-f-]{36}$/i.test(req.params.linkId)) {
+            return res.status(404).send('Link not found');
+        }
+        
+        const result = await sql`
+            SELECT l.id, l.contact_id, l.url
+            FROM contact_links l
+            JOIN contacts c ON c.id = l.contact_id
+            WHERE l.id = ${req.params.linkId} AND c.status = 'active' AND c.deleted_at IS NULL
+        `;
+        
+        if (result.length === 0) {
+            return res.status(404).send('Link not found');
+        }
+        
+        const link = result[0];
+        try {
+            const hit = await rateLimitStore.hit(`link-click:${link.id}:${req.ip}`, LINK_CLICK_DEDUPE_MS);
+            if (hit.count === 1) {
+                const referrer = (req.get('referer') || '').slice(0, 500) || null;
+                await sql`
+                    INSERT INTO contact_link_clicks (link_id, contact_id, referrer)
+                    VALUES (${link.id}, ${link.contact_id}, ${referrer})
+                `;
+            }
+        } catch (trackError) {
+            // Never block the visitor because a click couldn't be recorded
+            console.error('Link click tracking error:', trackError);
+        }
+        
+        res.set('Cache-Control', 'no-store');
+        res.redirect(302, link.url);
+    } catch (error) {
+        console.error('Follow link error:', error);
+        res.status(500).send('Server error');
+    }
+});
+
+// ==================== CONTACT VERSION ROUTES ====================
+
+// List a contact's versions, newest first, with what changed in each
+app.get('/api/contacts/:id/versions', requireAuth, requirePermission('contacts:read'), async (req, res) => {
+    try {
+        const { id } = req.params;
+        
+        const contact = await sql`SELECT id, company_id FROM contacts WHERE id = ${id} AND deleted_at IS NULL`;
+        
+        if (req.session.role === 'company_admin' &&
+            (contact.length === 0 || contact[0].company_id !== req.session.companyId)) {
+            return res.status(403).json({ error: 'Forbidden' });
+        }
+        
+        if (contact.length === 0) {
+            return res.status(404).json({ error: 'Contact not found' });
+        }
+        
+        const versions = await sql`
+            SELECT * FROM contact_versions WHERE contact_id = ${id} ORDER BY version
+        `;
+        
+        res.json(formatContactVersions(versions));
+    } catch (error) {
+        console.error('Get contact versions error:', error);
+        res.status(500).json({ error: 'Server error' });
+    }
+});
+
+// Put a contact's fields back to how they were in an earlier version. The rollback
+// is itself stored as a new version, so it can be undone the same way.
+app.post('/api/contacts/:id/versions/:version/rollback', requireAuth, requirePermission('contacts:write'), async (req, res) => {
+    try {
+        const { id } = req.params;
+        const version = parseInt(req.params.version);
+        
+        const existing = await sql`SELECT * FROM contacts WHERE id = ${id} AND deleted_at IS NULL`;
+        
+        // Check permission for company admin
+        if (req.session.role === 'company_admin' &&
+            (existing.length === 0 || existing[0].company_id !== req.session.companyId)) {
+            return res.status(403).json({ error: 'Forbidden' });
+        }
+        
+        if (existing.length === 0) {
+            return res.status(404).json({ error: 'Contact not found' });
+        }
+        
+        const target = Number.isNaN(version) ? [] : await sql`
+            SELECT data FROM contact_versions WHERE contact_id = ${id} AND version = ${version}
+        `;
+        if (target.length === 0) {
+            return res.status(404).json({ error: 'Version not found' });
+        }
+        
+        const data = target[0].data;
+        
+        // Values of custom fields the company has since deleted are not brought back
+        const customFields = await getCompanyCustomFields(existing[0].company_id);
+        const customValues = Object.fromEntries(Object.entries(data.custom_fields || {})
+            .filter(([key]) => customFields.some(field => field.key === key)));
+        
+        const [result] = await sql.transaction([
+            sql`
+                UPDATE contacts
+                SET name_en = ${data.name_en},
+                    name_ar = ${data.name_ar},
+                    position_en = ${data.position_en},
+                    position_ar = ${data.position_ar},
+                    location = ${data.location},
+                    phone = ${data.phone},
+                    telephone = ${data.telephone},
+                    email = ${data.email},
+                    website = ${data.website},
+                    custom_fields = ${JSON.stringify(customValues)}::jsonb
+                WHERE id = ${id}
+                RETURNING *
+            `,
+            contactVersionQuery(req, id, 'rollback', version)
+        ]);
+        
+        const c = result[0];
+        await recordAudit(req, { action: 'rollback', entityType: 'contact', entityId: id, companyId: c.company_id, before: existing[0], after: c });
+        
+        res.json({
+            success: true,
+            restoredFromVersion: version,
+            id: c.id,
+            slug: c.slug,
+            nameEn: c.name_en,
+            nameAr: c.name_ar,
+            positionEn: c.position_en,
+            positionAr: c.position_ar,
+            location: c.location,
+            phone: c.phone,
+            telephone: c.telephone,
+            email: c.email,
+            website: c.website,
+            photo: contactPhotoUrls(c.photo),
+            customFields: formatCustomFieldValues(customFields, c.custom_fields)
+        });
+    } catch (error) {
+        console.error('Rollback contact error:', error);
+        res.status(500).json({ error: 'Server error' });
+    }
+});
+
+// ==================== QR CODE ROUTES ====================
+// Options for both routes: ?size= (pixels), ?margin= (modules), ?ecc=L|M|Q|H,
+// ?color= and ?background= (hex, default the company's brand colors) and ?logo=false
+
+// A contact's QR code as SVG or PNG. Public, like the card it opens.
+app.get('/api/qr/:contactId.:format', rateLimit('qr'), async (req, res) => {
+    try {
+        const { contactId, format } = req.params;
+        
+        if (!QR_FORMATS[format]) {
+            return res.status(404).json({ error: 'Format must be svg or png' });
+        }
+        
+        const resolved = await resolveContactKey(contactId);
+        const result = resolved ? await sql`
+            SELECT c.slug, c.status, comp.logo, comp.brand_color, comp.brand_background
+            FROM contacts c
+            JOIN companies comp ON comp.id = c.company_id AND comp.deleted_at IS NULL
+            WHERE c.id = ${resolved.id}
+        ` : [];
+        
+        if (result.length === 0) {
+            return res.status(404).json({ error: 'Contact not found' });
+        }
+        
+        if (result[0].status !== 'active') {
+            return res.status(410).json({ error: 'This contact is no longer available' });
+        }
+        
+        const options = parseQrOptions(req.query, result[0]);
+        if (options.error) {
+            return res.status(400).json({ error: options.error });
+        }
+        
+        const logo = options.logo ? await loadQrLogo(result[0].logo) : null;
+        const image = await renderQrCode(contactQrTarget(result[0].slug), format, options, logo);
+        
+        if (req.query.download === 'true' || req.query.download === '1') {
+            res.setHeader('Content-Disposition', `attachment; filename="qr-${result[0].slug}.${format}"`);
+        }
+        res.setHeader('Cache-Control', 'public, max-age=300');
+        res.type(QR_FORMATS[format]);
+        res.send(image);
+    } catch (error) {
+        console.error('Generate QR code error:', error);
+        res.status(500).json({ error: 'Server error' });
+    }
+});
+
+// Every active contact's QR code for a company in one ZIP (?format=svg|png, default png)
+app.get('/api/companies/:id/qr-codes.zip', requireAuth, requirePermission('contacts:read'), async (req, res) => {
+    try {
+        const { id } = req.params;
+        const format = req.query.format || 'png';
+        
+        if (req.session.role === 'company_admin' && req.session.companyId !== id) {
+            return res.status(403).json({ error: 'Forbidden' });
+        }
+        
+        if (!QR_FORMATS[format]) {
+            return res.status(400).json({ error: 'Format must be svg or png' });
+        }
+        
+        const company = await sql`
+            SELECT name, logo, brand_color, brand_background FROM companies
+            WHERE id = ${id} AND deleted_at IS NULL
+        `;
+        if (company.length === 0) {
+            return res.status(404).json({ error: 'Company not found' });
+        }
+        
+        const options = parseQrOptions(req.query, company[0]);
+        if (options.error) {
+            return res.status(400).json({ error: options.error });
+        }
+        
+        const contacts = await sql`
+            SELECT slug FROM contacts
+            WHERE company_id = ${id} AND status = 'active' AND deleted_at IS NULL
+            ORDER BY slug
+        `;
+        const logo = options.logo ? await loadQrLogo(company[0].logo) : null;
+        
+        const slug = slugify(company[0].name, 40) || 'company';
+        res.setHeader('Content-Disposition', `attachment; filename="${slug}-qr-codes.zip"`);
+        res.type('application/zip');
+        
+        // Codes are rendered one at a time and streamed, so large companies don't pile up in memory
+        const archive = archiver('zip');
+        archive.on('error', error => {
+            console.error('QR code archive error:', error);
+            res.destroy(error);
+        });
+        archive.pipe(res);
+        for (const c of contacts) {
+            archive.append(await renderQrCode(contactQrTarget(c.slug), format, options, logo), { name: `${c.slug}.${format}` });
+        }
+        await archive.finalize();
+    } catch (error) {
+        console.error('Download QR codes error:', error);
+        if (res.headersSent) {
+            return res.destroy(error);
+        }
+        res.status(500).json({ error: 'Server error' });
+    }
+});
+
+// ==================== PRINT ROUTES ====================
+// PDF options: ?size=cr80|eu|us (card), ?bleed= (mm, default 3), ?cropMarks=false and,
+// for company sheets, ?sheet=a4|letter|sra3
+
+// Where names, titles, phone, email and the QR code go on a company's printed cards
+app.get('/api/companies/:id/print-layout', requireAuth, requirePermission('contacts:read'), async (req, res) => {
+    try {
+        const { id } = req.params;
+        
+        if (req.session.role === 'company_admin' && req.session.companyId !== id) {
+            return res.status(403).json({ error: 'Forbidden' });
+        }
+        
+        const result = await sql`SELECT print_layout FROM companies WHERE id = ${id} AND deleted_at IS NULL`;
+        
+        if (result.length === 0) {
+            return res.status(404).json({ error: 'Company not found' });
+        }
+        
+        res.json({
+            layout: resolvePrintLayout(result[0].print_layout),
+            overrides: result[0].print_layout,
+            defaults: DEFAULT_PRINT_LAYOUT,
+            cardSizes: PRINT_CARD_SIZES,
+            sheetSizes: PRINT_SHEET_SIZES
+        });
+    } catch (error) {
+        console.error('Get print layout error:', error);
+        res.status(500).json({ error: 'Server error' });
+    }
+});
+
+// Replace a company's layout overrides; fields and settings left out use the defaults
+app.put('/api/companies/:id/print-layout', requireAuth, requirePermission('company:write'), async (req, res) => {
+    try {
+        const { id } = req.params;
+        const layout = req.body.layout || {};
+        
+        if (req.session.role === 'company_admin' && req.session.companyId !== id) {
+            return res.status(403).json({ error: 'Forbidden' });
+        }
+        
+        const errors = validatePrintLayout(layout);
+        if (errors.length > 0) {
+            return res.status(400).json({ error: errors[0], errors });
+        }
+        
+        const before = await sql`SELECT id, print_layout FROM companies WHERE id = ${id} AND deleted_at IS NULL`;
+        
+        if (before.length === 0) {
+            return res.status(404).json({ error: 'Company not found' });
+        }
+        
+        const result = await sql`
+            UPDATE companies SET print_layout = ${JSON.stringify(layout)}::jsonb
+            WHERE id = ${id}
+            RETURNING id, print_layout
+        `;
+        
+        await recordAudit(req, {
+            action: 'update',
+            entityType: 'print_layout',
+            entityId: id,
+            companyId: id,
+            before: before[0],
+            after: result[0]
+        });
+        
+        res.json({
+            success: true,
+            layout: resolvePrintLayout(result[0].print_layout),
+            overrides: result[0].print_layout
+        });
+    } catch (error) {
+        console.error('Update print layout error:', error);
+        res.status(500).json({ error: 'Server error' });
+    }
+});
+
+// One contact's card as a print-ready PDF: front page, then back page
+app.get('/api/contacts/:id/print.pdf', requireAuth, requirePermission('contacts:read'), async (req, res) => {
+    try {
+        const { id } = req.params;
+        
+        const options = parsePrintOptions(req.query);
+        if (options.error) {
+            return res.status(400).json({ error: options.error });
+        }
+        
+        const contact = await sql`SELECT * FROM contacts WHERE id = ${id} AND deleted_at IS NULL`;
+        
+        if (req.session.role === 'company_admin' &&
+            (contact.length === 0 || contact[0].company_id !== req.session.companyId)) {
+            return res.status(403).json({ error: 'Forbidden' });
+        }
+        
+        if (contact.length === 0) {
+            return res.status(404).json({ error: 'Contact not found' });
+        }
+        
+        if (contact[0].status !== 'active') {
+            return res.status(410).json({ error: 'This contact is no longer available' });
+        }
+        
+        const company = await sql`SELECT * FROM companies WHERE id = ${contact[0].company_id} AND deleted_at IS NULL`;
+        
+        if (company.length === 0) {
+            return res.status(404).json({ error: 'Company not found' });
+        }
+        
+        const pdf = await renderCardsPdf(company[0], [formatPrintContact(contact[0])], options);
+        
+        res.setHeader('Content-Disposition', `attachment; filename="card-${contact[0].slug}.pdf"`);
+        res.type('application/pdf');
+        res.send(pdf);
+    } catch (error) {
+        console.error('Print card error:', error);
+        res.status(500).json({ error: 'Server error' });
+    }
+});
+
+// A company's cards imposed multi-up on sheets for the print shop. Every active contact,
+// or only ?contactIds=a,b,c
+app.get('/api/companies/:id/print.pdf', requireAuth, requirePermission('contacts:read'), async (req, res) => {
+    try {
+        const { id } = req.params;
+        const contactIds = req.query.contactIds ? String(req.query.contactIds).split(',').map(s => s.trim()).filter(Boolean) : null;
+        
+        if (req.session.role === 'company_admin' && req.session.companyId !== id) {
+            return res.status(403).json({ error: 'Forbidden' });
+        }
+        
+        const options = parsePrintOptions(req.query);
+        if (options.error) {
+            return res.status(400).json({ error: options.error });
+        }
+        
+        if (contactIds && contactIds.length === 0) {
+            return res.status(400).json({ error: 'contactIds must be a comma-separated list of contact IDs' });
+        }
+        
+        const company = await sql`SELECT * FROM companies WHERE id = ${id} AND deleted_at IS NULL`;
+        
+        if (company.length === 0) {
+            return res.status(404).json({ error: 'Company not found' });
+        }
+        
+        const contacts = contactIds ? await sql`
+            SELECT * FROM contacts
+            WHERE company_id = ${id} AND id = ANY(${contactIds}) AND status = 'active' AND deleted_at IS NULL
+            ORDER BY name_en
+        ` : await sql`
+            SELECT * FROM contacts
+            WHERE company_id = ${id} AND status = 'active' AND deleted_at IS NULL
+            ORDER BY name_en
         `;
         
-        if (result.length === 0) {
-            return res.status(401).json({ error: 'Session expired' });
+        if (contacts.length === 0) {
+            return res.status(404).json({ error: 'No active contacts to print' });
+        }
+        
+        if (contacts.length > PRINT_MAX_CONTACTS) {
+            return res.status(400).json({ error: `At most ${PRINT_MAX_CONTACTS} cards can be printed at once; use contactIds to print in batches` });
+        }
+        
+        const pdf = await renderCardsPdf(company[0], contacts.map(formatPrintContact), options, true);
+        
+        const slug = slugify(company[0].name, 40) || 'company';
+        res.setHeader('Content-Disposition', `attachment; filename="${slug}-cards.pdf"`);
+        res.type('application/pdf');
+        res.send(pdf);
+    } catch (error) {
+        console.error('Print company cards error:', error);
+        res.status(500).json({ error: 'Server error' });
+    }
+});
+
+// ==================== NFC TAG ROUTES ====================
+
+// Tag with its current contact, for the routes below
+async function loadCompanyNfcTag(companyId, tagId) {
+    if (!UUID_PATTERN.test(tagId)) {
+        return null;
+    }
+    const result = await sql`
+        SELECT t.*, c.slug as contact_slug, c.name_en as contact_name
+        FROM nfc_tags t
+        LEFT JOIN contacts c ON c.id = t.contact_id
+        WHERE t.id = ${tagId} AND t.company_id = ${companyId}
+    `;
+    return result[0] || null;
+}
+
+// List a company's tags (?contactId= for one contact's tags); ?format=csv downloads
+// the list as a manifest (UID, code and URL to write to each tag)
+app.get('/api/companies/:id/nfc-tags', requireAuth, requirePermission('contacts:read'), async (req, res) => {
+    try {
+        const { id } = req.params;
+        const contactId = req.query.contactId || null;
+        
+        if (req.session.role === 'company_admin' && req.session.companyId !== id) {
+            return res.status(403).json({ error: 'Forbidden' });
+        }
+        
+        const tags = await sql`
+            SELECT t.*, c.slug as contact_slug, c.name_en as contact_name
+            FROM nfc_tags t
+            LEFT JOIN contacts c ON c.id = t.contact_id
+            WHERE t.company_id = ${id} AND (${contactId}::text IS NULL OR t.contact_id = ${contactId})
+            ORDER BY t.created_at DESC, t.uid
+        `;
+        const rows = tags.map(formatNfcTag);
+        
+        if (req.query.format === 'csv') {
+            const filename = `nfc-tags-${new Date().toISOString().slice(0, 10)}.csv`;
+            res.setHeader('Content-Disposition', `attachment; filename="${filename}"`);
+            res.type('text/csv; charset=utf-8');
+            return res.send(toCsv([
+                ['uid', 'UID'],
+                ['code', 'Code'],
+                ['url', 'URL'],
+                ['label', 'Label'],
+                ['batch', 'Batch'],
+                ['contactSlug', 'Contact'],
+                ['contactName', 'Contact Name']
+            ], rows.map(t => ({
+                ...t,
+                contactSlug: t.contact ? t.contact.slug : '',
+                contactName: t.contact ? t.contact.nameEn : ''
+            }))));
+        }
+        
+        res.json(rows);
+    } catch (error) {
+        console.error('Get NFC tags error:', error);
+        res.status(500).json({ error: 'Server error' });
+    }
+});
+
+// Register one tag by its chip UID, optionally assigning it straight away
+app.post('/api/companies/:id/nfc-tags', requireAuth, requirePermission('contacts:write'), async (req, res) => {
+    try {
+        const { id } = req.params;
+        const { contactId } = req.body;
+        const uid = normalizeTagUid(req.body.uid);
+        const label = req.body.label ? String(req.body.label).trim() : null;
+        
+        if (req.session.role === 'company_admin' && req.session.companyId !== id) {
+            return res.status(403).json({ error: 'Forbidden' });
+        }
+        
+        if (!uid) {
+            return res.status(400).json({ error: 'uid must be the tag\'s chip UID in hex (4, 7 or 10 bytes)' });
+        }
+        
+        if (label && label.length > NFC_TAG_LABEL_MAX_LENGTH) {
+            return res.status(400).json({ error: `label must be at most ${NFC_TAG_LABEL_MAX_LENGTH} characters` });
+        }
+        
+        const company = await sql`SELECT id FROM companies WHERE id = ${id} AND deleted_at IS NULL`;
+        if (company.length === 0) {
+            return res.status(404).json({ error: 'Company not found' });
+        }
+        
+        const contact = contactId ? await findTagContact(id, contactId) : null;
+        if (contactId && !contact) {
+            return res.status(400).json({ error: 'Contact not found in this company' });
+        }
+        
+        const existing = await sql`SELECT id FROM nfc_tags WHERE uid = ${uid}`;
+        if (existing.length > 0) {
+            return res.status(409).json({ error: 'A tag with this UID is already registered' });
+        }
+        
+        const tagId = crypto.randomUUID();
+        await sql.transaction([
+            sql`
+                INSERT INTO nfc_tags (id, company_id, uid, code, label)
+                VALUES (${tagId}, ${id}, ${uid}, ${generateTagCode()}, ${label})
+            `,
+            ...(contact ? assignNfcTagQueries(req, tagId, contact) : [])
+        ]);
+        
+        const tag = await loadCompanyNfcTag(id, tagId);
+        await recordAudit(req, { action: 'create', entityType: 'nfc_tag', entityId: tagId, companyId: id, after: tag });
+        
+        res.json({ success: true, tag: formatNfcTag(tag) });
+    } catch (error) {
+        if (error.code === '23505') {
+            return res.status(409).json({ error: 'A tag with this UID is already registered' });
         }
+        console.error('Create NFC tag error:', error);
+        res.status(500).json({ error: 'Server error' });
+    }
+});
+
+// Register a batch of tags from the supplier's manifest (CSV or XLSX with a UID column,
+// and optionally label and contact columns). All rows are registered or none are;
+// dryRun=true only reports what would happen. The response carries each tag's code
+// and URL to write to the chip.
+app.post('/api/companies/:id/nfc-tags/import', requireAuth, requirePermission('contacts:write'), (req, res, next) => {
+    importUpload.single('file')(req, res, err => {
+        if (err) {
+            const message = err.code === 'LIMIT_FILE_SIZE' ? 'File too large. Maximum size is 5MB.' : err.message;
+            return res.status(400).json({ error: message });
+        }
+        next();
+    });
+}, async (req, res) => {
+    try {
+        const { id } = req.params;
+        const dryRun = req.body.dryRun === 'true' || req.body.dryRun === true;
+        const batch = req.body.batch ? String(req.body.batch).trim().slice(0, 100) : null;
         
-        if (result[0].role !== 'super_admin') {
+        if (req.session.role === 'company_admin' && req.session.companyId !== id) {
             return res.status(403).json({ error: 'Forbidden' });
         }
         
@@ -618,319 +7661,642 @@ app.post('/api/upload/logo', logoUpload.single('logo'), async (req, res) => {
             return res.status(400).json({ error: 'No file uploaded' });
         }
         
-        // Return the public URL for the uploaded logo
-        const logoUrl = `/logos/${req.file.filename}`;
+        let headers, rows;
+        try {
+            ({ headers, rows } = await readSpreadsheet(req.file));
+        } catch (parseError) {
+            return res.status(400).json({ error: `Could not read file: ${parseError.message}` });
+        }
         
-        console.log(`Logo uploaded: ${req.file.filename}`);
+        const columns = {};
+        for (const [field, aliases] of Object.entries(NFC_TAG_MANIFEST_COLUMNS)) {
+            const index = headers.findIndex(h => aliases.includes(normalizeHeader(h)));
+            if (index !== -1) {
+                columns[field] = index;
+            }
+        }
         
-        res.json({ 
-            success: true, 
-            url: logoUrl,
-            filename: req.file.filename
+        if (columns.uid === undefined) {
+            return res.status(400).json({ error: 'Missing required column: uid' });
+        }
+        
+        if (rows.length === 0) {
+            return res.status(400).json({ error: 'The file has no data rows' });
+        }
+        
+        if (rows.length > NFC_TAG_MANIFEST_MAX_ROWS) {
+            return res.status(400).json({ error: `Too many rows (maximum ${NFC_TAG_MANIFEST_MAX_ROWS})` });
+        }
+        
+        const company = await sql`SELECT id FROM companies WHERE id = ${id} AND deleted_at IS NULL`;
+        if (company.length === 0) {
+            return res.status(404).json({ error: 'Company not found' });
+        }
+        
+        const cell = (row, field) => columns[field] === undefined ? '' : String(row[columns[field]] || '').trim();
+        const uids = rows.map(row => normalizeTagUid(cell(row, 'uid'))).filter(Boolean);
+        const registered = new Set((await sql`SELECT uid FROM nfc_tags WHERE uid = ANY(${uids})`).map(t => t.uid));
+        
+        // Contacts are matched by id, slug or email, as when assigning a single tag
+        const contacts = columns.contact === undefined ? [] : await sql`
+            SELECT id, slug, name_en, email FROM contacts WHERE company_id = ${id} AND deleted_at IS NULL
+        `;
+        const findContact = key => contacts.find(c => c.id === key) ||
+            contacts.find(c => c.slug === key) ||
+            contacts.find(c => c.email && c.email.toLowerCase() === key.toLowerCase());
+        
+        const seenUids = new Map();
+        const report = rows.map((row, index) => {
+            const rowNumber = index + 2; // header is row 1
+            const errors = [];
+            const uid = normalizeTagUid(cell(row, 'uid'));
+            const label = cell(row, 'label') || null;
+            const contactKey = cell(row, 'contact');
+            const contact = contactKey ? findContact(contactKey) : null;
+            
+            if (!uid) {
+                errors.push(`"${cell(row, 'uid')}" is not a valid tag UID`);
+            } else if (seenUids.has(uid)) {
+                errors.push(`Duplicate UID ${uid} (same as row ${seenUids.get(uid)})`);
+            } else if (registered.has(uid)) {
+                errors.push(`UID ${uid} is already registered`);
+            }
+            if (uid && !seenUids.has(uid)) seenUids.set(uid, rowNumber);
+            
+            if (label && label.length > NFC_TAG_LABEL_MAX_LENGTH) {
+                errors.push(`label is longer than ${NFC_TAG_LABEL_MAX_LENGTH} characters`);
+            }
+            if (contactKey && !contact) {
+                errors.push(`Contact "${contactKey}" not found in this company`);
+            }
+            
+            return { row: rowNumber, uid, label, contact, errors };
+        });
+        
+        const errorCount = report.filter(r => r.errors.length > 0).length;
+        const summary = {
+            dryRun,
+            batch,
+            totalRows: rows.length,
+            create: rows.length - errorCount,
+            assign: report.filter(r => r.contact && r.errors.length === 0).length,
+            errors: errorCount,
+            rows: report.map(({ row, uid, contact, errors }) => ({ row, uid, contactId: contact ? contact.id : null, errors }))
+        };
+        
+        if (dryRun) {
+            return res.json(summary);
+        }
+        
+        if (errorCount > 0) {
+            return res.status(400).json({ error: `${errorCount} row(s) have errors; no tags were registered`, ...summary });
+        }
+        
+        for (const r of report) {
+            r.id = crypto.randomUUID();
+            r.code = generateTagCode();
+        }
+        
+        await sql.transaction(report.flatMap(r => [
+            sql`
+                INSERT INTO nfc_tags (id, company_id, uid, code, label, batch)
+                VALUES (${r.id}, ${id}, ${r.uid}, ${r.code}, ${r.label}, ${batch})
+            `,
+            ...(r.contact ? assignNfcTagQueries(req, r.id, r.contact) : [])
+        ]));
+        
+        await recordAudit(req, {
+            action: 'import',
+            entityType: 'nfc_tag',
+            entityId: null,
+            companyId: id,
+            after: {
+                file: req.file.originalname,
+                batch,
+                created: summary.create,
+                assigned: summary.assign
+            }
         });
         
+        res.json({
+            success: true,
+            ...summary,
+            rows: report.map(r => ({
+                row: r.row,
+                id: r.id,
+                uid: r.uid,
+                code: r.code,
+                url: nfcTagUrl(r.code),
+                contactId: r.contact ? r.contact.id : null,
+                errors: []
+            }))
+        });
     } catch (error) {
-        console.error('Logo upload error:', error);
-        res.status(500).json({ error: error.message || 'Upload failed' });
+        if (error.code === '23505') {
+            return res.status(409).json({ error: 'Some of these tags were registered at the same time; nothing was imported' });
+        }
+        console.error('Import NFC tags error:', error);
+        res.status(500).json({ error: 'Server error' });
     }
 });
 
-// Upload card exterior (front or back) - for company admins
-app.post('/api/upload/card-exterior', logoUpload.single('image'), async (req, res) => {
+// Assign a tag to a contact (id, slug or email), reassign it, or unassign it with
+// contactId: null; the label can be changed at the same time
+app.put('/api/companies/:id/nfc-tags/:tagId', requireAuth, requirePermission('contacts:write'), async (req, res) => {
     try {
-        // Verify session
-        const sessionId = req.headers['x-session-id'];
-        const { side } = req.body; // 'front' or 'back'
+        const { id, tagId } = req.params;
+        const { contactId } = req.body;
+        const label = req.body.label === undefined ? undefined : (req.body.label ? String(req.body.label).trim() : null);
         
-        if (!sessionId || !sql) {
-            return res.status(401).json({ error: 'Unauthorized' });
+        if (req.session.role === 'company_admin' && req.session.companyId !== id) {
+            return res.status(403).json({ error: 'Forbidden' });
         }
         
-        const result = await sql`
-            SELECT email, role, company_id FROM sessions 
-            WHERE id = ${sessionId} AND expires_at > NOW()
+        const before = await loadCompanyNfcTag(id, tagId);
+        if (!before) {
+            return res.status(404).json({ error: 'Tag not found' });
+        }
+        
+        if (label && label.length > NFC_TAG_LABEL_MAX_LENGTH) {
+            return res.status(400).json({ error: `label must be at most ${NFC_TAG_LABEL_MAX_LENGTH} characters` });
+        }
+        
+        const contact = contactId ? await findTagContact(id, contactId) : null;
+        if (contactId && !contact) {
+            return res.status(400).json({ error: 'Contact not found in this company' });
+        }
+        
+        // Re-sending the current assignment leaves the history alone
+        const reassign = contactId !== undefined && (contact ? contact.id : null) !== before.contact_id;
+        
+        const queries = [
+            ...(reassign ? assignNfcTagQueries(req, tagId, contact) : []),
+            ...(label !== undefined ? [sql`UPDATE nfc_tags SET label = ${label} WHERE id = ${tagId}`] : [])
+        ];
+        if (queries.length > 0) {
+            await sql.transaction(queries);
+        }
+        
+        const tag = await loadCompanyNfcTag(id, tagId);
+        await recordAudit(req, {
+            action: reassign ? (contact ? 'assign' : 'unassign') : 'update',
+            entityType: 'nfc_tag',
+            entityId: tagId,
+            companyId: id,
+            before,
+            after: tag
+        });
+        
+        res.json({ success: true, tag: formatNfcTag(tag) });
+    } catch (error) {
+        console.error('Update NFC tag error:', error);
+        res.status(500).json({ error: 'Server error' });
+    }
+});
+
+// Who a tag has opened over time, newest first
+app.get('/api/companies/:id/nfc-tags/:tagId/history', requireAuth, requirePermission('contacts:read'), async (req, res) => {
+    try {
+        const { id, tagId } = req.params;
+        
+        if (req.session.role === 'company_admin' && req.session.companyId !== id) {
+            return res.status(403).json({ error: 'Forbidden' });
+        }
+        
+        const tag = await loadCompanyNfcTag(id, tagId);
+        if (!tag) {
+            return res.status(404).json({ error: 'Tag not found' });
+        }
+        
+        const history = await sql`
+            SELECT * FROM nfc_tag_assignments WHERE tag_id = ${tagId}
+            ORDER BY assigned_at DESC, id DESC
         `;
         
-        if (result.length === 0) {
-            return res.status(401).json({ error: 'Session expired' });
+        res.json({
+            tag: formatNfcTag(tag),
+            history: history.map(h => ({
+                contactId: h.contact_id,
+                contactName: h.contact_name,
+                assignedBy: h.assigned_by,
+                assignedAt: h.assigned_at,
+                unassignedAt: h.unassigned_at
+            }))
+        });
+    } catch (error) {
+        console.error('Get NFC tag history error:', error);
+        res.status(500).json({ error: 'Server error' });
+    }
+});
+
+// Remove a lost or broken tag from the registry; its URL stops resolving
+app.delete('/api/companies/:id/nfc-tags/:tagId', requireAuth, requirePermission('contacts:write'), async (req, res) => {
+    try {
+        const { id, tagId } = req.params;
+        
+        if (req.session.role === 'company_admin' && req.session.companyId !== id) {
+            return res.status(403).json({ error: 'Forbidden' });
+        }
+        
+        const tag = await loadCompanyNfcTag(id, tagId);
+        if (!tag) {
+            return res.status(404).json({ error: 'Tag not found' });
+        }
+        
+        await sql`DELETE FROM nfc_tags WHERE id = ${tagId}`;
+        await recordAudit(req, { action: 'delete', entityType: 'nfc_tag', entityId: tagId, companyId: id, before: tag });
+        
+        res.json({ success: true });
+    } catch (error) {
+        console.error('Delete NFC tag error:', error);
+        res.status(500).json({ error: 'Server error' });
+    }
+});
+
+// ==================== NDEF ROUTES ====================
+// The exact bytes to write to a tag, as .bin (raw NDEF message), .hex or .json (the
+// records described, with the size checked against NTAG213/215/216). Options:
+// ?vcard=true adds the contact's vCard, ?aar=<package> an Android Application Record,
+// ?chip=NTAG213 fails with 422 when the message doesn't fit that chip.
+
+// NDEF message for a contact's card URL
+app.get('/api/contacts/:id/ndef.:format', requireAuth, requirePermission('contacts:read'), async (req, res) => {
+    try {
+        const { id, format } = req.params;
+        
+        if (!NDEF_FORMATS[format]) {
+            return res.status(404).json({ error: 'Format must be bin, hex or json' });
+        }
+        
+        const options = parseNdefOptions(req.query);
+        if (options.error) {
+            return res.status(400).json({ error: options.error });
         }
         
-        // Allow both super_admin and company_admin
-        if (result[0].role !== 'super_admin' && result[0].role !== 'company_admin') {
+        const contact = await sql`SELECT id, slug, status, company_id FROM contacts WHERE id = ${id} AND deleted_at IS NULL`;
+        
+        if (req.session.role === 'company_admin' &&
+            (contact.length === 0 || contact[0].company_id !== req.session.companyId)) {
             return res.status(403).json({ error: 'Forbidden' });
         }
         
-        if (!req.file) {
-            return res.status(400).json({ error: 'No file uploaded' });
+        if (contact.length === 0) {
+            return res.status(404).json({ error: 'Contact not found' });
         }
         
-        if (!side || (side !== 'front' && side !== 'back')) {
-            return res.status(400).json({ error: 'Invalid side parameter. Use "front" or "back".' });
+        if (contact[0].status !== 'active') {
+            return res.status(410).json({ error: 'This contact is no longer available' });
         }
         
-        // Return the public URL for the uploaded image
-        const imageUrl = `/logos/${req.file.filename}`;
+        const vcards = options.vcard ? await loadNdefVCards([contact[0].id]) : new Map();
+        const ndef = buildNdefMessage(`${contactPublicUrls(contact[0].slug).cardUrl}?src=nfc`, {
+            vcard: vcards.get(contact[0].id),
+            androidPackage: options.androidPackage
+        });
         
-        console.log(`Card ${side} uploaded: ${req.file.filename}`);
+        sendNdefMessage(res, ndef, format, options, `ndef-${contact[0].slug}`);
+    } catch (error) {
+        console.error('Get contact NDEF error:', error);
+        res.status(500).json({ error: 'Server error' });
+    }
+});
+
+// NDEF message for a registered tag. The URI is the tag's /t/ URL, so it keeps working
+// when the tag is reassigned; a vCard record is of the contact it's assigned to now.
+app.get('/api/companies/:id/nfc-tags/:tagId/ndef.:format', requireAuth, requirePermission('contacts:read'), async (req, res) => {
+    try {
+        const { id, tagId, format } = req.params;
         
-        res.json({ 
-            success: true, 
-            url: imageUrl,
-            side: side,
-            filename: req.file.filename
+        if (req.session.role === 'company_admin' && req.session.companyId !== id) {
+            return res.status(403).json({ error: 'Forbidden' });
+        }
+        
+        if (!NDEF_FORMATS[format]) {
+            return res.status(404).json({ error: 'Format must be bin, hex or json' });
+        }
+        
+        const options = parseNdefOptions(req.query);
+        if (options.error) {
+            return res.status(400).json({ error: options.error });
+        }
+        
+        const tag = await loadCompanyNfcTag(id, tagId);
+        
+        if (!tag) {
+            return res.status(404).json({ error: 'Tag not found' });
+        }
+        
+        if (options.vcard && !tag.contact_id) {
+            return res.status(400).json({ error: 'Assign the tag to a contact to include a vCard' });
+        }
+        
+        const vcards = options.vcard ? await loadNdefVCards([tag.contact_id]) : new Map();
+        const ndef = buildNdefMessage(nfcTagUrl(tag.code), {
+            vcard: vcards.get(tag.contact_id),
+            androidPackage: options.androidPackage
         });
         
+        sendNdefMessage(res, ndef, format, options, `ndef-${tag.uid}`);
     } catch (error) {
-        console.error('Card exterior upload error:', error);
-        res.status(500).json({ error: error.message || 'Upload failed' });
+        console.error('Get NFC tag NDEF error:', error);
+        res.status(500).json({ error: 'Server error' });
     }
 });
 
-// Update company card exteriors and logo
-app.put('/api/companies/:id/card-exteriors', async (req, res) => {
+// What to write on each of a company's registered tags (or one ?batch=), keyed by chip UID,
+// for the tag vendor's encoding run, as .csv or .json (with the records described too)
+app.get('/api/companies/:id/nfc-tags/encoding-manifest.:format', requireAuth, requirePermission('contacts:read'), async (req, res) => {
     try {
-        const sessionId = req.headers['x-session-id'];
-        const { id } = req.params;
-        const { cardFront, cardBack, logo } = req.body;
+        const { id, format } = req.params;
+        const batch = req.query.batch || null;
+        
+        if (req.session.role === 'company_admin' && req.session.companyId !== id) {
+            return res.status(403).json({ error: 'Forbidden' });
+        }
+        
+        if (!['csv', 'json'].includes(format)) {
+            return res.status(404).json({ error: 'Format must be csv or json' });
+        }
+        
+        const options = parseNdefOptions(req.query);
+        if (options.error) {
+            return res.status(400).json({ error: options.error });
+        }
+        
+        const tags = await sql`
+            SELECT t.*, c.slug as contact_slug, c.name_en as contact_name
+            FROM nfc_tags t
+            LEFT JOIN contacts c ON c.id = t.contact_id
+            WHERE t.company_id = ${id} AND (${batch}::text IS NULL OR t.batch = ${batch})
+            ORDER BY t.batch, t.uid
+        `;
+        const vcards = options.vcard ? await loadNdefVCards(tags.map(t => t.contact_id).filter(Boolean)) : new Map();
+        
+        const rows = tags.map(t => {
+            const ndef = describeNdefMessage(buildNdefMessage(nfcTagUrl(t.code), {
+                vcard: vcards.get(t.contact_id),
+                androidPackage: options.androidPackage
+            }));
+            return { ...formatNfcTag(t), ndef, fits: options.chip ? ndef.chips.find(c => c.chip === options.chip).fits : ndef.smallestChip !== null };
+        });
+        
+        const filename = `nfc-encoding-manifest-${batch ? slugify(batch, 40) + '-' : ''}${new Date().toISOString().slice(0, 10)}.${format}`;
+        res.setHeader('Content-Disposition', `attachment; filename="${filename}"`);
+        
+        if (format === 'json') {
+            return res.json(rows);
+        }
+        
+        res.type('text/csv; charset=utf-8');
+        res.send(toCsv([
+            ['uid', 'UID'],
+            ['code', 'Code'],
+            ['url', 'URL'],
+            ['label', 'Label'],
+            ['batch', 'Batch'],
+            ['contactName', 'Contact Name'],
+            ['ndefHex', 'NDEF Message (hex)'],
+            ['ndefBytes', 'NDEF Bytes'],
+            ['smallestChip', 'Smallest Chip'],
+            ['fits', 'Fits']
+        ], rows.map(t => ({
+            ...t,
+            contactName: t.contact ? t.contact.nameEn : '',
+            ndefHex: t.ndef.hex,
+            ndefBytes: t.ndef.bytes,
+            smallestChip: t.ndef.smallestChip || '',
+            fits: t.fits ? 'yes' : 'no'
+        }))));
+    } catch (error) {
+        console.error('NFC encoding manifest error:', error);
+        res.status(500).json({ error: 'Server error' });
+    }
+});
+
+// ==================== LEAD ROUTES ====================
+
+// Create lead (public - when customer taps and provides consent)
+app.post('/api/leads', rateLimit('leads'), async (req, res) => {
+    try {
+        if (!sql) {
+            return res.status(500).json({ error: 'Database not configured' });
+        }
         
-        if (!sessionId || !sql) {
-            return res.status(401).json({ error: 'Unauthorized' });
+        const { contactId, customerName, customerEmail, customerPhone, customerCompany, notes } = req.body;
+        
+        if (!contactId || !customerName) {
+            return res.status(400).json({ error: 'Contact ID and customer name are required' });
         }
         
-        const sessionResult = await sql`
-            SELECT email, role, company_id FROM sessions 
-            WHERE id = ${sessionId} AND expires_at > NOW()
+        // Get the company ID from the contact
+        const contactResult = await sql`
+            SELECT id, company_id, status, replacement_contact_id FROM contacts
+            WHERE id = ${contactId} AND deleted_at IS NULL
         `;
         
-        if (sessionResult.length === 0) {
-            return res.status(401).json({ error: 'Session expired' });
+        if (contactResult.length === 0) {
+            return res.status(404).json({ error: 'Contact not found' });
         }
         
-        const session = sessionResult[0];
+        const companyId = contactResult[0].company_id;
         
-        // Company admin can only update their own company
-        if (session.role === 'company_admin' && session.company_id !== id) {
-            return res.status(403).json({ error: 'Forbidden' });
+        // Leads left on a departed contact's card go to their replacement
+        let leadContactId = contactId;
+        let reassignedFrom = null;
+        if (contactResult[0].status !== 'active') {
+            const forwardTo = await findForwardingContact(contactResult[0]);
+            if (!forwardTo) {
+                return res.status(410).json({ error: 'This contact is no longer available' });
+            }
+            leadContactId = forwardTo.id;
+            reassignedFrom = contactId;
         }
         
-        // Update card exteriors and logo
+        // Create the lead
         const result = await sql`
-            UPDATE companies 
-            SET card_front = COALESCE(${cardFront}, card_front),
-                card_back = COALESCE(${cardBack}, card_back),
-                logo = COALESCE(${logo}, logo)
-            WHERE id = ${id}
-            RETURNING id, card_front, card_back, logo
+            INSERT INTO leads (contact_id, company_id, customer_name, customer_email, customer_phone, customer_company, notes, consented_at,
+                               reassigned_from_contact_id, reassigned_at)
+            VALUES (${leadContactId}, ${companyId}, ${customerName}, ${customerEmail || null}, ${customerPhone || null}, ${customerCompany || null}, ${notes || null}, NOW(),
+                    ${reassignedFrom}, ${reassignedFrom ? new Date() : null})
+            RETURNING id, customer_name, customer_email, customer_phone, customer_company, created_at
         `;
         
-        if (result.length === 0) {
-            return res.status(404).json({ error: 'Company not found' });
-        }
-        
-        console.log(`Card exteriors updated for company ${id}`);
+        const lead = result[0];
+        console.log(`Lead captured: ${customerName} for contact ${contactId}`);
+        await recordViewConversion(req, contactId, 'lead');
         
         res.json({ 
-            success: true, 
-            cardFront: result[0].card_front,
-            cardBack: result[0].card_back,
-            logo: result[0].logo
+            success: true,
+            lead: {
+                id: lead.id,
+                customerName: lead.customer_name,
+                customerEmail: lead.customer_email,
+                customerPhone: lead.customer_phone,
+                customerCompany: lead.customer_company,
+                createdAt: lead.created_at
+            }
         });
-        
     } catch (error) {
-        console.error('Update card exteriors error:', error);
+        console.error('Create lead error:', error);
         res.status(500).json({ error: 'Server error' });
     }
 });
 
-// Get company card exteriors (for company dashboard)
-app.get('/api/companies/:id/card-exteriors', async (req, res) => {
+// Get leads (filtered by company for company admin)
+app.get('/api/leads', requireAuth, requirePermission('leads:read'), async (req, res) => {
     try {
-        const sessionId = req.headers['x-session-id'];
-        const { id } = req.params;
-        
-        if (!sessionId || !sql) {
-            return res.status(401).json({ error: 'Unauthorized' });
-        }
-        
-        const sessionResult = await sql`
-            SELECT role, company_id FROM sessions 
-            WHERE id = ${sessionId} AND expires_at > NOW()
-        `;
+        let leads;
         
-        if (sessionResult.length === 0) {
-            return res.status(401).json({ error: 'Session expired' });
+        if (req.session.role === 'company_admin') {
+            leads = await sql`
+                SELECT l.*, c.name_en as contact_name 
+                FROM leads l
+                LEFT JOIN contacts c ON c.id = l.contact_id
+                WHERE l.company_id = ${req.session.companyId} AND l.deleted_at IS NULL
+                ORDER BY l.created_at DESC
+            `;
+        } else if (req.query.companyId) {
+            leads = await sql`
+                SELECT l.*, c.name_en as contact_name 
+                FROM leads l
+                LEFT JOIN contacts c ON c.id = l.contact_id
+                WHERE l.company_id = ${req.query.companyId} AND l.deleted_at IS NULL
+                ORDER BY l.created_at DESC
+            `;
+        } else {
+            leads = await sql`
+                SELECT l.*, c.name_en as contact_name, comp.name as company_name
+                FROM leads l
+                LEFT JOIN contacts c ON c.id = l.contact_id
+                LEFT JOIN companies comp ON comp.id = l.company_id
+                WHERE l.deleted_at IS NULL
+                ORDER BY l.created_at DESC
+            `;
         }
         
-        const session = sessionResult[0];
+        res.json(leads.map(l => ({
+            id: l.id,
+            contactId: l.contact_id,
+            contactName: l.contact_name,
+            companyId: l.company_id,
+            companyName: l.company_name,
+            customerName: l.customer_name,
+            customerEmail: l.customer_email,
+            customerPhone: l.customer_phone,
+            customerCompany: l.customer_company,
+            notes: l.notes,
+            reassignedFromContactId: l.reassigned_from_contact_id,
+            reassignedAt: l.reassigned_at,
+            consentedAt: l.consented_at,
+            createdAt: l.created_at
+        })));
+    } catch (error) {
+        console.error('Get leads error:', error);
+        res.status(500).json({ error: 'Server error' });
+    }
+});
+
+// Delete lead (moves it to the trash)
+app.delete('/api/leads/:id', requireAuth, requirePermission('leads:write'), async (req, res) => {
+    try {
+        const { id } = req.params;
         
-        // Company admin can only view their own company
-        if (session.role === 'company_admin' && session.company_id !== id) {
-            return res.status(403).json({ error: 'Forbidden' });
+        // Check permission for company admin
+        if (req.session.role === 'company_admin') {
+            const check = await sql`
+                SELECT company_id FROM leads WHERE id = ${id}
+            `;
+            if (check.length === 0 || check[0].company_id !== req.session.companyId) {
+                return res.status(403).json({ error: 'Forbidden' });
+            }
         }
         
         const result = await sql`
-            SELECT card_front, card_back, logo FROM companies WHERE id = ${id}
+            UPDATE leads SET deleted_at = CURRENT_TIMESTAMP
+            WHERE id = ${id} AND deleted_at IS NULL
+            RETURNING *
         `;
         
         if (result.length === 0) {
-            return res.status(404).json({ error: 'Company not found' });
+            return res.status(404).json({ error: 'Lead not found' });
         }
         
-        res.json({ 
-            cardFront: result[0].card_front,
-            cardBack: result[0].card_back,
-            logo: result[0].logo
+        await recordAudit(req, {
+            action: 'delete',
+            entityType: 'lead',
+            entityId: id,
+            companyId: result[0].company_id,
+            before: { ...result[0], deleted_at: null },
+            after: result[0]
         });
         
+        res.json({ success: true, deletedAt: result[0].deleted_at, purgeAt: trashPurgeAt(result[0].deleted_at) });
     } catch (error) {
-        console.error('Get card exteriors error:', error);
+        console.error('Delete lead error:', error);
         res.status(500).json({ error: 'Server error' });
     }
 });
 
-// Error handler for multer
-app.use((err, req, res, next) => {
-    if (err instanceof multer.MulterError) {
-        if (err.code === 'LIMIT_FILE_SIZE') {
-            return res.status(400).json({ error: 'File too large. Maximum size is 2MB.' });
-        }
-        return res.status(400).json({ error: err.message });
-    }
-    if (err) {
-        return res.status(400).json({ error: err.message });
-    }
-    next();
-});
-
-// ==================== COMPANY ROUTES ====================
+// ==================== TRASH ROUTES ====================
+// Deleted records can be restored until they are purged, either explicitly
+// (DELETE /api/trash/...) or by the cleanup job after TRASH_RETENTION_DAYS.
 
-// Get all companies (super admin only)
-app.get('/api/companies', requireAuth, async (req, res) => {
+// List trashed companies (super admin only)
+app.get('/api/trash/companies', requireAuth, async (req, res) => {
     try {
         if (req.session.role !== 'super_admin') {
             return res.status(403).json({ error: 'Forbidden' });
         }
         
         const companies = await sql`
-            SELECT 
-                c.id, c.name, c.email, c.logo, c.subscription_tier, c.created_at,
-                COUNT(ct.id) as contact_count
+            SELECT c.id, c.name, c.email, c.deleted_at,
+                   (SELECT COUNT(*) FROM contacts ct WHERE ct.company_id = c.id) as contact_count
             FROM companies c
-            LEFT JOIN contacts ct ON ct.company_id = c.id
-            GROUP BY c.id
-            ORDER BY c.created_at DESC
+            WHERE c.deleted_at IS NOT NULL
+            ORDER BY c.deleted_at DESC
         `;
         
         res.json(companies.map(c => ({
             id: c.id,
             name: c.name,
             email: c.email,
-            logo: c.logo,
-            subscriptionTier: c.subscription_tier || 'basic',
             contactCount: parseInt(c.contact_count),
-            createdAt: c.created_at
+            deletedAt: c.deleted_at,
+            purgeAt: trashPurgeAt(c.deleted_at)
         })));
     } catch (error) {
-        console.error('Get companies error:', error);
-        res.status(500).json({ error: 'Server error' });
-    }
-});
-
-// Create company (super admin only)
-app.post('/api/companies', requireAuth, async (req, res) => {
-    try {
-        if (req.session.role !== 'super_admin') {
-            return res.status(403).json({ error: 'Forbidden' });
-        }
-        
-        const { name, email, password, logo, subscriptionTier } = req.body;
-        
-        // Validate subscription tier if provided
-        const validTiers = ['basic', 'premium', 'super'];
-        const tier = subscriptionTier && validTiers.includes(subscriptionTier) ? subscriptionTier : 'basic';
-        
-        // Check if email already exists
-        const existing = await sql`SELECT id FROM companies WHERE email = ${email}`;
-        if (existing.length > 0) {
-            return res.status(400).json({ error: 'Email already exists' });
-        }
-        
-        const result = await sql`
-            INSERT INTO companies (name, email, password, logo, subscription_tier)
-            VALUES (${name}, ${email}, ${password}, ${logo || ''}, ${tier})
-            RETURNING id, name, email, logo, subscription_tier, created_at
-        `;
-        
-        const company = result[0];
-        res.json({ 
-            success: true, 
-            id: company.id,
-            name: company.name,
-            email: company.email,
-            logo: company.logo,
-            subscriptionTier: company.subscription_tier,
-            createdAt: company.created_at
-        });
-    } catch (error) {
-        console.error('Create company error:', error);
+        console.error('Get trashed companies error:', error);
         res.status(500).json({ error: 'Server error' });
     }
 });
 
-// Update company (super admin only)
-app.put('/api/companies/:id', requireAuth, async (req, res) => {
+// Restore a trashed company with the contacts and leads that were deleted with it
+app.post('/api/trash/companies/:id/restore', requireAuth, async (req, res) => {
     try {
         if (req.session.role !== 'super_admin') {
             return res.status(403).json({ error: 'Forbidden' });
         }
         
         const { id } = req.params;
-        const { name, email, password, logo, subscriptionTier } = req.body;
-        
-        // Validate subscription tier if provided
-        const validTiers = ['basic', 'premium', 'super'];
-        if (subscriptionTier && !validTiers.includes(subscriptionTier)) {
-            return res.status(400).json({ error: 'Invalid subscription tier. Must be: basic, premium, or super' });
-        }
         
-        // Build update query dynamically
-        let result;
-        if (password) {
-            result = await sql`
-                UPDATE companies 
-                SET name = COALESCE(${name}, name),
-                    email = COALESCE(${email}, email),
-                    password = ${password},
-                    logo = COALESCE(${logo}, logo),
-                    subscription_tier = COALESCE(${subscriptionTier}, subscription_tier)
-                WHERE id = ${id}
-                RETURNING id, name, email, logo, subscription_tier
-            `;
-        } else {
-            result = await sql`
-                UPDATE companies 
-                SET name = COALESCE(${name}, name),
-                    email = COALESCE(${email}, email),
-                    logo = COALESCE(${logo}, logo),
-                    subscription_tier = COALESCE(${subscriptionTier}, subscription_tier)
-                WHERE id = ${id}
-                RETURNING id, name, email, logo, subscription_tier
-            `;
-        }
+        const results = await sql.transaction(restoreCompanyQueries(id));
+        const result = results[results.length - 1];
         
         if (result.length === 0) {
-            return res.status(404).json({ error: 'Company not found' });
+            return res.status(404).json({ error: 'Company not found in the trash' });
         }
         
-        res.json({ success: true, ...result[0], subscriptionTier: result[0].subscription_tier });
+        await recordAudit(req, { action: 'restore', entityType: 'company', entityId: id, companyId: id, after: { id, name: result[0].name } });
+        
+        res.json({ success: true, id, name: result[0].name });
     } catch (error) {
-        console.error('Update company error:', error);
+        console.error('Restore company error:', error);
         res.status(500).json({ error: 'Server error' });
     }
 });
 
-// Delete company (super admin only)
-app.delete('/api/companies/:id', requireAuth, async (req, res) => {
+// Permanently delete a trashed company, its contacts and leads
+app.delete('/api/trash/companies/:id', requireAuth, async (req, res) => {
     try {
         if (req.session.role !== 'super_admin') {
             return res.status(403).json({ error: 'Forbidden' });
@@ -938,353 +8304,406 @@ app.delete('/api/companies/:id', requireAuth, async (req, res) => {
         
         const { id } = req.params;
         
-        const result = await sql`DELETE FROM companies WHERE id = ${id} RETURNING id`;
+        const photos = await sql`SELECT photo FROM contacts WHERE company_id = ${id} AND photo IS NOT NULL`;
+        const result = await sql`DELETE FROM companies WHERE id = ${id} AND deleted_at IS NOT NULL RETURNING *`;
         
         if (result.length === 0) {
-            return res.status(404).json({ error: 'Company not found' });
+            return res.status(404).json({ error: 'Company not found in the trash' });
         }
         
+        await Promise.all(photos.map(c => deleteContactPhoto(c.photo)));
+        await recordAudit(req, { action: 'purge', entityType: 'company', entityId: id, companyId: id, before: result[0] });
+        
         res.json({ success: true });
     } catch (error) {
-        console.error('Delete company error:', error);
+        console.error('Purge company error:', error);
         res.status(500).json({ error: 'Server error' });
     }
 });
 
-// ==================== CONTACT ROUTES ====================
-
-// Get contacts (filtered by company for company admin)
-app.get('/api/contacts', requireAuth, async (req, res) => {
+// List trashed contacts (company admins see their own company's)
+app.get('/api/trash/contacts', requireAuth, requirePermission('contacts:read'), async (req, res) => {
     try {
-        let contacts;
-        
-        if (req.session.role === 'company_admin') {
-            contacts = await sql`
-                SELECT * FROM contacts WHERE company_id = ${req.session.companyId}
-                ORDER BY created_at DESC
-            `;
-        } else if (req.query.companyId) {
-            contacts = await sql`
-                SELECT * FROM contacts WHERE company_id = ${req.query.companyId}
-                ORDER BY created_at DESC
-            `;
-        } else {
-            contacts = await sql`SELECT * FROM contacts ORDER BY created_at DESC`;
-        }
+        const companyId = req.session.role === 'company_admin'
+            ? req.session.companyId
+            : (req.query.companyId || null);
+        
+        const contacts = await sql`
+            SELECT c.id, c.slug, c.company_id, c.name_en, c.position_en, c.email, c.deleted_at,
+                   comp.name as company_name, comp.deleted_at as company_deleted_at,
+                   (SELECT COUNT(*) FROM leads l WHERE l.contact_id = c.id) as lead_count
+            FROM contacts c
+            LEFT JOIN companies comp ON comp.id = c.company_id
+            WHERE c.deleted_at IS NOT NULL AND (${companyId}::uuid IS NULL OR c.company_id = ${companyId})
+            ORDER BY c.deleted_at DESC
+        `;
         
         res.json(contacts.map(c => ({
             id: c.id,
+            slug: c.slug,
             companyId: c.company_id,
+            companyName: c.company_name,
             nameEn: c.name_en,
-            nameAr: c.name_ar,
             positionEn: c.position_en,
-            positionAr: c.position_ar,
-            location: c.location,
-            phone: c.phone,
-            telephone: c.telephone,
             email: c.email,
-            website: c.website,
-            createdAt: c.created_at
+            leadCount: parseInt(c.lead_count),
+            // Restoring needs the company back first
+            restorable: !c.company_deleted_at,
+            deletedAt: c.deleted_at,
+            purgeAt: trashPurgeAt(c.deleted_at)
         })));
     } catch (error) {
-        console.error('Get contacts error:', error);
+        console.error('Get trashed contacts error:', error);
         res.status(500).json({ error: 'Server error' });
     }
 });
 
-// Get single contact (public)
-app.get('/api/contacts/:id', async (req, res) => {
+// Restore a trashed contact with the leads that were deleted with it
+app.post('/api/trash/contacts/:id/restore', requireAuth, requirePermission('contacts:write'), async (req, res) => {
     try {
-        if (!sql) {
-            return res.status(500).json({ error: 'Database not configured' });
-        }
+        const { id } = req.params;
         
-        const result = await sql`
-            SELECT c.*, comp.name as company_name, comp.logo as company_logo
+        const existing = await sql`
+            SELECT c.id, c.company_id, comp.deleted_at as company_deleted_at
             FROM contacts c
             LEFT JOIN companies comp ON comp.id = c.company_id
-            WHERE c.id = ${req.params.id}
+            WHERE c.id = ${id} AND c.deleted_at IS NOT NULL
         `;
         
-        if (result.length === 0) {
-            return res.status(404).json({ error: 'Contact not found' });
-        }
-        
-        const c = result[0];
-        res.json({ 
-            id: c.id,
-            companyId: c.company_id,
-            nameEn: c.name_en,
-            nameAr: c.name_ar,
-            positionEn: c.position_en,
-            positionAr: c.position_ar,
-            location: c.location,
-            phone: c.phone,
-            telephone: c.telephone,
-            email: c.email,
-            website: c.website,
-            companyName: c.company_name,
-            companyLogo: c.company_logo
-        });
+        // Check permission for company admin
+        if (req.session.role === 'company_admin' &&
+            (existing.length === 0 || existing[0].company_id !== req.session.companyId)) {
+            return res.status(403).json({ error: 'Forbidden' });
+        }
+        
+        if (existing.length === 0) {
+            return res.status(404).json({ error: 'Contact not found in the trash' });
+        }
+        
+        if (existing[0].company_deleted_at) {
+            return res.status(409).json({ error: "The contact's company is in the trash. Restore the company first." });
+        }
+        
+        const results = await sql.transaction(restoreContactQueries(id));
+        const c = results[results.length - 1][0];
+        
+        await recordAudit(req, { action: 'restore', entityType: 'contact', entityId: id, companyId: c.company_id, after: { id, slug: c.slug } });
+        
+        res.json({ success: true, id: c.id, slug: c.slug });
     } catch (error) {
-        console.error('Get contact error:', error);
+        console.error('Restore contact error:', error);
         res.status(500).json({ error: 'Server error' });
     }
 });
 
-// Create contact
-app.post('/api/contacts', requireAuth, async (req, res) => {
+// Permanently delete a trashed contact and its leads
+app.delete('/api/trash/contacts/:id', requireAuth, requirePermission('contacts:write'), async (req, res) => {
     try {
-        const companyId = req.session.role === 'company_admin' 
-            ? req.session.companyId 
-            : req.body.companyId;
+        const { id } = req.params;
         
-        if (!companyId) {
-            return res.status(400).json({ error: 'Company ID required' });
+        // Check permission for company admin
+        if (req.session.role === 'company_admin') {
+            const check = await sql`SELECT company_id FROM contacts WHERE id = ${id}`;
+            if (check.length === 0 || check[0].company_id !== req.session.companyId) {
+                return res.status(403).json({ error: 'Forbidden' });
+            }
         }
         
-        const { nameEn, nameAr, positionEn, positionAr, location, phone, telephone, email, website } = req.body;
-        const id = req.body.id || nameEn.toLowerCase().replace(/\s+/g, '-') + '-' + Date.now();
+        const result = await sql`DELETE FROM contacts WHERE id = ${id} AND deleted_at IS NOT NULL RETURNING *`;
         
-        const result = await sql`
-            INSERT INTO contacts (id, company_id, name_en, name_ar, position_en, position_ar, location, phone, telephone, email, website)
-            VALUES (${id}, ${companyId}, ${nameEn}, ${nameAr || ''}, ${positionEn}, ${positionAr || ''}, ${location}, ${phone}, ${telephone || ''}, ${email}, ${website || ''})
-            RETURNING *
+        if (result.length === 0) {
+            return res.status(404).json({ error: 'Contact not found in the trash' });
+        }
+        
+        await recordAudit(req, { action: 'purge', entityType: 'contact', entityId: id, companyId: result[0].company_id, before: result[0] });
+        await deleteContactPhoto(result[0].photo);
+        
+        res.json({ success: true });
+    } catch (error) {
+        console.error('Purge contact error:', error);
+        res.status(500).json({ error: 'Server error' });
+    }
+});
+
+// List trashed leads (company admins see their own company's)
+app.get('/api/trash/leads', requireAuth, requirePermission('leads:read'), async (req, res) => {
+    try {
+        const companyId = req.session.role === 'company_admin'
+            ? req.session.companyId
+            : (req.query.companyId || null);
+        
+        const leads = await sql`
+            SELECT l.id, l.contact_id, l.company_id, l.customer_name, l.customer_email, l.customer_phone,
+                   l.created_at, l.deleted_at, c.name_en as contact_name, c.deleted_at as contact_deleted_at
+            FROM leads l
+            LEFT JOIN contacts c ON c.id = l.contact_id
+            WHERE l.deleted_at IS NOT NULL AND (${companyId}::uuid IS NULL OR l.company_id = ${companyId})
+            ORDER BY l.deleted_at DESC
         `;
         
-        const c = result[0];
-        res.json({ 
-            success: true,
-            id: c.id,
-            companyId: c.company_id,
-            nameEn: c.name_en,
-            nameAr: c.name_ar,
-            positionEn: c.position_en,
-            positionAr: c.position_ar,
-            location: c.location,
-            phone: c.phone,
-            telephone: c.telephone,
-            email: c.email,
-            website: c.website
-        });
+        res.json(leads.map(l => ({
+            id: l.id,
+            contactId: l.contact_id,
+            contactName: l.contact_name,
+            companyId: l.company_id,
+            customerName: l.customer_name,
+            customerEmail: l.customer_email,
+            customerPhone: l.customer_phone,
+            createdAt: l.created_at,
+            // Restoring needs the contact back first
+            restorable: !l.contact_deleted_at,
+            deletedAt: l.deleted_at,
+            purgeAt: trashPurgeAt(l.deleted_at)
+        })));
     } catch (error) {
-        console.error('Create contact error:', error);
+        console.error('Get trashed leads error:', error);
         res.status(500).json({ error: 'Server error' });
     }
 });
 
-// Update contact
-app.put('/api/contacts/:id', requireAuth, async (req, res) => {
+// Restore a trashed lead
+app.post('/api/trash/leads/:id/restore', requireAuth, requirePermission('leads:write'), async (req, res) => {
     try {
         const { id } = req.params;
         
+        const existing = await sql`
+            SELECT l.id, l.company_id, c.deleted_at as contact_deleted_at
+            FROM leads l
+            LEFT JOIN contacts c ON c.id = l.contact_id
+            WHERE l.id = ${id} AND l.deleted_at IS NOT NULL
+        `;
+        
         // Check permission for company admin
-        if (req.session.role === 'company_admin') {
-            const check = await sql`
-                SELECT company_id FROM contacts WHERE id = ${id}
-            `;
-            if (check.length === 0 || check[0].company_id !== req.session.companyId) {
-                return res.status(403).json({ error: 'Forbidden' });
-            }
+        if (req.session.role === 'company_admin' &&
+            (existing.length === 0 || existing[0].company_id !== req.session.companyId)) {
+            return res.status(403).json({ error: 'Forbidden' });
         }
         
-        const { nameEn, nameAr, positionEn, positionAr, location, phone, telephone, email, website } = req.body;
-        
-        const result = await sql`
-            UPDATE contacts 
-            SET name_en = COALESCE(${nameEn}, name_en),
-                name_ar = COALESCE(${nameAr}, name_ar),
-                position_en = COALESCE(${positionEn}, position_en),
-                position_ar = COALESCE(${positionAr}, position_ar),
-                location = COALESCE(${location}, location),
-                phone = COALESCE(${phone}, phone),
-                telephone = COALESCE(${telephone}, telephone),
-                email = COALESCE(${email}, email),
-                website = COALESCE(${website}, website)
-            WHERE id = ${id}
-            RETURNING *
-        `;
+        if (existing.length === 0) {
+            return res.status(404).json({ error: 'Lead not found in the trash' });
+        }
         
-        if (result.length === 0) {
-            return res.status(404).json({ error: 'Contact not found' });
+        if (existing[0].contact_deleted_at) {
+            return res.status(409).json({ error: "The lead's contact is in the trash. Restore the contact first." });
         }
         
-        const c = result[0];
-        res.json({ 
-            success: true,
-            id: c.id,
-            nameEn: c.name_en,
-            nameAr: c.name_ar,
-            positionEn: c.position_en,
-            positionAr: c.position_ar,
-            location: c.location,
-            phone: c.phone,
-            telephone: c.telephone,
-            email: c.email,
-            website: c.website
-        });
+        await sql`UPDATE leads SET deleted_at = NULL WHERE id = ${id}`;
+        await recordAudit(req, { action: 'restore', entityType: 'lead', entityId: id, companyId: existing[0].company_id });
+        
+        res.json({ success: true, id });
     } catch (error) {
-        console.error('Update contact error:', error);
+        console.error('Restore lead error:', error);
         res.status(500).json({ error: 'Server error' });
     }
 });
 
-// Delete contact
-app.delete('/api/contacts/:id', requireAuth, async (req, res) => {
+// Permanently delete a trashed lead
+app.delete('/api/trash/leads/:id', requireAuth, requirePermission('leads:write'), async (req, res) => {
     try {
         const { id } = req.params;
         
         // Check permission for company admin
         if (req.session.role === 'company_admin') {
-            const check = await sql`
-                SELECT company_id FROM contacts WHERE id = ${id}
-            `;
+            const check = await sql`SELECT company_id FROM leads WHERE id = ${id}`;
             if (check.length === 0 || check[0].company_id !== req.session.companyId) {
                 return res.status(403).json({ error: 'Forbidden' });
             }
         }
         
-        const result = await sql`DELETE FROM contacts WHERE id = ${id} RETURNING id`;
+        const result = await sql`DELETE FROM leads WHERE id = ${id} AND deleted_at IS NOT NULL RETURNING *`;
         
         if (result.length === 0) {
-            return res.status(404).json({ error: 'Contact not found' });
+            return res.status(404).json({ error: 'Lead not found in the trash' });
         }
         
+        await recordAudit(req, { action: 'purge', entityType: 'lead', entityId: id, companyId: result[0].company_id, before: result[0] });
+        
         res.json({ success: true });
     } catch (error) {
-        console.error('Delete contact error:', error);
+        console.error('Purge lead error:', error);
         res.status(500).json({ error: 'Server error' });
     }
 });
 
-// ==================== LEAD ROUTES ====================
+// ==================== ANALYTICS ROUTES ====================
+// Card views over time: ?from=&to= (ISO dates, default the last 30 days) and ?interval=day|week|month
 
-// Create lead (public - when customer taps and provides consent)
-app.post('/api/leads', async (req, res) => {
+// One contact's views
+app.get('/api/contacts/:id/analytics', requireAuth, requirePermission('contacts:read'), async (req, res) => {
     try {
-        if (!sql) {
-            return res.status(500).json({ error: 'Database not configured' });
+        const { id } = req.params;
+        
+        const contact = await sql`SELECT id, company_id FROM contacts WHERE id = ${id} AND deleted_at IS NULL`;
+        
+        if (req.session.role === 'company_admin' &&
+            (contact.length === 0 || contact[0].company_id !== req.session.companyId)) {
+            return res.status(403).json({ error: 'Forbidden' });
         }
         
-        const { contactId, customerName, customerEmail, customerPhone, customerCompany, notes } = req.body;
+        if (contact.length === 0) {
+            return res.status(404).json({ error: 'Contact not found' });
+        }
         
-        if (!contactId || !customerName) {
-            return res.status(400).json({ error: 'Contact ID and customer name are required' });
+        const range = parseAnalyticsRange(req.query);
+        if (range.error) {
+            return res.status(400).json({ error: range.error });
         }
         
-        // Get the company ID from the contact
-        const contactResult = await sql`
-            SELECT company_id FROM contacts WHERE id = ${contactId}
-        `;
+        res.json({ contactId: id, ...(await getViewAnalytics({ contactId: id, ...range })) });
+    } catch (error) {
+        console.error('Get contact analytics error:', error);
+        res.status(500).json({ error: 'Server error' });
+    }
+});
+
+// A company's views, with its most viewed contacts
+app.get('/api/companies/:id/analytics', requireAuth, requirePermission('contacts:read'), async (req, res) => {
+    try {
+        const { id } = req.params;
         
-        if (contactResult.length === 0) {
-            return res.status(404).json({ error: 'Contact not found' });
+        // Company admin can only see their own company
+        if (req.session.role === 'company_admin' && req.session.companyId !== id) {
+            return res.status(403).json({ error: 'Forbidden' });
         }
         
-        const companyId = contactResult[0].company_id;
+        const range = parseAnalyticsRange(req.query);
+        if (range.error) {
+            return res.status(400).json({ error: range.error });
+        }
         
-        // Create the lead
-        const result = await sql`
-            INSERT INTO leads (contact_id, company_id, customer_name, customer_email, customer_phone, customer_company, notes, consented_at)
-            VALUES (${contactId}, ${companyId}, ${customerName}, ${customerEmail || null}, ${customerPhone || null}, ${customerCompany || null}, ${notes || null}, NOW())
-            RETURNING id, customer_name, customer_email, customer_phone, customer_company, created_at
+        const analytics = await getViewAnalytics({ companyId: id, ...range });
+        const topContacts = await sql`
+            SELECT v.contact_id, c.slug, c.name_en,
+                   COUNT(*)::int as views,
+                   COUNT(v.saved_contact_at)::int as saves,
+                   COUNT(v.wallet_pass_at)::int as wallet_passes,
+                   COUNT(v.lead_submitted_at)::int as leads
+            FROM contact_views v
+            JOIN contacts c ON c.id = v.contact_id
+            WHERE v.company_id = ${id} AND v.viewed_at >= ${range.from} AND v.viewed_at < ${range.to}
+              AND c.deleted_at IS NULL
+            GROUP BY v.contact_id, c.slug, c.name_en
+            ORDER BY views DESC
+            LIMIT 10
         `;
         
-        const lead = result[0];
-        console.log(`Lead captured: ${customerName} for contact ${contactId}`);
-        
-        res.json({ 
-            success: true,
-            lead: {
-                id: lead.id,
-                customerName: lead.customer_name,
-                customerEmail: lead.customer_email,
-                customerPhone: lead.customer_phone,
-                customerCompany: lead.customer_company,
-                createdAt: lead.created_at
-            }
+        res.json({
+            companyId: id,
+            ...analytics,
+            topContacts: topContacts.map(c => ({
+                contactId: c.contact_id,
+                slug: c.slug,
+                nameEn: c.name_en,
+                views: c.views,
+                saves: c.saves,
+                walletPasses: c.wallet_passes,
+                leads: c.leads
+            }))
         });
     } catch (error) {
-        console.error('Create lead error:', error);
+        console.error('Get company analytics error:', error);
         res.status(500).json({ error: 'Server error' });
     }
 });
 
-// Get leads (filtered by company for company admin)
-app.get('/api/leads', requireAuth, async (req, res) => {
+// Views across all companies (super admin only)
+app.get('/api/analytics', requireAuth, async (req, res) => {
     try {
-        let leads;
+        if (req.session.role !== 'super_admin') {
+            return res.status(403).json({ error: 'Forbidden' });
+        }
         
-        if (req.session.role === 'company_admin') {
-            leads = await sql`
-                SELECT l.*, c.name_en as contact_name 
-                FROM leads l
-                LEFT JOIN contacts c ON c.id = l.contact_id
-                WHERE l.company_id = ${req.session.companyId}
-                ORDER BY l.created_at DESC
-            `;
-        } else if (req.query.companyId) {
-            leads = await sql`
-                SELECT l.*, c.name_en as contact_name 
-                FROM leads l
-                LEFT JOIN contacts c ON c.id = l.contact_id
-                WHERE l.company_id = ${req.query.companyId}
-                ORDER BY l.created_at DESC
-            `;
-        } else {
-            leads = await sql`
-                SELECT l.*, c.name_en as contact_name, comp.name as company_name
-                FROM leads l
-                LEFT JOIN contacts c ON c.id = l.contact_id
-                LEFT JOIN companies comp ON comp.id = l.company_id
-                ORDER BY l.created_at DESC
-            `;
+        const range = parseAnalyticsRange(req.query);
+        if (range.error) {
+            return res.status(400).json({ error: range.error });
         }
         
-        res.json(leads.map(l => ({
-            id: l.id,
-            contactId: l.contact_id,
-            contactName: l.contact_name,
-            companyId: l.company_id,
-            companyName: l.company_name,
-            customerName: l.customer_name,
-            customerEmail: l.customer_email,
-            customerPhone: l.customer_phone,
-            customerCompany: l.customer_company,
-            notes: l.notes,
-            consentedAt: l.consented_at,
-            createdAt: l.created_at
-        })));
+        const analytics = await getViewAnalytics(range);
+        const companies = await sql`
+            SELECT v.company_id, comp.name,
+                   COUNT(*)::int as views,
+                   COUNT(v.saved_contact_at)::int as saves,
+                   COUNT(v.lead_submitted_at)::int as leads
+            FROM contact_views v
+            JOIN companies comp ON comp.id = v.company_id
+            WHERE v.viewed_at >= ${range.from} AND v.viewed_at < ${range.to} AND comp.deleted_at IS NULL
+            GROUP BY v.company_id, comp.name
+            ORDER BY views DESC
+        `;
+        
+        res.json({
+            ...analytics,
+            companies: companies.map(c => ({
+                companyId: c.company_id,
+                name: c.name,
+                views: c.views,
+                saves: c.saves,
+                leads: c.leads
+            }))
+        });
     } catch (error) {
-        console.error('Get leads error:', error);
+        console.error('Get analytics error:', error);
         res.status(500).json({ error: 'Server error' });
     }
 });
 
-// Delete lead
-app.delete('/api/leads/:id', requireAuth, async (req, res) => {
+// ==================== AUDIT LOG ROUTES ====================
+
+// Query the audit log (super admin sees everything, company owners their own company)
+app.get('/api/audit-log', requireAuth, requirePermission('audit:read'), async (req, res) => {
     try {
-        const { id } = req.params;
-        
-        // Check permission for company admin
-        if (req.session.role === 'company_admin') {
-            const check = await sql`
-                SELECT company_id FROM leads WHERE id = ${id}
-            `;
-            if (check.length === 0 || check[0].company_id !== req.session.companyId) {
-                return res.status(403).json({ error: 'Forbidden' });
-            }
+        const companyId = req.session.role === 'company_admin'
+            ? req.session.companyId
+            : (req.query.companyId || null);
+        const entityType = req.query.entityType || null;
+        const entityId = req.query.entityId || null;
+        const action = req.query.action || null;
+        const actor = req.query.actor || null;
+        const from = req.query.from ? new Date(req.query.from) : null;
+        const to = req.query.to ? new Date(req.query.to) : null;
+        
+        if ((from && isNaN(from)) || (to && isNaN(to))) {
+            return res.status(400).json({ error: 'Invalid date range' });
         }
         
-        const result = await sql`DELETE FROM leads WHERE id = ${id} RETURNING id`;
-        
-        if (result.length === 0) {
-            return res.status(404).json({ error: 'Lead not found' });
-        }
+        const page = Math.max(1, parseInt(req.query.page) || 1);
+        const limit = Math.min(100, Math.max(1, parseInt(req.query.limit) || 50));
+        const offset = (page - 1) * limit;
+        
+        const entries = await sql`
+            SELECT *, COUNT(*) OVER() as total_count
+            FROM audit_log
+            WHERE (${companyId}::uuid IS NULL OR company_id = ${companyId}::uuid)
+              AND (${entityType}::text IS NULL OR entity_type = ${entityType})
+              AND (${entityId}::text IS NULL OR entity_id = ${entityId})
+              AND (${action}::text IS NULL OR action = ${action})
+              AND (${actor}::text IS NULL OR LOWER(actor_email) = LOWER(${actor}))
+              AND (${from}::timestamp IS NULL OR created_at >= ${from})
+              AND (${to}::timestamp IS NULL OR created_at <= ${to})
+            ORDER BY created_at DESC, id DESC
+            LIMIT ${limit} OFFSET ${offset}
+        `;
         
-        res.json({ success: true });
+        res.json({
+            page,
+            limit,
+            total: entries.length > 0 ? parseInt(entries[0].total_count) : 0,
+            entries: entries.map(e => ({
+                id: e.id,
+                actorEmail: e.actor_email,
+                actorRole: e.actor_role,
+                actorUserId: e.actor_user_id,
+                companyId: e.company_id,
+                action: e.action,
+                entityType: e.entity_type,
+                entityId: e.entity_id,
+                changes: e.changes,
+                ipAddress: e.ip_address,
+                createdAt: e.created_at
+            }))
+        });
     } catch (error) {
-        console.error('Delete lead error:', error);
+        console.error('Get audit log error:', error);
         res.status(500).json({ error: 'Server error' });
     }
 });
@@ -1343,13 +8762,17 @@ app.get('/api/wallet/google/:contactId', async (req, res) => {
             SELECT c.*, comp.name as company_name, comp.logo as company_logo
             FROM contacts c
             LEFT JOIN companies comp ON comp.id = c.company_id
-            WHERE c.id = ${contactId}
+            WHERE c.id = ${contactId} AND c.deleted_at IS NULL
         `;
 
         if (result.length === 0) {
             return res.status(404).json({ error: 'Contact not found' });
         }
 
+        if (result[0].status !== 'active') {
+            return res.status(410).json({ error: 'This contact is no longer available' });
+        }
+
         const contactRow = result[0];
         const contact = {
             id: contactRow.id,
@@ -1361,7 +8784,9 @@ app.get('/api/wallet/google/:contactId', async (req, res) => {
             telephone: contactRow.telephone,
             email: contactRow.email,
             location: contactRow.location,
-            website: contactRow.website
+            website: contactRow.website,
+            photoUrl: contactRow.photo ? `${BASE_URL}${contactPhotoUrls(contactRow.photo).jpeg}` : null,
+            customFields: formatCustomFieldValues(await getCompanyCustomFields(contactRow.company_id), contactRow.custom_fields, { publicOnly: true })
         };
         const company = {
             name: contactRow.company_name,
@@ -1380,6 +8805,7 @@ app.get('/api/wallet/google/:contactId', async (req, res) => {
         const saveUrl = `https://pay.google.com/gp/v/save/${jwt}`;
 
         console.log(`Google Wallet pass generated successfully for contact: ${contactId}`);
+        await recordViewConversion(req, contactId, 'wallet');
 
         res.json({
             success: true,
@@ -1417,13 +8843,17 @@ app.get('/api/wallet/samsung/:contactId', async (req, res) => {
             SELECT c.*, comp.name as company_name, comp.logo as company_logo
             FROM contacts c
             LEFT JOIN companies comp ON comp.id = c.company_id
-            WHERE c.id = ${contactId}
+            WHERE c.id = ${contactId} AND c.deleted_at IS NULL
         `;
 
         if (result.length === 0) {
             return res.status(404).json({ error: 'Contact not found' });
         }
 
+        if (result[0].status !== 'active') {
+            return res.status(410).json({ error: 'This contact is no longer available' });
+        }
+
         const contactRow = result[0];
         const contact = {
             id: contactRow.id,
@@ -1435,7 +8865,9 @@ app.get('/api/wallet/samsung/:contactId', async (req, res) => {
             telephone: contactRow.telephone,
             email: contactRow.email,
             location: contactRow.location,
-            website: contactRow.website
+            website: contactRow.website,
+            photoUrl: contactRow.photo ? `${BASE_URL}${contactPhotoUrls(contactRow.photo).jpeg}` : null,
+            customFields: formatCustomFieldValues(await getCompanyCustomFields(contactRow.company_id), contactRow.custom_fields, { publicOnly: true })
         };
         const company = {
             name: contactRow.company_name,
@@ -1450,6 +8882,7 @@ app.get('/api/wallet/samsung/:contactId', async (req, res) => {
         const saveUrl = `https://a.swallet.link/atw/v3/${SAMSUNG_WALLET_CONFIG.cardId}#Clip?cdata=${encodeURIComponent(cDataToken)}`;
 
         console.log(`Samsung Wallet pass generated for contact: ${contactId}`);
+        await recordViewConversion(req, contactId, 'wallet');
 
         res.json({
             success: true,
@@ -1466,6 +8899,24 @@ app.get('/api/wallet/samsung/:contactId', async (req, res) => {
     }
 });
 
+// ==================== MAINTENANCE ROUTES ====================
+
+// Scheduled cleanup (Vercel cron sends Authorization: Bearer $CRON_SECRET)
+app.get('/api/cron/cleanup', async (req, res) => {
+    try {
+        const secret = process.env.CRON_SECRET;
+        if (!secret || req.headers.authorization !== `Bearer ${secret}`) {
+            return res.status(401).json({ error: 'Unauthorized' });
+        }
+        
+        const removed = await cleanupExpiredRecords();
+        res.json({ success: true, removed });
+    } catch (error) {
+        console.error('Cleanup error:', error);
+        res.status(500).json({ error: 'Server error' });
+    }
+});
+
 // ==================== PAGE ROUTES ====================
 
 // Super Admin
@@ -1494,13 +8945,69 @@ app.get('/company/dashboard', (req, res) => {
     res.sendFile(path.join(__dirname, 'public', 'company', 'dashboard.html'));
 });
 
-// Public contact pages
-app.get('/c/:id', (req, res) => {
-    res.sendFile(path.join(__dirname, 'public', 'contact.html'));
+app.get('/company/reset-password', (req, res) => {
+    res.sendFile(path.join(__dirname, 'public', 'company', 'reset-password.html'));
+});
+
+app.get('/company/accept-invite', (req, res) => {
+    res.sendFile(path.join(__dirname, 'public', 'company', 'accept-invite.html'));
 });
 
-app.get('/qr/:id', (req, res) => {
-    res.sendFile(path.join(__dirname, 'public', 'qr.html'));
+app.get('/company/two-factor', (req, res) => {
+    res.sendFile(path.join(__dirname, 'public', 'company', 'two-factor.html'));
+});
+
+// Public contact pages
+app.get('/c/:id.vcf', sendContactVCard);
+
+// Card and QR pages: an old slug or the contact id gets a 301 to the current slug,
+// so URLs already written to NFC tags and printed QR codes keep working. The card
+// of a departed contact forwards (302, as the replacement may change) to their replacement.
+// Views of active cards are recorded for analytics.
+async function sendContactPage(req, res, page) {
+    try {
+        const resolved = sql ? await resolveContactKey(req.params.id) : null;
+        if (resolved && redirectToCurrentSlug(req, res, resolved)) {
+            return;
+        }
+        if (resolved && page === 'contact.html' && resolved.status === 'departed') {
+            const forwardTo = await findForwardingContact(resolved);
+            if (forwardTo) {
+                return res.redirect(302, `/c/${encodeURIComponent(forwardTo.slug)}`);
+            }
+        }
+        if (resolved && resolved.status === 'active') {
+            await recordContactView(req, res, resolved.id, viewSource(req, page === 'qr.html' ? 'qr' : 'link'));
+        }
+    } catch (error) {
+        console.error('Resolve contact slug error:', error);
+    }
+    res.sendFile(path.join(__dirname, 'public', page));
+}
+
+app.get('/c/:id', (req, res) => sendContactPage(req, res, 'contact.html'));
+
+app.get('/qr/:id', (req, res) => sendContactPage(req, res, 'qr.html'));
+
+// NFC tags are written with /t/<code>; the tag opens whichever contact it is assigned to
+// now (302, as that can change). Forwarding of departed contacts is left to /c/.
+app.get('/t/:code', async (req, res) => {
+    try {
+        const result = sql ? await sql`
+            SELECT c.slug
+            FROM nfc_tags t
+            JOIN contacts c ON c.id = t.contact_id AND c.deleted_at IS NULL
+            JOIN companies comp ON comp.id = t.company_id AND comp.deleted_at IS NULL
+            WHERE t.code = ${String(req.params.code).toLowerCase()}
+        ` : [];
+        if (result.length > 0) {
+            res.setHeader('Cache-Control', 'no-store');
+            return res.redirect(302, `/c/${encodeURIComponent(result[0].slug)}?src=nfc`);
+        }
+    } catch (error) {
+        console.error('Resolve NFC tag error:', error);
+    }
+    res.status(404).send('Tag not assigned');
 });
 
 // Home page
@@ -1516,8 +9023,13 @@ if (process.env.VERCEL !== '1') {
         console.log(`   - Home:           http://localhost:${PORT}/`);
         console.log(`   - Super Admin:    http://localhost:${PORT}/admin`);
         console.log(`   - Company Login:  http://localhost:${PORT}/company`);
-        console.log(`\n🔐 Super Admin: ml@feedbacknfc.com`);
+        console.log(`\n🔐 Super admins are managed in the super_admins table`);
         console.log(`   (Auth code will be shown in console)\n`);
+        
+        // Long-running server: clean up expired sessions and codes hourly
+        setInterval(() => {
+            cleanupExpiredRecords().catch(err => console.error('Cleanup error:', err));
+        }, 60 * 60 * 1000).unref();
     });
 }
 